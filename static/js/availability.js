@@ -0,0 +1,318 @@
+/**
+ * Vehicle Availability - Pure JavaScript
+ * Reads booked date ranges from a pluggable source and renders availability calendars
+ * Version: 1.0.0
+ */
+
+/**
+ * Availability source backed by a static JSON file
+ * Format: { "vehicles": { "<vehicle id>": [{ "start": "YYYY-MM-DD", "end": "YYYY-MM-DD" }] } }
+ */
+class StaticAvailabilitySource {
+    constructor(url) {
+        this.url = url;
+        this.request = null;
+    }
+
+    async getBookedRanges(vehicleId) {
+        if (!this.request) {
+            this.request = fetch(this.url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Availability request failed: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    // Allow a later call to retry
+                    this.request = null;
+                    throw error;
+                });
+        }
+
+        const data = await this.request;
+        return (data.vehicles && data.vehicles[vehicleId]) || [];
+    }
+}
+
+/**
+ * Availability source backed by a REST endpoint
+ * GET <url>/<vehicle id> returns [{ "start": "YYYY-MM-DD", "end": "YYYY-MM-DD" }]
+ */
+class RestAvailabilitySource {
+    constructor(url) {
+        this.url = url.replace(/\/$/, '');
+    }
+
+    async getBookedRanges(vehicleId) {
+        const response = await fetch(`${this.url}/${encodeURIComponent(vehicleId)}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+        if (!response.ok) {
+            throw new Error(`Availability request failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return Array.isArray(data) ? data : (data.booked || []);
+    }
+}
+
+class VehicleAvailability {
+    constructor(config) {
+        this.source = VehicleAvailability.createSource(config);
+        this.cache = new Map();
+    }
+
+    /**
+     * Pick the source implementation from the config
+     */
+    static createSource(config) {
+        switch (config.type) {
+            case 'static':
+                return new StaticAvailabilitySource(config.url);
+            case 'rest':
+                return new RestAvailabilitySource(config.url);
+            default:
+                throw new Error(`Unknown availability source: ${config.type}`);
+        }
+    }
+
+    /**
+     * Local YYYY-MM-DD key for a date, comparable as a string
+     */
+    static toDateKey(date) {
+        if (typeof date === 'string') return date.substring(0, 10);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Booked ranges for a vehicle, or null when the source cannot be reached
+     */
+    getBookedRanges(vehicleId) {
+        if (!this.cache.has(vehicleId)) {
+            this.cache.set(vehicleId, this.source.getBookedRanges(vehicleId)
+                .then(ranges => ranges
+                    .filter(range => range && range.start && range.end)
+                    .map(range => ({
+                        start: VehicleAvailability.toDateKey(range.start),
+                        end: VehicleAvailability.toDateKey(range.end)
+                    })))
+                .catch(error => {
+                    console.warn('Availability source error:', error);
+                    this.cache.delete(vehicleId);
+                    return null;
+                }));
+        }
+        return this.cache.get(vehicleId);
+    }
+
+    isBooked(ranges, key) {
+        return (ranges || []).some(range => key >= range.start && key <= range.end);
+    }
+
+    /**
+     * Check that no booked range overlaps the rental days (both ends included)
+     * Unknown availability never blocks a request; staff confirm on WhatsApp.
+     */
+    async isRangeAvailable(vehicleId, start, end) {
+        const ranges = await this.getBookedRanges(vehicleId);
+        if (!ranges) return true;
+
+        const startKey = VehicleAvailability.toDateKey(start);
+        const endKey = VehicleAvailability.toDateKey(end);
+        return !ranges.some(range => startKey <= range.end && endKey >= range.start);
+    }
+
+    mountCalendar(container, vehicleId, options = {}) {
+        return new AvailabilityCalendar(container, vehicleId, this, options);
+    }
+}
+
+class AvailabilityCalendar {
+    constructor(container, vehicleId, availability, options = {}) {
+        this.container = container;
+        this.vehicleId = vehicleId;
+        this.availability = availability;
+        this.onSelect = options.onSelect || null;
+        this.ranges = [];
+        this.selection = { start: null, end: null };
+        this.i18n = window.MedridatoursI18n;
+
+        const today = new Date();
+        this.todayKey = VehicleAvailability.toDateKey(today);
+        this.month = new Date(today.getFullYear(), today.getMonth(), 1);
+
+        this.init();
+    }
+
+    async init() {
+        this.container.innerHTML = `
+            <div class="text-center py-4 text-gray-500 text-sm">
+                <i class="fas fa-spinner fa-spin mr-1"></i>
+                ${this.i18n.t('availability.loading')}
+            </div>
+        `;
+
+        const ranges = await this.availability.getBookedRanges(this.vehicleId);
+        if (!ranges) {
+            this.container.innerHTML = `
+                <p class="text-sm text-gray-500 text-center py-4">
+                    ${this.i18n.t('availability.error')}
+                </p>
+            `;
+            return;
+        }
+
+        this.ranges = ranges;
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.render();
+    }
+
+    /**
+     * Render the current month
+     */
+    render() {
+        const t = key => this.i18n.t(key);
+        const year = this.month.getFullYear();
+        const month = this.month.getMonth();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        // Weeks start on Monday
+        const offset = (new Date(year, month, 1).getDay() + 6) % 7;
+        const title = this.month.toLocaleDateString(this.i18n.getLocale(), { month: 'long', year: 'numeric' });
+        const isCurrentMonth = VehicleAvailability.toDateKey(this.month) <= this.todayKey.substring(0, 8) + '01';
+
+        const cells = [];
+        for (let i = 0; i < offset; i++) {
+            cells.push('<span></span>');
+        }
+        for (let day = 1; day <= daysInMonth; day++) {
+            cells.push(this.createDayHTML(VehicleAvailability.toDateKey(new Date(year, month, day)), day));
+        }
+
+        this.container.innerHTML = `
+            <div class="availability-calendar text-sm">
+                <div class="flex items-center justify-between mb-2">
+                    <button type="button" data-calendar-nav="-1" class="px-2 py-1 text-gray-600 hover:text-blue-600 disabled:opacity-30" aria-label="${t('availability.previousMonth')}" ${isCurrentMonth ? 'disabled' : ''}>
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <span class="font-semibold text-gray-800 capitalize" aria-live="polite">${title}</span>
+                    <button type="button" data-calendar-nav="1" class="px-2 py-1 text-gray-600 hover:text-blue-600" aria-label="${t('availability.nextMonth')}">
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                </div>
+                <div class="grid grid-cols-7 gap-1 text-center text-xs text-gray-500 mb-1" aria-hidden="true">
+                    ${this.getWeekdayLabels().map(label => `<span>${label}</span>`).join('')}
+                </div>
+                <div class="grid grid-cols-7 gap-1 text-center">
+                    ${cells.join('')}
+                </div>
+                <div class="flex items-center gap-4 mt-2 text-xs text-gray-500">
+                    <span class="flex items-center gap-1"><span class="inline-block w-3 h-3 rounded bg-white border border-gray-300"></span>${t('availability.available')}</span>
+                    <span class="flex items-center gap-1"><span class="inline-block w-3 h-3 rounded bg-gray-200"></span>${t('availability.booked')}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Narrow weekday names from Monday, in the page language
+     */
+    getWeekdayLabels() {
+        const formatter = new Intl.DateTimeFormat(this.i18n.getLocale(), { weekday: 'narrow' });
+        // 1 January 2024 was a Monday
+        return Array.from({ length: 7 }, (_, i) => formatter.format(new Date(2024, 0, 1 + i)));
+    }
+
+    createDayHTML(key, day) {
+        const booked = this.availability.isBooked(this.ranges, key);
+        const past = key < this.todayKey;
+        const { start, end } = this.selection;
+        const selected = start && (key === start || (end && key >= start && key <= end));
+
+        let classes = 'py-1 rounded';
+        if (booked || past) {
+            classes += ' bg-gray-200 text-gray-400 cursor-not-allowed';
+            if (booked) classes += ' line-through';
+        } else if (selected) {
+            classes += ' bg-blue-600 text-white';
+        } else {
+            classes += ' bg-white border border-gray-200 hover:bg-blue-50';
+        }
+
+        const label = booked ? this.i18n.t('availability.bookedDay', { day }) : String(day);
+        return `<button type="button" data-date="${key}" class="${classes}" aria-label="${label}" ${booked || past ? 'disabled' : ''} ${selected ? 'aria-pressed="true"' : ''}>${day}</button>`;
+    }
+
+    handleClick(e) {
+        const nav = e.target.closest('[data-calendar-nav]');
+        if (nav) {
+            this.month = new Date(this.month.getFullYear(), this.month.getMonth() + parseInt(nav.dataset.calendarNav, 10), 1);
+            this.render();
+            return;
+        }
+
+        const day = e.target.closest('[data-date]');
+        if (!day || day.disabled || !this.onSelect) return;
+        this.selectDate(day.dataset.date);
+    }
+
+    /**
+     * First click picks the start date, second click the end date
+     */
+    selectDate(key) {
+        const { start, end } = this.selection;
+
+        if (!start || end || key < start) {
+            this.selection = { start: key, end: null };
+        } else if (this.availability.isBooked(this.ranges, key) ||
+            this.ranges.some(range => start <= range.end && key >= range.start)) {
+            // The range would include booked days: start again from this date
+            this.selection = { start: key, end: null };
+        } else {
+            this.selection = { start, end: key };
+        }
+
+        this.render();
+        this.onSelect(this.selection.start, this.selection.end);
+    }
+
+    setSelection(start, end) {
+        this.selection = { start: start || null, end: (start && end) || null };
+        if (start) {
+            const [year, month] = start.split('-').map(Number);
+            this.month = new Date(year, month - 1, 1);
+        }
+        this.render();
+    }
+}
+
+// Initialize the availability service when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    // Switch to { type: 'rest', url: '/api/availability' } once the booking API exists
+    window.vehicleAvailability = new VehicleAvailability({
+        type: 'static',
+        url: '/static/data/availability.json'
+    });
+
+    // Availability section of the vehicle detail view
+    document.addEventListener('fleet:detail-opened', (e) => {
+        const { container, vehicle } = e.detail;
+        const section = document.createElement('div');
+        section.innerHTML = `
+            <h3 class="text-lg font-semibold text-gray-800 mb-3">${window.MedridatoursI18n.t('availability.title')}</h3>
+            <div data-availability-calendar></div>
+        `;
+        container.appendChild(section);
+
+        const bookingLink = container.parentElement.querySelector('[data-booking-link]');
+        window.vehicleAvailability.mountCalendar(section.querySelector('[data-availability-calendar]'), vehicle.id, {
+            onSelect: (start, end) => {
+                const toDate = key => key ? new Date(`${key}T10:00`) : undefined;
+                bookingLink.href = window.fleetCatalog.getBookingLink(vehicle, {
+                    pickup: toDate(start),
+                    dropoff: toDate(end)
+                });
+            }
+        });
+    });
+});
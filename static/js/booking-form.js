@@ -0,0 +1,530 @@
+/**
+ * Booking Request Form - Pure JavaScript
+ * Multi-step booking request (vehicle, dates, pickup point, driver, extras, review) with a draft kept
+ * in localStorage; the request is sent as a Netlify form and handed over to WhatsApp
+ * Version: 1.0.0
+ */
+
+class BookingForm {
+    constructor(form) {
+        this.form = form;
+        this.section = form.closest('section');
+        this.formName = 'booking'; // Hidden Netlify form declared in contact/index.html
+        this.draftKey = 'medridatours_booking_draft';
+        this.draftMaxAge = 7 * 24 * 60 * 60 * 1000; // Older drafts are dropped
+        this.i18n = window.MedridatoursI18n;
+        this.catalog = window.fleetCatalog;
+        this.steps = [...form.querySelectorAll('[data-booking-step]')];
+        this.current = 0;
+        this.calculator = null;
+        this.validator = FormValidator.for(form);
+        this.saveDraftLater = MedridatoursUtils.debounce(() => this.saveDraft(), 300);
+
+        this.init();
+    }
+
+    /**
+     * Fill the vehicles and extras, then bring back the visitor's draft
+     */
+    async init() {
+        await Promise.all([this.populateVehicles(), this.populateExtras()]);
+        this.setMinDates();
+
+        const restored = this.restoreDraft();
+        this.selectVehicleFromUrl();
+        this.toggleHotelField();
+        this.bindEvents();
+        this.showStep(this.current, false);
+
+        if (restored) {
+            this.showNotice(this.t('draftRestored'));
+        }
+    }
+
+    t(key, params) {
+        return this.i18n.t(`booking.${key}`, params);
+    }
+
+    async populateVehicles() {
+        const select = this.form.elements.vehicle;
+
+        try {
+            const vehicles = await this.catalog.load();
+            vehicles.forEach(vehicle => {
+                const option = document.createElement('option');
+                option.value = vehicle.id;
+                option.textContent = `${vehicle.name} - ${this.catalog.formatDailyPrice(vehicle.pricePerDay)}`;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Booking vehicle list load error:', error);
+            this.validator.showError(select, this.i18n.t('fleet.loadError'));
+        }
+    }
+
+    /**
+     * Extras and prices come from the quote calculator's pricing data
+     */
+    async populateExtras() {
+        const container = this.form.querySelector('[data-booking-extras]');
+        const quoteWidgets = window.quoteWidgets;
+
+        if (!quoteWidgets || !await quoteWidgets.ready) {
+            container.innerHTML = `<p class="text-sm text-gray-500">${this.t('extrasUnavailable')}</p>`;
+            return;
+        }
+
+        this.calculator = quoteWidgets.calculator;
+        container.innerHTML = this.calculator.extras.map(extra => `
+            <label for="booking-extra-${extra.id}" class="flex items-center gap-2 p-3 border border-gray-200 rounded-lg cursor-pointer">
+                <input type="checkbox" id="booking-extra-${extra.id}" name="extras" value="${extra.id}">
+                <span>${extra.label}</span>
+                <span class="text-gray-500 ml-auto">${quoteWidgets.formatExtraPrice(extra)}</span>
+            </label>`).join('');
+    }
+
+    setMinDates() {
+        const today = VehicleAvailability.toDateKey(new Date());
+        this.form.elements['pickup-date'].min = today;
+        this.form.elements['return-date'].min = today;
+    }
+
+    /**
+     * Vehicle chosen on another page: /contact/?vehicle=<id>#booking
+     */
+    selectVehicleFromUrl() {
+        const id = new URLSearchParams(window.location.search).get('vehicle');
+        if (id && this.catalog.getVehicle(id)) {
+            this.form.elements.vehicle.value = id;
+        }
+    }
+
+    /**
+     * Bind form events
+     */
+    bindEvents() {
+        this.form.querySelector('[data-booking-next]').addEventListener('click', () => this.next());
+        this.form.querySelector('[data-booking-back]').addEventListener('click', () => {
+            this.showStep(this.current - 1);
+            this.saveDraftLater();
+        });
+
+        this.form.addEventListener('input', (e) => this.handleChange(e));
+        this.form.addEventListener('change', (e) => this.handleChange(e));
+
+        // Enter in a field moves to the next step until the last one
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.current < this.steps.length - 1) {
+                this.next();
+            } else {
+                this.submit();
+            }
+        });
+
+        this.section.querySelector('[data-booking-retry]').addEventListener('click', () => this.showForm());
+        this.section.querySelector('[data-booking-new]').addEventListener('click', () => this.startOver());
+    }
+
+    handleChange(e) {
+        if (e.target.name === 'pickup-location') {
+            this.toggleHotelField();
+        }
+        if (e.target.name === 'pickup-date' && e.target.value) {
+            this.form.elements['return-date'].min = e.target.value;
+        }
+        this.saveDraftLater();
+    }
+
+    /**
+     * The hotel name is only asked (and required) for a hotel pickup
+     */
+    toggleHotelField() {
+        const isHotel = this.getValue('pickup-location') === 'hotel';
+        const input = this.form.elements.hotel;
+        this.form.querySelector('[data-booking-hotel]').classList.toggle('hidden', !isHotel);
+        input.disabled = !isHotel;
+        if (!isHotel) this.validator.clearError(input);
+    }
+
+    /**
+     * Steps
+     */
+    async next() {
+        const invalid = await this.validateStep(this.current);
+        if (invalid.length > 0) {
+            this.validator.focus(invalid[0]);
+            return;
+        }
+        this.showStep(this.current + 1);
+        this.saveDraftLater();
+    }
+
+    showStep(index, focus = true) {
+        this.current = Math.min(Math.max(index, 0), this.steps.length - 1);
+        const last = this.current === this.steps.length - 1;
+
+        this.steps.forEach((step, i) => step.classList.toggle('hidden', i !== this.current));
+        this.section.querySelectorAll('[data-booking-progress] li').forEach((item, i) => {
+            item.firstElementChild.classList.toggle('bg-blue-600', i <= this.current);
+            item.firstElementChild.classList.toggle('bg-gray-200', i > this.current);
+            item.classList.toggle('text-blue-600', i === this.current);
+            if (i === this.current) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        this.form.querySelector('[data-booking-back]').classList.toggle('invisible', this.current === 0);
+        this.form.querySelector('[data-booking-next]').classList.toggle('hidden', last);
+        this.form.querySelector('[data-booking-submit]').classList.toggle('hidden', !last);
+        this.form.querySelector('[data-booking-step-count]').textContent =
+            this.t('stepCount', { step: this.current + 1, total: this.steps.length });
+
+        if (last) this.renderSummary();
+
+        if (focus) {
+            const legend = this.steps[this.current].querySelector('legend');
+            legend.setAttribute('tabindex', '-1');
+            legend.focus();
+        }
+    }
+
+    /**
+     * Check the fields of one step; returns the invalid fields after showing their errors
+     * The field rules are declared in the markup, the dates also need the times and the calendar.
+     */
+    async validateStep(index) {
+        const step = this.steps[index];
+        const invalid = this.validator.validate(step, { focus: false });
+
+        if (step.dataset.bookingStep === 'dates' && invalid.length === 0) {
+            const error = await this.checkDates();
+            if (error) {
+                const field = this.form.elements[error.field];
+                this.validator.showError(field, error.message);
+                this.validator.announce(error.message);
+                invalid.push(field);
+            }
+        }
+
+        return invalid;
+    }
+
+    /**
+     * Dates in the future, return after pickup (times included) and free in the availability calendar
+     * The min attributes date from page load: a page left open past midnight still needs this check.
+     */
+    async checkDates() {
+        const { pickup, dropoff } = this.getDates();
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        if (!pickup || pickup < today) {
+            return { field: 'pickup-date', message: this.t('errors.pastDate') };
+        }
+        if (!dropoff || dropoff <= pickup) {
+            return { field: 'return-date', message: this.i18n.t('quote.invalidRange') };
+        }
+        if (window.vehicleAvailability &&
+            !await window.vehicleAvailability.isRangeAvailable(this.getValue('vehicle'), pickup, dropoff)) {
+            return { field: 'return-date', message: this.i18n.t('quote.unavailable') };
+        }
+        return null;
+    }
+
+    /**
+     * Form values
+     */
+    getValue(name) {
+        const field = this.form.elements[name];
+        return field ? String(field.value || '').trim() : '';
+    }
+
+    getDates() {
+        return {
+            pickup: RentalQuote.parseDateTime(this.getValue('pickup-date'), this.getValue('pickup-time')),
+            dropoff: RentalQuote.parseDateTime(this.getValue('return-date'), this.getValue('return-time'))
+        };
+    }
+
+    getQuote() {
+        const vehicle = this.catalog.getVehicle(this.getValue('vehicle'));
+        if (!this.calculator || !vehicle) return null;
+
+        const quote = this.calculator.calculate(Object.assign({
+            vehicle,
+            extras: [...this.form.querySelectorAll('[name="extras"]:checked')].map(input => input.value)
+        }, this.getDates()));
+        return quote.error ? null : quote;
+    }
+
+    /**
+     * Booking data in the shape MedridatoursBooking.build() expects
+     */
+    getBookingData() {
+        const vehicle = this.catalog.getVehicle(this.getValue('vehicle'));
+        const quote = this.getQuote();
+        const data = Object.assign({
+            topic: 'rental',
+            vehicle: vehicle ? vehicle.name : '',
+            customerName: this.getValue('name'),
+            customerPhone: this.getValue('phone'),
+            customerEmail: this.getValue('email'),
+            pickupLocation: this.getValue('pickup-location'),
+            pickupAddress: this.getValue('pickup-location') === 'hotel' ? this.getValue('hotel') : '',
+            notes: this.getValue('notes'),
+            language: this.i18n.language
+        }, this.getDates());
+
+        if (quote) {
+            Object.assign(data, window.quoteWidgets.toBookingData(quote));
+        } else {
+            data.extras = [...this.form.querySelectorAll('[name="extras"]:checked')]
+                .map(input => this.getLabel(input));
+        }
+        return data;
+    }
+
+    /**
+     * Visible label of a field, without the required marker
+     */
+    getLabel(field) {
+        const label = this.form.querySelector(`label[for="${field.id}"]`);
+        if (!label) return '';
+        const text = label.querySelector('[data-i18n]') || label.querySelector('span') || label;
+        return text.textContent.trim();
+    }
+
+    /**
+     * Review step: every answer under the label the visitor saw
+     */
+    renderSummary() {
+        const elements = this.form.elements;
+        const data = this.getBookingData();
+        const quote = this.getQuote();
+        const format = date => date ? date.toLocaleString(this.i18n.getLocale(), { dateStyle: 'medium', timeStyle: 'short' }) : '';
+        const location = this.form.querySelector('[name="pickup-location"]:checked');
+
+        const rows = [
+            [this.getLabel(elements.vehicle), data.vehicle],
+            [this.getLabel(elements['pickup-date']), format(data.pickup)],
+            [this.getLabel(elements['return-date']), format(data.dropoff)],
+            [this.t('steps.pickup'), [location ? this.getLabel(location) : '', data.pickupAddress].filter(Boolean).join(' - ')],
+            [this.getLabel(elements.name), data.customerName],
+            [this.getLabel(elements.phone), data.customerPhone],
+            [this.getLabel(elements.email), data.customerEmail],
+            [this.t('steps.extras'), data.extras.length > 0 ? data.extras.join(', ') : this.t('noExtras')],
+            [this.getLabel(elements.notes), data.notes]
+        ];
+        if (quote) {
+            rows.push([this.i18n.t('quote.total'), `${data.total} - ${this.i18n.t('quote.days', { count: quote.days })}`]);
+        }
+
+        const summary = this.form.querySelector('[data-booking-summary]');
+        summary.innerHTML = '';
+        rows.filter(([, value]) => value).forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between gap-4 py-2';
+            const term = document.createElement('dt');
+            term.className = 'text-gray-500';
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.className = 'font-medium text-gray-800 text-right';
+            detail.textContent = value;
+            row.append(term, detail);
+            summary.appendChild(row);
+        });
+    }
+
+    /**
+     * Submission
+     */
+    async submit() {
+        // A restored draft may hold answers that are no longer valid (past dates, booked vehicle)
+        for (let i = 0; i < this.steps.length - 1; i++) {
+            const invalid = await this.validateStep(i);
+            if (invalid.length > 0) {
+                this.showStep(i, false);
+                this.validator.focus(invalid[0]);
+                return;
+            }
+        }
+
+        const button = this.form.querySelector('[data-booking-submit]');
+        button.disabled = true;
+
+        const data = this.getBookingData();
+        const message = window.MedridatoursBooking.build(data);
+        let sent = true;
+
+        try {
+            await this.send(data, message);
+            this.clearDraft();
+        } catch (error) {
+            console.error('Booking request error:', error);
+            sent = false;
+        } finally {
+            button.disabled = false;
+        }
+
+        this.showDone(data, sent);
+    }
+
+    /**
+     * Post the request to the hidden Netlify form; the plain-text summary goes in the notification email
+     */
+    async send(data, message) {
+        const body = new URLSearchParams({
+            'form-name': this.formName,
+            vehicle: data.vehicle,
+            pickup: `${this.getValue('pickup-date')} ${this.getValue('pickup-time')}`,
+            return: `${this.getValue('return-date')} ${this.getValue('return-time')}`,
+            'pickup-location': data.pickupLocation,
+            hotel: data.pickupAddress,
+            name: data.customerName,
+            phone: data.customerPhone,
+            email: data.customerEmail,
+            extras: data.extras.join(', '),
+            notes: data.notes,
+            total: data.total || '',
+            summary: message
+        });
+
+        const response = await fetch('/', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: body.toString()
+        });
+        if (!response.ok) {
+            throw new Error(`Netlify form submission failed: ${response.status}`);
+        }
+    }
+
+    /**
+     * Confirmation, with the same summary ready for WhatsApp
+     * When sending failed this link is the way to still reach us.
+     */
+    showDone(data, sent) {
+        const done = this.section.querySelector('[data-booking-done]');
+        const icon = done.querySelector('[data-booking-done-icon]');
+        const title = done.querySelector('[data-booking-done-title]');
+
+        icon.classList.toggle('fa-check-circle', sent);
+        icon.classList.toggle('text-green-500', sent);
+        icon.classList.toggle('fa-exclamation-circle', !sent);
+        icon.classList.toggle('text-yellow-500', !sent);
+        title.textContent = this.t(sent ? 'sentTitle' : 'failedTitle');
+        done.querySelector('[data-booking-done-text]').textContent = this.t(sent ? 'sentText' : 'failedText');
+        done.querySelector('[data-booking-whatsapp]').href = window.MedridatoursBooking.buildLink(data);
+        done.querySelector('[data-booking-retry]').classList.toggle('hidden', sent);
+
+        this.form.classList.add('hidden');
+        this.section.querySelector('[data-booking-progress]').classList.add('hidden');
+        this.hideNotice();
+        done.classList.remove('hidden');
+        title.focus();
+    }
+
+    showForm() {
+        this.section.querySelector('[data-booking-done]').classList.add('hidden');
+        this.section.querySelector('[data-booking-progress]').classList.remove('hidden');
+        this.form.classList.remove('hidden');
+        this.showStep(this.current);
+    }
+
+    startOver() {
+        this.clearDraft();
+        this.form.reset();
+        this.toggleHotelField();
+        this.current = 0;
+        this.showForm();
+    }
+
+    /**
+     * Draft in localStorage, so a refresh does not lose the visitor's answers
+     */
+    saveDraft() {
+        const values = {};
+        [...this.form.elements].forEach(field => {
+            if (!field.name || field.type === 'button' || field.type === 'submit') return;
+            if (field.type === 'checkbox') {
+                values[field.name] = values[field.name] || [];
+                if (field.checked) values[field.name].push(field.value);
+            } else if (field.type === 'radio') {
+                if (field.checked) values[field.name] = field.value;
+            } else {
+                values[field.name] = field.value;
+            }
+        });
+
+        try {
+            localStorage.setItem(this.draftKey, JSON.stringify({ step: this.current, savedAt: Date.now(), values }));
+        } catch (error) {
+            // Private mode or full storage: the form still works, only the draft is lost
+            console.warn('Booking draft not saved:', error);
+        }
+    }
+
+    /**
+     * Returns true when a draft was put back into the form
+     */
+    restoreDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(this.draftKey));
+        } catch (error) {
+            console.warn('Booking draft ignored:', error);
+        }
+        if (!draft || !draft.values || Date.now() - draft.savedAt > this.draftMaxAge) {
+            this.clearDraft();
+            return false;
+        }
+
+        [...this.form.elements].forEach(field => {
+            if (!field.name || !(field.name in draft.values)) return;
+            const value = draft.values[field.name];
+            if (field.type === 'checkbox') {
+                field.checked = Array.isArray(value) && value.includes(field.value);
+            } else if (field.type === 'radio') {
+                field.checked = field.value === value;
+            } else {
+                field.value = value;
+            }
+        });
+
+        // Later steps were reached through validation, and submit() checks every step again
+        this.current = Math.min(parseInt(draft.step, 10) || 0, this.steps.length - 1);
+        return true;
+    }
+
+    clearDraft() {
+        try {
+            localStorage.removeItem(this.draftKey);
+        } catch (error) {
+            console.warn('Booking draft not cleared:', error);
+        }
+    }
+
+    /**
+     * UI helpers
+     */
+    showNotice(message) {
+        const notice = this.section.querySelector('[data-booking-notice]');
+        notice.textContent = message;
+        notice.classList.remove('hidden');
+    }
+
+    hideNotice() {
+        this.section.querySelector('[data-booking-notice]').classList.add('hidden');
+    }
+}
+
+// Initialize the booking form when DOM is ready (after the fleet catalog and the quote calculator)
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('booking-form');
+    if (form && window.fleetCatalog) {
+        window.bookingForm = new BookingForm(form);
+    }
+});
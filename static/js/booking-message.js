@@ -0,0 +1,240 @@
+/**
+ * Booking Message Builder - Pure JavaScript
+ * Generates structured WhatsApp booking messages and correctly encoded wa.me deep links
+ * Version: 1.0.0
+ */
+
+class BookingMessageBuilder {
+    constructor() {
+        this.phoneNumber = '212629473725';
+        this.maxLength = 1000; // Maximum message length in characters
+        this.maxFieldLength = 120; // Maximum length of a single free-text value
+        // Messages are written in the page language unless the caller asks for another one
+        this.defaultLanguage = (window.MedridatoursI18n && window.MedridatoursI18n.language) || 'fr';
+
+        this.translations = {
+            fr: {
+                locale: 'fr-FR',
+                languageName: 'Français',
+                greeting: 'Bonjour Medridatours,',
+                topics: {
+                    general: 'je vous contacte depuis votre site.',
+                    rental: 'je souhaite réserver un véhicule.',
+                    rentalVehicle: 'je souhaite réserver la {vehicle}.',
+                    'fleet-info': 'je souhaite obtenir des informations sur vos véhicules.',
+                    transport: 'je souhaite des informations sur vos services de transport touristique.',
+                    minibus: 'je souhaite un devis pour transport en mini-bus.',
+                    chauffeur: 'je souhaite un véhicule avec chauffeur pour du tourisme.',
+                    'chauffeur-compact': 'je souhaite un véhicule compact avec chauffeur.',
+                    tour: 'je souhaite organiser un circuit touristique personnalisé.',
+                    'airport-transfer': 'je souhaite réserver un transfert aéroport.',
+                    event: 'je souhaite du transport pour un événement spécial.',
+                    'multi-day-tour': 'je souhaite organiser un transport pour circuit de plusieurs jours.'
+                },
+                labels: {
+                    customerName: 'Nom',
+                    phone: 'Téléphone',
+                    email: 'E-mail',
+                    vehicle: 'Véhicule',
+                    pickup: 'Départ',
+                    dropoff: 'Retour',
+                    days: 'Durée',
+                    pickupLocation: 'Lieu de prise en charge',
+                    passengers: 'Passagers',
+                    extras: 'Options',
+                    notes: 'Message',
+                    total: 'Total estimé',
+                    language: 'Langue'
+                },
+                days: count => `${count} jour${count > 1 ? 's' : ''}`,
+                locations: {
+                    centre: 'Essaouira centre',
+                    airport: 'Aéroport d\'Essaouira',
+                    hotel: 'Hôtel / Riad'
+                }
+            },
+            en: {
+                locale: 'en-GB',
+                languageName: 'English',
+                greeting: 'Hello Medridatours,',
+                topics: {
+                    general: 'I am contacting you from your website.',
+                    rental: 'I would like to book a car.',
+                    rentalVehicle: 'I would like to book the {vehicle}.',
+                    'fleet-info': 'I would like some information about your vehicles.',
+                    transport: 'I would like some information about your tourist transport services.',
+                    minibus: 'I would like a quote for a minibus transfer.',
+                    chauffeur: 'I would like a vehicle with a driver for sightseeing.',
+                    'chauffeur-compact': 'I would like a compact vehicle with a driver.',
+                    tour: 'I would like to organise a custom tour.',
+                    'airport-transfer': 'I would like to book an airport transfer.',
+                    event: 'I would like transport for a special event.',
+                    'multi-day-tour': 'I would like to organise transport for a multi-day tour.'
+                },
+                labels: {
+                    customerName: 'Name',
+                    phone: 'Phone',
+                    email: 'Email',
+                    vehicle: 'Vehicle',
+                    pickup: 'Pickup',
+                    dropoff: 'Return',
+                    days: 'Duration',
+                    pickupLocation: 'Pickup location',
+                    passengers: 'Passengers',
+                    extras: 'Extras',
+                    notes: 'Message',
+                    total: 'Estimated total',
+                    language: 'Language'
+                },
+                days: count => `${count} day${count > 1 ? 's' : ''}`,
+                locations: {
+                    centre: 'Essaouira centre',
+                    airport: 'Essaouira airport',
+                    hotel: 'Hotel / Riad'
+                }
+            },
+            ar: {
+                locale: 'ar-MA',
+                languageName: 'العربية',
+                greeting: 'مرحبا ميدريداتورز،',
+                topics: {
+                    general: 'أتواصل معكم من موقعكم الإلكتروني.',
+                    rental: 'أرغب في حجز سيارة.',
+                    rentalVehicle: 'أرغب في حجز {vehicle}.',
+                    'fleet-info': 'أرغب في الحصول على معلومات حول سياراتكم.',
+                    transport: 'أرغب في الحصول على معلومات حول خدمات النقل السياحي.',
+                    minibus: 'أرغب في عرض سعر للنقل بالحافلة الصغيرة.',
+                    chauffeur: 'أرغب في سيارة مع سائق للسياحة.',
+                    'chauffeur-compact': 'أرغب في سيارة صغيرة مع سائق.',
+                    tour: 'أرغب في تنظيم جولة سياحية مخصصة.',
+                    'airport-transfer': 'أرغب في حجز نقل من أو إلى المطار.',
+                    event: 'أرغب في النقل لمناسبة خاصة.',
+                    'multi-day-tour': 'أرغب في تنظيم النقل لجولة لعدة أيام.'
+                },
+                labels: {
+                    customerName: 'الاسم',
+                    phone: 'الهاتف',
+                    email: 'البريد الإلكتروني',
+                    vehicle: 'السيارة',
+                    pickup: 'الاستلام',
+                    dropoff: 'الإرجاع',
+                    days: 'المدة',
+                    pickupLocation: 'مكان الاستلام',
+                    passengers: 'عدد الركاب',
+                    extras: 'الخيارات',
+                    notes: 'ملاحظات',
+                    total: 'المجموع التقديري',
+                    language: 'اللغة'
+                },
+                days: count => `${count} ${count > 2 && count < 11 ? 'أيام' : 'يوم'}`,
+                locations: {
+                    centre: 'وسط الصويرة',
+                    airport: 'مطار الصويرة',
+                    hotel: 'فندق / رياض'
+                }
+            }
+        };
+    }
+
+    /**
+     * Build the message text from structured booking data
+     *
+     * data: { topic, vehicle, pickup, dropoff, days, pickupLocation, pickupAddress, passengers,
+     *         extras, customerName, customerPhone, customerEmail, notes, total, language }
+     * pickupAddress details the pickup location, e.g. the hotel name
+     */
+    build(data = {}) {
+        const language = this.translations[data.language] ? data.language : this.defaultLanguage;
+        const t = this.translations[language];
+        const topic = data.topic === 'rental' && data.vehicle ? 'rentalVehicle' :
+            (t.topics[data.topic] ? data.topic : 'general');
+
+        const lines = [
+            `${t.greeting} ${t.topics[topic].replace('{vehicle}', this.clean(data.vehicle))}`
+        ];
+        const details = [];
+        const add = (label, value) => {
+            if (value !== undefined && value !== null && value !== '') {
+                details.push(`- ${t.labels[label]} : ${value}`);
+            }
+        };
+
+        add('customerName', this.clean(data.customerName));
+        add('phone', this.clean(data.customerPhone));
+        add('email', this.clean(data.customerEmail));
+        if (topic !== 'rentalVehicle') add('vehicle', this.clean(data.vehicle));
+        add('pickup', this.formatDate(data.pickup, t.locale));
+        add('dropoff', this.formatDate(data.dropoff, t.locale));
+        add('days', data.days ? t.days(parseInt(data.days, 10)) : '');
+        add('pickupLocation', [t.locations[data.pickupLocation] || this.clean(data.pickupLocation), this.clean(data.pickupAddress)]
+            .filter(Boolean).join(' - '));
+        add('passengers', parseInt(data.passengers, 10) > 0 ? parseInt(data.passengers, 10) : '');
+        add('extras', (data.extras || []).map(extra => this.clean(extra)).filter(Boolean).join(', '));
+        add('notes', this.clean(data.notes));
+        add('total', this.clean(data.total));
+
+        if (details.length > 0) {
+            // Tell staff which language to answer in
+            if (data.language) add('language', t.languageName);
+            lines.push('', ...details);
+        }
+
+        return this.limit(lines.join('\n'));
+    }
+
+    /**
+     * Build the wa.me deep link for the given booking data
+     */
+    buildLink(data = {}) {
+        return `https://wa.me/${this.phoneNumber}?text=${encodeURIComponent(this.build(data))}`;
+    }
+
+    /**
+     * Rewrite the href of every WhatsApp CTA marked with data-booking-topic
+     */
+    enhanceLinks(root = document) {
+        root.querySelectorAll('a[data-booking-topic]').forEach(link => {
+            link.href = this.buildLink({
+                topic: link.dataset.bookingTopic,
+                vehicle: link.dataset.bookingVehicle,
+                language: link.dataset.bookingLanguage
+            });
+        });
+    }
+
+    /**
+     * Helpers
+     */
+    clean(value) {
+        if (value === undefined || value === null) return '';
+        return this.truncate(String(value).replace(/\s+/g, ' ').trim(), this.maxFieldLength);
+    }
+
+    formatDate(value, locale) {
+        if (!value) return '';
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return this.clean(value);
+        return date.toLocaleString(locale, { dateStyle: 'short', timeStyle: 'short' });
+    }
+
+    limit(text) {
+        return this.truncate(text, this.maxLength);
+    }
+
+    /**
+     * Cut by code points, so that an emoji is never split into a lone surrogate,
+     * which encodeURIComponent refuses
+     */
+    truncate(text, max) {
+        const characters = Array.from(text);
+        return characters.length > max ? characters.slice(0, max - 1).join('') + '…' : text;
+    }
+}
+
+// Shared instance, available before the DOM is ready
+window.MedridatoursBooking = new BookingMessageBuilder();
+
+// Generate the WhatsApp CTAs when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.MedridatoursBooking.enhanceLinks();
+});
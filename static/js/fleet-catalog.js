@@ -0,0 +1,332 @@
+/**
+ * Fleet Catalog - Pure JavaScript
+ * Loads the vehicle catalog from a single JSON file and renders the vehicle cards
+ * Version: 1.0.0
+ */
+
+class FleetCatalog {
+    constructor() {
+        this.catalogUrl = '/static/data/fleet.json';
+        this.currency = 'EUR';
+        this.vehicles = [];
+        this.loadingPromise = null;
+        this.i18n = window.MedridatoursI18n;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the catalog: load the data and render every fleet grid on the page
+     */
+    async init() {
+        const grids = document.querySelectorAll('[data-fleet-grid]');
+
+        try {
+            await this.load();
+        } catch (error) {
+            console.error('Fleet catalog load error:', error);
+            grids.forEach(grid => this.renderError(grid));
+            return;
+        }
+
+        grids.forEach(grid => {
+            const vehicles = grid.dataset.fleetGrid === 'featured' ?
+                this.getFeaturedVehicles() : this.getVehicles();
+            this.renderGrid(grid, vehicles);
+        });
+
+        this.bindDetailView();
+
+        console.log(`Fleet catalog initialized with ${this.vehicles.length} vehicles`);
+    }
+
+    /**
+     * Load the catalog JSON once and cache the result
+     */
+    load() {
+        if (!this.loadingPromise) {
+            this.loadingPromise = fetch(this.catalogUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Fleet catalog request failed: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.currency = data.currency || this.currency;
+                    // Descriptions in the page language
+                    this.vehicles = Array.isArray(data.vehicles) ?
+                        data.vehicles.map(vehicle => this.i18n.localize(vehicle)) : [];
+                    return this.vehicles;
+                })
+                .catch(error => {
+                    // Allow a later call to retry
+                    this.loadingPromise = null;
+                    throw error;
+                });
+        }
+        return this.loadingPromise;
+    }
+
+    /**
+     * Catalog accessors
+     */
+    getVehicles() {
+        return this.vehicles.slice();
+    }
+
+    getFeaturedVehicles() {
+        return this.vehicles.filter(vehicle => vehicle.featured);
+    }
+
+    getVehicle(id) {
+        return this.vehicles.find(vehicle => vehicle.id === id) || null;
+    }
+
+    /**
+     * Match a free-text vehicle name (older reviews) to a catalog vehicle
+     * Exact name first, then the only vehicle whose name contains the text or is contained in it
+     */
+    findVehicleByName(name) {
+        const normalize = text => String(text || '').toLowerCase().normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+        const wanted = normalize(name);
+        if (wanted.length < 3) return null;
+
+        const exact = this.vehicles.find(vehicle => normalize(vehicle.name) === wanted);
+        if (exact) return exact;
+
+        const partial = this.vehicles.filter(vehicle => {
+            const candidate = normalize(vehicle.name);
+            return candidate.includes(wanted) || wanted.includes(candidate);
+        });
+        return partial.length === 1 ? partial[0] : null;
+    }
+
+    /**
+     * Render a list of vehicles into a grid container
+     */
+    renderGrid(container, vehicles) {
+        const showBadge = container.dataset.fleetGrid === 'featured';
+
+        container.innerHTML = vehicles
+            .map(vehicle => this.createVehicleCardHTML(vehicle, { showBadge }))
+            .join('');
+
+        // Let other scripts enhance the freshly rendered cards
+        document.dispatchEvent(new CustomEvent('fleet:rendered', {
+            detail: { container, vehicles }
+        }));
+    }
+
+    /**
+     * Show a fallback message when the catalog cannot be loaded
+     */
+    renderError(container) {
+        container.innerHTML = `
+            <div class="col-span-full text-center py-8">
+                <i class="fas fa-car text-3xl text-gray-300 mb-3"></i>
+                <p class="text-gray-600 mb-4">${this.i18n.t('fleet.loadError')}</p>
+                <a href="${window.MedridatoursBooking.buildLink({ topic: 'fleet-info' })}" target="_blank" class="inline-block bg-green-500 text-white px-6 py-2 rounded hover:bg-green-600 transition-colors">
+                    <i class="fab fa-whatsapp mr-1"></i>
+                    ${this.i18n.t('fleet.askList')}
+                </a>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a single vehicle card
+     */
+    createVehicleCardHTML(vehicle, options = {}) {
+        const t = (key, params) => this.i18n.t(key, params);
+        const name = this.escapeHtml(vehicle.name);
+        const price = this.formatDailyPrice(vehicle.pricePerDay);
+
+        return `
+            <div class="bg-white rounded-2xl shadow-xl overflow-hidden hover:shadow-2xl transition-all duration-300 flex flex-col h-full min-h-[420px]" data-vehicle-id="${this.escapeHtml(vehicle.id)}">
+                <div class="relative flex justify-center items-center bg-gray-100" style="padding: 32px 0 24px 0; min-height: 180px;">
+                    <img src="${encodeURI(vehicle.image)}" alt="${t('fleet.cardImageAlt', { name, price: vehicle.pricePerDay })}" class="w-11/12 h-44 object-contain rounded-xl shadow-md border border-gray-200 transition-transform duration-300 hover:scale-105 bg-white">
+                    ${options.showBadge ? `
+                    <div class="absolute top-4 right-4">
+                        <span class="bg-blue-600 text-white px-2 py-1 rounded text-sm font-semibold">${t('fleet.featured')}</span>
+                    </div>` : ''}
+                </div>
+                <div class="p-6 flex-1 flex flex-col justify-between">
+                    <div>
+                        <h3 class="text-xl font-semibold mb-2 text-center">${name}</h3>
+                        <div class="flex items-center justify-center gap-1 text-sm min-h-[1.25rem] mb-4" data-vehicle-rating></div>
+                        <div class="space-y-2 text-sm text-gray-600 mb-6">
+                            <div class="flex items-center gap-2 justify-center">
+                                ${this.createSpecIcon('fa-cog text-blue-500', 'transmission')}
+                                <span class="font-semibold">${t('fleet.transmission')}:</span>
+                                <span>${this.escapeHtml(this.formatValue(vehicle.transmission))}</span>
+                            </div>
+                            <div class="flex items-center gap-2 justify-center">
+                                ${this.createSpecIcon('fa-car-side text-purple-500', 'type')}
+                                <span class="font-semibold">${t('fleet.type')}:</span>
+                                <span>${this.escapeHtml(vehicle.description)}</span>
+                            </div>
+                            <div class="flex items-center gap-2 justify-center">
+                                ${this.createSpecIcon('fa-gas-pump text-green-500', 'fuel')}
+                                <span class="font-semibold">${t('fleet.fuel')}:</span>
+                                <span>${this.escapeHtml(this.formatFuel(vehicle.fuel))}</span>
+                            </div>
+                        </div>
+                        <div class="text-center mb-4">
+                            <a href="/fleet/#vehicle-${this.escapeHtml(vehicle.id)}" class="text-sm text-blue-600 hover:text-blue-700 font-medium">
+                                ${t('fleet.details')}
+                            </a>
+                        </div>
+                    </div>
+                    <div>
+                        <div class="flex justify-center items-center mb-4">
+                            <span class="text-2xl font-bold text-blue-600">${price}</span>
+                        </div>
+                        <div class="flex gap-2">
+                            <a href="${this.getBookingLink(vehicle)}" target="_blank" data-booking-link class="flex-1 bg-green-500 text-white text-center py-2 rounded hover:bg-green-600 transition-colors">
+                                <i class="fab fa-whatsapp mr-1"></i>
+                                ${t('fleet.book')}
+                            </a>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Vehicle detail view, opened from a #vehicle-<id> link on the fleet page
+     */
+    bindDetailView() {
+        const modal = document.getElementById('vehicle-detail-modal');
+        if (!modal) return;
+
+        // Close when clicking outside, on the close button or with ESC
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('[data-vehicle-detail-close]')) {
+                this.closeDetail();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+                this.closeDetail();
+            }
+        });
+
+        window.addEventListener('hashchange', () => this.showDetailFromHash());
+        this.showDetailFromHash();
+    }
+
+    showDetailFromHash() {
+        const match = window.location.hash.match(/^#vehicle-([\w-]+)$/);
+        if (match && this.getVehicle(match[1])) {
+            this.openDetail(match[1]);
+        } else {
+            this.closeDetail();
+        }
+    }
+
+    openDetail(id) {
+        const modal = document.getElementById('vehicle-detail-modal');
+        const vehicle = this.getVehicle(id);
+        if (!modal || !vehicle) return;
+
+        const content = modal.querySelector('[data-vehicle-detail]');
+        content.innerHTML = this.createVehicleDetailHTML(vehicle);
+        modal.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+
+        // Let other scripts add their sections (availability, reviews...)
+        document.dispatchEvent(new CustomEvent('fleet:detail-opened', {
+            detail: { container: content.querySelector('[data-vehicle-detail-sections]'), vehicle }
+        }));
+    }
+
+    closeDetail() {
+        const modal = document.getElementById('vehicle-detail-modal');
+        if (!modal || modal.classList.contains('hidden')) return;
+
+        modal.classList.add('hidden');
+        document.body.style.overflow = 'auto';
+        if (window.location.hash.startsWith('#vehicle-')) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+
+    /**
+     * Spec icon with a tooltip explaining the spec (static/js/tooltip.js)
+     */
+    createSpecIcon(classes, spec) {
+        const t = key => this.i18n.t(key);
+        return `<i class="fas ${classes}" tabindex="0" role="img" aria-label="${t(`fleet.${spec}`)}" data-tooltip="${t(`fleet.tooltips.${spec}`)}"></i>`;
+    }
+
+    /**
+     * Create HTML for the vehicle detail view
+     */
+    createVehicleDetailHTML(vehicle) {
+        const t = (key, params) => this.i18n.t(key, params);
+        const name = this.escapeHtml(vehicle.name);
+
+        return `
+            <div class="flex justify-center bg-gray-100 rounded-xl p-6 mb-6">
+                <img src="${encodeURI(vehicle.image)}" alt="${t('fleet.imageAlt', { name })}" class="h-56 object-contain">
+            </div>
+            <h2 id="vehicle-detail-title" class="text-2xl font-bold text-gray-800 mb-4">${name}</h2>
+            <div class="grid grid-cols-2 gap-3 text-sm text-gray-600 mb-6">
+                <div>${this.createSpecIcon('fa-cog text-blue-500 mr-2', 'transmission')}<span class="font-semibold">${t('fleet.transmission')}:</span> ${this.escapeHtml(this.formatValue(vehicle.transmission))}</div>
+                <div>${this.createSpecIcon('fa-gas-pump text-green-500 mr-2', 'fuel')}<span class="font-semibold">${t('fleet.fuel')}:</span> ${this.escapeHtml(this.formatFuel(vehicle.fuel))}</div>
+                <div>${this.createSpecIcon('fa-car-side text-purple-500 mr-2', 'type')}<span class="font-semibold">${t('fleet.type')}:</span> ${this.escapeHtml(vehicle.description)}</div>
+                <div>${this.createSpecIcon('fa-user-friends text-yellow-500 mr-2', 'seats')}<span class="font-semibold">${t('fleet.seats')}:</span> ${vehicle.seats}</div>
+            </div>
+            <div class="flex items-center justify-between mb-6">
+                <span class="text-2xl font-bold text-blue-600">${this.formatDailyPrice(vehicle.pricePerDay)}</span>
+                <a href="${this.getBookingLink(vehicle)}" target="_blank" data-booking-link class="bg-green-500 text-white px-6 py-2 rounded hover:bg-green-600 transition-colors">
+                    <i class="fab fa-whatsapp mr-1"></i>
+                    ${t('fleet.book')}
+                </a>
+            </div>
+            <div data-vehicle-detail-sections class="space-y-6"></div>
+        `;
+    }
+
+    /**
+     * Formatting helpers
+     */
+    formatDailyPrice(price) {
+        const symbol = this.currency === 'EUR' ? '€' : this.currency;
+        return `${price} ${symbol} / ${this.i18n.t('fleet.perDay')}`;
+    }
+
+    /**
+     * Catalog values (transmission, fuel) are stored in French
+     */
+    formatValue(value) {
+        const key = `fleet.values.${value}`;
+        return this.i18n.has(key) ? this.i18n.t(key) : (value || '');
+    }
+
+    formatFuel(fuel) {
+        return Array.isArray(fuel) ? fuel.map(value => this.formatValue(value)).join(' / ') : this.formatValue(fuel);
+    }
+
+    getBookingLink(vehicle, booking = {}) {
+        return window.MedridatoursBooking.buildLink(Object.assign({
+            topic: 'rental',
+            vehicle: vehicle.name
+        }, booking));
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        // Also escape quotes since values are used inside attributes
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize the fleet catalog when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.fleetCatalog = new FleetCatalog();
+});
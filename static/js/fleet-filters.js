@@ -0,0 +1,271 @@
+/**
+ * Fleet Filters - Pure JavaScript
+ * Client-side filtering and sorting of the fleet catalog, with state kept in the URL
+ * Version: 1.0.0
+ */
+
+class FleetFilters {
+    constructor(form, grid) {
+        this.form = form;
+        this.grid = grid;
+        this.catalog = window.fleetCatalog;
+        this.defaults = {
+            q: '',
+            transmission: '',
+            fuel: '',
+            seats: 0,
+            max: 0,
+            sort: ''
+        };
+        this.state = Object.assign({}, this.defaults);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the filter bar once the catalog is loaded
+     */
+    async init() {
+        try {
+            await this.catalog.load();
+        } catch (error) {
+            // FleetCatalog already shows the error state in the grid
+            this.form.classList.add('hidden');
+            return;
+        }
+
+        this.populateOptions();
+        this.state = this.readStateFromUrl();
+        this.writeStateToForm();
+        this.bindEvents();
+        this.apply();
+    }
+
+    /**
+     * Fill the fuel options and the price slider bounds from the catalog
+     */
+    populateOptions() {
+        const vehicles = this.catalog.getVehicles();
+
+        const fuelSelect = this.form.elements.fuel;
+        const fuels = [...new Set(vehicles.flatMap(vehicle => vehicle.fuel || []))].sort();
+        fuels.forEach(fuel => {
+            const option = document.createElement('option');
+            option.value = fuel;
+            option.textContent = this.catalog.formatValue(fuel);
+            fuelSelect.appendChild(option);
+        });
+
+        const prices = vehicles.map(vehicle => vehicle.pricePerDay);
+        const slider = this.form.elements.max;
+        slider.min = Math.min(...prices);
+        slider.max = Math.max(...prices);
+        slider.step = 5;
+        this.defaults.max = Number(slider.max);
+    }
+
+    /**
+     * Bind form events
+     */
+    bindEvents() {
+        const debouncedApply = MedridatoursUtils.debounce(() => this.handleChange(), 300);
+
+        this.form.addEventListener('input', (e) => {
+            if (e.target.type === 'search') {
+                debouncedApply();
+            } else {
+                this.handleChange();
+            }
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleChange();
+        });
+
+        this.form.addEventListener('reset', (e) => {
+            e.preventDefault();
+            this.state = Object.assign({}, this.defaults);
+            this.writeStateToForm();
+            this.writeStateToUrl();
+            this.apply();
+        });
+
+        // Keep the page in sync with back/forward navigation
+        window.addEventListener('popstate', () => {
+            this.state = this.readStateFromUrl();
+            this.writeStateToForm();
+            this.apply();
+        });
+    }
+
+    handleChange() {
+        this.state = this.readStateFromForm();
+        this.writeStateToUrl();
+        this.apply();
+    }
+
+    /**
+     * Filter, sort and render the vehicles for the current state
+     */
+    apply() {
+        const vehicles = this.sortVehicles(this.filterVehicles(this.catalog.getVehicles(), this.state), this.state.sort);
+
+        this.updatePriceOutput();
+        this.updateResultCount(vehicles.length);
+
+        if (vehicles.length === 0) {
+            this.renderEmpty();
+        } else {
+            this.catalog.renderGrid(this.grid, vehicles);
+        }
+    }
+
+    /**
+     * Return the vehicles matching every active filter
+     */
+    filterVehicles(vehicles, state) {
+        const query = state.q.trim().toLowerCase();
+
+        return vehicles.filter(vehicle => {
+            if (query && !`${vehicle.name} ${vehicle.category} ${vehicle.description}`.toLowerCase().includes(query)) {
+                return false;
+            }
+            if (state.transmission && vehicle.transmission !== state.transmission) {
+                return false;
+            }
+            if (state.fuel && !(vehicle.fuel || []).includes(state.fuel)) {
+                return false;
+            }
+            if (state.seats && vehicle.seats < state.seats) {
+                return false;
+            }
+            if (state.max && vehicle.pricePerDay > state.max) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Sort by daily price; catalog order is kept otherwise
+     */
+    sortVehicles(vehicles, sort) {
+        if (sort === 'price-asc') {
+            return vehicles.slice().sort((a, b) => a.pricePerDay - b.pricePerDay);
+        }
+        if (sort === 'price-desc') {
+            return vehicles.slice().sort((a, b) => b.pricePerDay - a.pricePerDay);
+        }
+        return vehicles;
+    }
+
+    /**
+     * State <-> form / URL
+     */
+    readStateFromForm() {
+        const elements = this.form.elements;
+        return this.normalizeState({
+            q: elements.q.value,
+            transmission: elements.transmission.value,
+            fuel: elements.fuel.value,
+            seats: elements.seats.value,
+            max: elements.max.value,
+            sort: elements.sort.value
+        });
+    }
+
+    writeStateToForm() {
+        const elements = this.form.elements;
+        elements.q.value = this.state.q;
+        elements.transmission.value = this.state.transmission;
+        elements.fuel.value = this.state.fuel;
+        elements.seats.value = this.state.seats ? String(this.state.seats) : '';
+        elements.max.value = this.state.max || this.defaults.max;
+        elements.sort.value = this.state.sort;
+    }
+
+    readStateFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const raw = {};
+        Object.keys(this.defaults).forEach(key => {
+            raw[key] = params.has(key) ? params.get(key) : this.defaults[key];
+        });
+        return this.normalizeState(raw);
+    }
+
+    writeStateToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        Object.keys(this.defaults).forEach(key => {
+            if (this.state[key] && this.state[key] !== this.defaults[key]) {
+                params.set(key, this.state[key]);
+            } else {
+                params.delete(key);
+            }
+        });
+
+        const query = params.toString();
+        const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+        history.replaceState(null, '', url);
+    }
+
+    /**
+     * Coerce raw values and drop anything the select boxes do not offer
+     */
+    normalizeState(raw) {
+        const elements = this.form.elements;
+        const allowed = (select, value) => [...select.options].some(option => option.value === value) ? value : '';
+        const seats = parseInt(raw.seats, 10) || 0;
+        const max = parseInt(raw.max, 10) || 0;
+
+        return {
+            q: String(raw.q || '').substring(0, 50),
+            transmission: allowed(elements.transmission, String(raw.transmission || '')),
+            fuel: allowed(elements.fuel, String(raw.fuel || '')),
+            seats: allowed(elements.seats, String(seats)) ? seats : 0,
+            max: max && max < this.defaults.max ? Math.max(max, Number(elements.max.min) || 0) : 0,
+            sort: allowed(elements.sort, String(raw.sort || ''))
+        };
+    }
+
+    /**
+     * UI helpers
+     */
+    updatePriceOutput() {
+        const output = this.form.querySelector('#fleet-max-price-output');
+        if (output) {
+            output.textContent = `${this.state.max || this.defaults.max} €`;
+        }
+    }
+
+    updateResultCount(count) {
+        const counter = document.getElementById('fleet-result-count');
+        if (counter) {
+            counter.textContent = window.MedridatoursI18n.t('filters.resultCount', { count });
+        }
+    }
+
+    renderEmpty() {
+        const t = key => window.MedridatoursI18n.t(key);
+        this.grid.innerHTML = `
+            <div class="col-span-full text-center py-8 bg-white rounded-lg shadow-sm border border-gray-200">
+                <i class="fas fa-car text-3xl text-gray-300 mb-3"></i>
+                <h3 class="text-lg font-medium text-gray-600 mb-1">${t('filters.emptyTitle')}</h3>
+                <p class="text-gray-500 text-sm mb-4">${t('filters.emptyText')}</p>
+                <button type="button" class="text-blue-600 hover:text-blue-700 font-medium" data-fleet-filters-reset>
+                    ${t('filters.resetAll')}
+                </button>
+            </div>
+        `;
+        this.grid.querySelector('[data-fleet-filters-reset]').addEventListener('click', () => this.form.reset());
+    }
+}
+
+// Initialize the filter bar when DOM is ready (after the fleet catalog)
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('fleet-filters');
+    const grid = document.getElementById('fleet-grid');
+    if (form && grid && window.fleetCatalog) {
+        window.fleetFilters = new FleetFilters(form, grid);
+    }
+});
@@ -0,0 +1,273 @@
+/**
+ * Form Validation - Pure JavaScript
+ * Declarative validation for every form of the site, with inline errors linked through aria-describedby,
+ * an announcement for screen readers and focus moved to the first error
+ * Version: 1.0.0
+ *
+ * Rules are read from the field attributes:
+ *   required                          text, selects, checkboxes and radio groups
+ *   minlength                         minimum length of the trimmed value
+ *   type="email" / type="tel"         email address, Moroccan or international phone number
+ *   min / data-validate-after="name"  date fields: earliest date, and not before another date field
+ * data-message-<rule>="i18n.key" replaces the default message of a rule (validation.<rule>), and
+ * data-validation-anchor="#id" shows the error next to another element and moves focus to it,
+ * e.g. the star buttons of the hidden rating input.
+ *
+ * main.js validates forms on submit; forms marked data-validation="manual" call validate() from their own script.
+ */
+
+// One validator per form, shared by main.js and the form's own script
+const FORM_VALIDATORS = new WeakMap();
+let formValidationIds = 0;
+
+class FormValidator {
+    constructor(form) {
+        this.form = form;
+        this.i18n = window.MedridatoursI18n;
+        this.invalid = new Set();
+        this.liveRegion = null;
+
+        // Our messages replace the browser bubbles
+        this.form.noValidate = true;
+        this.bindEvents();
+    }
+
+    static for(form) {
+        if (!FORM_VALIDATORS.has(form)) {
+            FORM_VALIDATORS.set(form, new FormValidator(form));
+        }
+        return FORM_VALIDATORS.get(form);
+    }
+
+    /**
+     * Block the submission of an invalid form (forms without their own script)
+     */
+    attach() {
+        this.form.addEventListener('submit', (e) => {
+            if (this.validate().length > 0) {
+                e.preventDefault();
+            }
+        });
+        return this;
+    }
+
+    bindEvents() {
+        // An error goes away as soon as the field is fixed
+        const revalidate = (e) => {
+            const field = this.findInvalid(e.target);
+            if (field) this.validateField(field);
+        };
+        this.form.addEventListener('input', revalidate);
+        this.form.addEventListener('change', revalidate);
+        this.form.addEventListener('reset', () => this.reset());
+    }
+
+    /**
+     * Validate every field inside root (the whole form, or one step of it)
+     * Returns the invalid fields; options.focus = false leaves the focus where it is
+     */
+    validate(root = this.form, options = {}) {
+        const radioGroups = new Set();
+        const fields = [...root.querySelectorAll('input, select, textarea')].filter(field => {
+            if (field.type !== 'radio') return true;
+            // A radio group is checked once
+            if (radioGroups.has(field.name)) return false;
+            radioGroups.add(field.name);
+            return true;
+        });
+
+        const invalid = fields.filter(field => this.validateField(field));
+        if (invalid.length > 0) {
+            this.announce(this.i18n.t('validation.summary', { count: invalid.length }));
+            if (options.focus !== false) this.focus(invalid[0]);
+        }
+        return invalid;
+    }
+
+    /**
+     * Check one field and show or clear its error; returns the message or null
+     */
+    validateField(field) {
+        const message = this.getError(field);
+        if (message) {
+            this.showError(field, message);
+        } else {
+            this.clearError(field);
+        }
+        return message;
+    }
+
+    /**
+     * Message of the first rule the field breaks, or null
+     */
+    getError(field) {
+        if (field.disabled || ['button', 'submit', 'reset'].includes(field.type)) return null;
+
+        const value = this.getValue(field);
+        if (field.required && !value) return this.getMessage(field, 'required');
+        if (!value) return null;
+
+        const minLength = parseInt(field.getAttribute('minlength'), 10);
+        if (minLength && value.length < minLength) {
+            return this.getMessage(field, 'minlength', { min: minLength });
+        }
+        if (field.type === 'email' && !FormValidator.isEmail(value)) {
+            return this.getMessage(field, 'email');
+        }
+        if (field.type === 'tel' && !FormValidator.isPhone(value)) {
+            return this.getMessage(field, 'phone');
+        }
+        if (field.type === 'date') {
+            const other = field.dataset.validateAfter && this.form.elements[field.dataset.validateAfter];
+            if (other && other.value && value < other.value) {
+                return this.getMessage(field, 'after', { date: this.formatDate(other.value) });
+            }
+            if (field.min && value < field.min) {
+                return this.getMessage(field, 'min', { date: this.formatDate(field.min) });
+            }
+        }
+        return null;
+    }
+
+    getValue(field) {
+        if (field.type === 'checkbox') return field.checked ? field.value : '';
+        if (field.type === 'radio') {
+            const checked = this.form.querySelector(`[name="${field.name}"]:checked`);
+            return checked ? checked.value : '';
+        }
+        return String(field.value || '').trim();
+    }
+
+    getMessage(field, rule, params) {
+        return this.i18n.t(field.getAttribute(`data-message-${rule}`) || `validation.${rule}`, params);
+    }
+
+    /**
+     * Email addresses: something@domain.tld
+     */
+    static isEmail(value) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(String(value || '').trim());
+    }
+
+    /**
+     * Moroccan numbers (06 12 34 56 78, +212 6 12 34 56 78, +212 (0)6...) and international E.164 numbers
+     */
+    static isPhone(value) {
+        const number = String(value || '')
+            .replace(/[\s.-]/g, '')
+            .replace(/^(\+|00)212\(?0\)?/, '+212')
+            .replace(/[()]/g, '');
+
+        return /^0[5-8]\d{8}$/.test(number) ||
+            /^(\+|00)212[5-8]\d{8}$/.test(number) ||
+            /^(\+|00)(?!212)[1-9]\d{6,14}$/.test(number);
+    }
+
+    /**
+     * Inline errors
+     */
+    showError(field, message) {
+        const target = this.getTarget(field);
+        if (!target.id) target.id = `validation-field-${++formValidationIds}`;
+
+        const id = `${target.id}-error`;
+        let error = document.getElementById(id);
+        if (!error) {
+            error = document.createElement('p');
+            error.id = id;
+            error.className = 'mt-1 text-sm text-red-600';
+            error.dataset.validationError = '';
+            target.insertAdjacentElement('afterend', error);
+        }
+        error.textContent = message;
+
+        target.classList.add('border-red-500');
+        target.setAttribute('aria-invalid', 'true');
+        FormValidator.setDescribedBy(target, id, true);
+        this.invalid.add(field);
+    }
+
+    clearError(field) {
+        const target = this.getTarget(field);
+        this.invalid.delete(field);
+        if (!target.id) return;
+
+        const id = `${target.id}-error`;
+        const error = document.getElementById(id);
+        if (error) error.remove();
+
+        target.classList.remove('border-red-500');
+        target.removeAttribute('aria-invalid');
+        FormValidator.setDescribedBy(target, id, false);
+    }
+
+    reset() {
+        [...this.invalid].forEach(field => this.clearError(field));
+        if (this.liveRegion) this.liveRegion.textContent = '';
+    }
+
+    /**
+     * Add or remove one id from aria-describedby, keeping the element's other descriptions (hints, tooltips)
+     */
+    static setDescribedBy(target, id, add) {
+        const ids = (target.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+        if (add) ids.push(id);
+
+        if (ids.length > 0) {
+            target.setAttribute('aria-describedby', ids.join(' '));
+        } else {
+            target.removeAttribute('aria-describedby');
+        }
+    }
+
+    /**
+     * Element showing the error: the anchor, the radio group, or the field itself
+     */
+    getTarget(field) {
+        const anchor = field.dataset.validationAnchor && this.form.querySelector(field.dataset.validationAnchor);
+        if (anchor) return anchor;
+        if (field.type === 'radio') {
+            return field.closest('[role="radiogroup"], fieldset') || field;
+        }
+        return field;
+    }
+
+    /**
+     * The invalid field an input or change event belongs to (any radio of an invalid group)
+     */
+    findInvalid(element) {
+        return [...this.invalid].find(field => field === element ||
+            (element.type === 'radio' && field.type === 'radio' && field.name === element.name)) || null;
+    }
+
+    focus(field) {
+        const target = this.getTarget(field);
+        if (target !== field && !target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus();
+    }
+
+    /**
+     * Screen readers hear how many fields need fixing, even when the focus does not move
+     */
+    announce(message) {
+        if (!this.liveRegion) {
+            this.liveRegion = document.createElement('div');
+            this.liveRegion.className = 'sr-only';
+            this.liveRegion.setAttribute('role', 'alert');
+            this.form.appendChild(this.liveRegion);
+        }
+
+        // Emptied first so the same message is announced again
+        this.liveRegion.textContent = '';
+        setTimeout(() => {
+            this.liveRegion.textContent = message;
+        }, 100);
+    }
+
+    formatDate(value) {
+        const date = new Date(`${value}T00:00`);
+        return isNaN(date.getTime()) ? value : date.toLocaleDateString(this.i18n.getLocale(), { dateStyle: 'long' });
+    }
+}
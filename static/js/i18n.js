@@ -0,0 +1,1333 @@
+/**
+ * Site Translations - Pure JavaScript
+ * Client-side translations (French, English, Arabic with RTL) with a persisted language choice
+ * Version: 1.0.0
+ */
+
+class I18n {
+    constructor() {
+        this.storageKey = 'medridatours_language';
+        this.defaultLanguage = 'fr';
+        this.languages = {
+            fr: { name: 'Français', locale: 'fr-FR', dir: 'ltr' },
+            en: { name: 'English', locale: 'en-GB', dir: 'ltr' },
+            ar: { name: 'العربية', locale: 'ar-MA', dir: 'rtl' }
+        };
+
+        // French page content lives in the HTML: the fr dictionary only holds strings built by scripts
+        this.translations = {
+            fr: {
+                validation: {
+                    required: 'Ce champ est obligatoire.',
+                    minlength: 'Veuillez entrer au moins {min} caractères.',
+                    email: 'Veuillez entrer une adresse courriel valide, par exemple nom@exemple.com.',
+                    phone: 'Veuillez entrer un numéro valide, par exemple 06 12 34 56 78 ou +33 6 12 34 56 78.',
+                    min: 'Veuillez choisir une date à partir du {date}.',
+                    after: 'Cette date ne peut pas être avant le {date}.',
+                    summary: ({ count }) => count > 1 ? `${count} champs sont à corriger.` : 'Un champ est à corriger.'
+                },
+                notifications: {
+                    dismiss: 'Fermer la notification'
+                },
+                pwa: {
+                    title: 'Installer Medridatours',
+                    text: 'Ajoutez le site à votre écran d\'accueil pour retrouver nos véhicules et nous contacter en un geste, même avec une connexion faible.',
+                    install: 'Installer',
+                    dismiss: 'Plus tard'
+                },
+                fleet: {
+                    featured: 'Vedette',
+                    transmission: 'Transmission',
+                    type: 'Type',
+                    fuel: 'Carburant',
+                    seats: 'Places',
+                    details: 'Voir les détails',
+                    book: 'Réserver',
+                    perDay: 'Jour',
+                    cardImageAlt: 'Location {name} Essaouira - Medridatours {price}€/jour',
+                    imageAlt: 'Location {name} Essaouira - Medridatours',
+                    loadError: 'Impossible de charger nos véhicules pour le moment.',
+                    askList: 'Demander la liste sur WhatsApp',
+                    tooltips: {
+                        transmission: 'Boîte de vitesses du véhicule',
+                        fuel: 'Motorisations proposées pour ce modèle',
+                        type: 'Catégorie et volume du coffre',
+                        seats: 'Nombre de places, conducteur compris'
+                    },
+                    values: {
+                        Automatique: 'Automatique',
+                        Manuelle: 'Manuelle',
+                        Essence: 'Essence',
+                        Diesel: 'Diesel',
+                        Hybride: 'Hybride'
+                    }
+                },
+                filters: {
+                    resultCount: ({ count }) => `${count} véhicule${count > 1 ? 's' : ''} disponible${count > 1 ? 's' : ''}`,
+                    emptyTitle: 'Aucun véhicule ne correspond à votre recherche',
+                    emptyText: 'Essayez d\'élargir vos critères ou contactez-nous sur WhatsApp.',
+                    resetAll: 'Réinitialiser les filtres'
+                },
+                quote: {
+                    toggle: 'Devis',
+                    pickup: 'Départ',
+                    time: 'Heure',
+                    return: 'Retour',
+                    extras: 'Options',
+                    prompt: 'Choisissez vos dates pour obtenir un devis.',
+                    invalidRange: 'La date de retour doit être après la date de départ.',
+                    unavailable: 'Ce véhicule est déjà réservé sur une partie de ces dates.',
+                    days: ({ count }) => `${count} jour${count > 1 ? 's' : ''}`,
+                    total: 'Total estimé',
+                    free: 'Offert',
+                    perDay: 'jour'
+                },
+                availability: {
+                    title: 'Disponibilités',
+                    loading: 'Chargement des disponibilités...',
+                    error: 'Disponibilités indisponibles pour le moment, contactez-nous sur WhatsApp.',
+                    previousMonth: 'Mois précédent',
+                    nextMonth: 'Mois suivant',
+                    available: 'Disponible',
+                    booked: 'Réservé',
+                    bookedDay: '{day} - réservé'
+                },
+                booking: {
+                    steps: {
+                        pickup: 'Lieu',
+                        extras: 'Options'
+                    },
+                    stepCount: 'Étape {step} sur {total}',
+                    draftRestored: 'Nous avons retrouvé votre demande en cours, vous pouvez la reprendre où vous l\'aviez laissée.',
+                    extrasUnavailable: 'Les options ne peuvent pas être affichées pour le moment, précisez vos besoins dans le message.',
+                    noExtras: 'Aucune',
+                    errors: {
+                        pastDate: 'Veuillez choisir une date à venir.'
+                    },
+                    sentTitle: 'Demande envoyée !',
+                    sentText: 'Merci ! Nous vous confirmons la disponibilité et le prix au plus vite. Pour une réponse immédiate, envoyez aussi votre demande sur WhatsApp.',
+                    failedTitle: 'Demande non envoyée',
+                    failedText: 'Votre demande n\'a pas pu être envoyée. Votre saisie est conservée : envoyez-la sur WhatsApp ou réessayez.'
+                },
+                vehicleReviews: {
+                    title: 'Avis des clients',
+                    count: ({ count }) => `${count} avis`,
+                    none: 'Aucun avis',
+                    loading: 'Chargement des avis...',
+                    rating: 'Note moyenne : {average} sur 5',
+                    empty: 'Aucun avis pour ce véhicule pour le moment.',
+                    error: 'Les avis ne peuvent pas être affichés pour le moment.'
+                },
+                reviews: {
+                    verification: {
+                        badge: 'Location vérifiée',
+                        tooltip: 'Avis laissé avec une référence de réservation Medridatours',
+                        errors: {
+                            format: 'Une référence de réservation a la forme MDT-XXXXX-XXXXX.',
+                            unknown: 'Cette référence de réservation est introuvable ou a déjà servi pour un avis. Vérifiez-la ou laissez le champ vide.',
+                            unavailable: 'La référence n\'a pas pu être vérifiée pour le moment. Réessayez plus tard ou laissez le champ vide.'
+                        }
+                    },
+                    displayError: 'Erreur lors de l\'affichage des avis.',
+                    ownerReply: 'Réponse de Medridatours',
+                    photos: {
+                        title: 'Photos de l\'avis',
+                        open: 'Agrandir la photo {index} sur {count}',
+                        photo: 'Photo {index} sur {count} de l\'avis',
+                        counter: '{index} / {count}',
+                        previous: 'Photo précédente',
+                        next: 'Photo suivante',
+                        close: 'Fermer',
+                        remove: 'Retirer la photo {index} sur {count}',
+                        errors: {
+                            type: 'Seules les images JPEG, PNG ou WebP peuvent être ajoutées.',
+                            size: 'Cette image est trop lourde : {size} Mo maximum.',
+                            tooMany: 'Vous pouvez ajouter {max} photos au maximum.',
+                            unreadable: 'Cette image n\'a pas pu être lue. Essayez avec une autre photo.'
+                        }
+                    },
+                    summary: {
+                        label: 'Note moyenne',
+                        count: ({ count }) => `${count} avis`,
+                        outOf: 'sur 5',
+                        stars: ({ count }) => `${count} étoile${count > 1 ? 's' : ''}`
+                    },
+                    filters: {
+                        resultCount: ({ count }) => `${count} avis`,
+                        emptyTitle: 'Aucun avis ne correspond à ces filtres',
+                        resetAll: 'Afficher tous les avis',
+                        readMore: 'Lire la suite',
+                        readLess: 'Réduire'
+                    },
+                    form: {
+                        ratingLabels: ['Très décevant', 'Décevant', 'Correct', 'Très bien', 'Excellent']
+                    },
+                    validation: {
+                        nameRequired: 'Veuillez entrer votre nom.',
+                        contentRequired: 'Veuillez écrire un commentaire.',
+                        contentTooShort: 'Votre commentaire doit contenir au moins {min} caractères.',
+                        ratingRequired: 'Veuillez sélectionner une note en cliquant sur les étoiles.'
+                    },
+                    messages: {
+                        rateLimited: 'Veuillez attendre avant de soumettre un autre avis.',
+                        saveFailed: 'Impossible de sauvegarder l\'avis. Veuillez vérifier votre navigateur ou réessayer.',
+                        genericError: 'Une erreur est survenue. Veuillez réessayer dans quelques instants.',
+                        storageFull: 'Espace de stockage plein. Veuillez vider le cache de votre navigateur ou réessayer.',
+                        storageError: 'Problème de stockage local. Vérifiez que les cookies sont autorisés et réessayez.',
+                        duplicate: 'Un avis similaire a déjà été soumis.',
+                        success: '✅ Merci pour votre avis ! Il sera publié après validation par notre équipe.',
+                        queued: '✅ Merci pour votre avis ! Il sera envoyé dès que votre connexion sera rétablie.'
+                    },
+                    outbox: {
+                        pending: ({ count }) => count > 1 ? `${count} avis en attente d'envoi` : 'Avis en attente d\'envoi',
+                        refused: 'Un avis en attente d\'envoi n\'a pas pu être publié et a été retiré. Vous pouvez le soumettre à nouveau.'
+                    },
+                    guard: {
+                        honeypot: 'Votre avis n\'a pas pu être envoyé. Veuillez réessayer.',
+                        tooFast: 'Merci de prendre quelques secondes pour rédiger votre avis avant de l\'envoyer.',
+                        link: 'Les liens et adresses de sites ne sont pas autorisés dans les avis.',
+                        profanity: 'Votre avis contient des termes injurieux. Merci de le reformuler.',
+                        repeatedCharacters: 'Votre avis contient trop de lettres répétées.',
+                        allCaps: 'Merci de ne pas écrire votre avis entièrement en majuscules.',
+                        captcha: 'La vérification anti-robot a échoué. Veuillez réessayer.',
+                        photos: 'Les photos jointes n\'ont pas pu être vérifiées. Retirez-les et ajoutez-les à nouveau.'
+                    },
+                    timeAgo: {
+                        now: 'À l\'instant',
+                        minutes: 'Il y a {count} min',
+                        hours: 'Il y a {count}h',
+                        days: 'Il y a {count} j'
+                    }
+                }
+            },
+            en: {
+                meta: {
+                    home: 'Car Rental Essaouira | Medridatours Agency Morocco',
+                    fleet: 'Car Rental Essaouira - Medridatours Fleet | Air-Conditioned Vehicles',
+                    about: 'About Us - Medridatours',
+                    contact: 'Contact - Medridatours',
+                    transport: 'Tourist Transport - Medridatours'
+                },
+                offline: {
+                    title: 'Offline - Medridatours',
+                    heading: 'You are offline',
+                    text: 'This page is not available without a connection. Pages you have already visited are still available. To book, contact us directly:',
+                    whatsapp: 'Message us on WhatsApp',
+                    retry: 'Try again'
+                },
+                validation: {
+                    required: 'This field is required.',
+                    minlength: 'Please enter at least {min} characters.',
+                    email: 'Please enter a valid email address, e.g. name@example.com.',
+                    phone: 'Please enter a valid number, e.g. +44 7700 900123 or 06 12 34 56 78.',
+                    min: 'Please choose a date from {date}.',
+                    after: 'This date cannot be before {date}.',
+                    summary: ({ count }) => count > 1 ? `${count} fields need to be corrected.` : 'One field needs to be corrected.'
+                },
+                notifications: {
+                    dismiss: 'Dismiss notification'
+                },
+                pwa: {
+                    title: 'Install Medridatours',
+                    text: 'Add the site to your home screen to browse our vehicles and reach us in one tap, even on a weak connection.',
+                    install: 'Install',
+                    dismiss: 'Later'
+                },
+                nav: {
+                    home: 'Home',
+                    fleet: 'Our Fleet',
+                    transport: 'Tourist Transport',
+                    about: 'About Us',
+                    contact: 'Contact',
+                    language: 'Language'
+                },
+                common: {
+                    book: 'Book',
+                    bookWhatsapp: 'Book via WhatsApp',
+                    contactUs: 'Contact Us',
+                    callNow: 'Call Now',
+                    close: 'Close',
+                    loadingVehicles: 'Loading vehicles...',
+                    support247: '24/7 Support',
+                    freeDelivery: 'Free Delivery',
+                    withDeposit: 'With Deposit',
+                    fullInsurance: 'Full Insurance',
+                    airportTransfers: 'Airport Transfers'
+                },
+                footer: {
+                    tagline: 'Your trusted partner for car rental in Essaouira, Morocco.',
+                    quickLinks: 'Quick Links',
+                    services: 'Our Services',
+                    serviceRental: 'Vehicle rental',
+                    serviceTransport: 'Tourist transport',
+                    serviceDeposit: 'With security deposit',
+                    location: 'Essaouira, Morocco',
+                    rights: '© 2025 Medridatours. All rights reserved.'
+                },
+                home: {
+                    heroBadge: 'Welcome to Medridatours',
+                    heroTitle: 'Car Rental in Essaouira',
+                    heroText: 'Medridatours - Your car rental specialist in Essaouira, Morocco. Modern air-conditioned vehicles, free airport delivery, service with a security deposit.',
+                    discover: 'Discover →',
+                    featuresTitle: 'Why Choose Medridatours for Your Car Rental in Essaouira?',
+                    featuresText: 'A local car rental agency in Essaouira. Professional service, well-maintained vehicles, transparent prices with a security deposit.',
+                    supportText: 'Our team is available around the clock to help you.',
+                    deliveryText: 'Free delivery to Essaouira airport.',
+                    depositText: 'Professional rental secured by a deposit.',
+                    insuranceText: 'All our vehicles are fully insured.',
+                    fleetTitle: 'Our Car Rental Fleet in Essaouira',
+                    fleetText: 'Modern, well-maintained vehicles for rent in Essaouira. Air conditioning and full insurance included.',
+                    seeAllVehicles: 'See All Vehicles',
+                    transportText: 'Discover Morocco with our professional tourist transport services',
+                    minibusTitle: 'Minibus',
+                    minibusText: 'Groups of 8-16 people with a professional driver',
+                    chauffeurTitle: 'Vehicles with Driver',
+                    chauffeurText: 'Small and large cars for all your needs',
+                    airportText: '24/7 service with flight tracking',
+                    seeAllServices: 'See All Services',
+                    contactWhatsapp: 'WhatsApp Contact',
+                    ctaTitle: 'Ready to Explore Essaouira?',
+                    ctaText: 'Contact us now to book your vehicle'
+                },
+                fleetPage: {
+                    title: 'Car Rental Essaouira - Our Fleet',
+                    subtitle: '11 air-conditioned vehicles available for rent in Essaouira. Medridatours - Service with a security deposit, transparent prices.',
+                    whyTitle: 'Why Rent Your Car with Medridatours in Essaouira?',
+                    recentTitle: 'Recent Vehicles',
+                    recentText: 'Our whole fleet is made up of recent vehicles with automatic air conditioning.',
+                    localTitle: 'Local Service',
+                    localText: 'A local agency based in Essaouira that knows the region inside out.',
+                    simpleTitle: 'Easy Booking',
+                    simpleText: 'Book on WhatsApp in 2 minutes. Free airport delivery.',
+                    gridTitle: 'Our Rental Vehicles in Essaouira'
+                },
+                filters: {
+                    label: 'Filter vehicles',
+                    search: 'Search',
+                    searchPlaceholder: 'E.g. Duster, SUV...',
+                    any: 'All',
+                    anyFuel: 'All',
+                    seats4: '4+ seats',
+                    seats5: '5+ seats',
+                    seats7: '7 seats',
+                    sort: 'Sort by',
+                    recommended: 'Recommended',
+                    priceAsc: 'Price: low to high',
+                    priceDesc: 'Price: high to low',
+                    maxPrice: 'Max price / day',
+                    reset: 'Reset',
+                    resultCount: ({ count }) => `${count} vehicle${count > 1 ? 's' : ''} available`,
+                    emptyTitle: 'No vehicle matches your search',
+                    emptyText: 'Try widening your criteria or contact us on WhatsApp.',
+                    resetAll: 'Reset filters'
+                },
+                fleet: {
+                    featured: 'Featured',
+                    transmission: 'Transmission',
+                    type: 'Type',
+                    fuel: 'Fuel',
+                    seats: 'Seats',
+                    details: 'View details',
+                    book: 'Book',
+                    perDay: 'Day',
+                    cardImageAlt: '{name} rental Essaouira - Medridatours {price}€/day',
+                    imageAlt: '{name} rental Essaouira - Medridatours',
+                    loadError: 'Our vehicles cannot be loaded right now.',
+                    askList: 'Ask for the list on WhatsApp',
+                    tooltips: {
+                        transmission: 'Gearbox of the vehicle',
+                        fuel: 'Engines available for this model',
+                        type: 'Category and boot capacity',
+                        seats: 'Number of seats, driver included'
+                    },
+                    values: {
+                        Automatique: 'Automatic',
+                        Manuelle: 'Manual',
+                        Essence: 'Petrol',
+                        Diesel: 'Diesel',
+                        Hybride: 'Hybrid'
+                    }
+                },
+                quote: {
+                    toggle: 'Quote',
+                    pickup: 'Pickup',
+                    time: 'Time',
+                    return: 'Return',
+                    extras: 'Extras',
+                    prompt: 'Choose your dates to get a quote.',
+                    invalidRange: 'The return date must be after the pickup date.',
+                    unavailable: 'This vehicle is already booked for some of these dates.',
+                    days: ({ count }) => `${count} day${count > 1 ? 's' : ''}`,
+                    total: 'Estimated total',
+                    free: 'Free',
+                    perDay: 'day'
+                },
+                availability: {
+                    title: 'Availability',
+                    loading: 'Loading availability...',
+                    error: 'Availability cannot be shown right now, contact us on WhatsApp.',
+                    previousMonth: 'Previous month',
+                    nextMonth: 'Next month',
+                    available: 'Available',
+                    booked: 'Booked',
+                    bookedDay: '{day} - booked'
+                },
+                booking: {
+                    title: 'Booking Request',
+                    subtitle: 'Prepare your booking in a few steps, we will quickly confirm availability.',
+                    steps: {
+                        vehicle: 'Vehicle',
+                        dates: 'Dates',
+                        pickup: 'Place',
+                        driver: 'Driver',
+                        extras: 'Extras',
+                        review: 'Summary',
+                        vehicleTitle: 'Which vehicle would you like?',
+                        datesTitle: 'When do you need it?',
+                        pickupTitle: 'Where will you pick up the vehicle?',
+                        driverTitle: 'Who will drive?',
+                        extrasTitle: 'Extras and message',
+                        reviewTitle: 'Check your request'
+                    },
+                    fields: {
+                        vehicle: 'Vehicle',
+                        vehicleNone: 'Choose a vehicle',
+                        pickupDate: 'Pickup date',
+                        pickupTime: 'Pickup time',
+                        returnDate: 'Return date',
+                        returnTime: 'Return time',
+                        hotel: 'Hotel name and address',
+                        hotelPlaceholder: 'E.g. Riad Dar Maya, Medina',
+                        name: 'Full name',
+                        phone: 'Phone / WhatsApp',
+                        email: 'Email',
+                        notes: 'Message',
+                        notesPlaceholder: 'Flight number, baby seat, questions...'
+                    },
+                    locations: {
+                        centre: 'Essaouira centre',
+                        airport: 'Essaouira airport',
+                        hotel: 'Hotel / Riad'
+                    },
+                    reviewText: 'This request is not a booking yet: we will confirm availability and price on WhatsApp or by phone.',
+                    back: 'Back',
+                    next: 'Continue',
+                    submit: 'Send request',
+                    sendWhatsapp: 'Send on WhatsApp',
+                    retry: 'Edit and try again',
+                    newRequest: 'New request',
+                    stepCount: 'Step {step} of {total}',
+                    draftRestored: 'We found your unfinished request, you can pick up where you left off.',
+                    extrasUnavailable: 'Extras cannot be shown right now, tell us what you need in the message.',
+                    noExtras: 'None',
+                    errors: {
+                        pastDate: 'Please choose a date in the future.'
+                    },
+                    sentTitle: 'Request sent!',
+                    sentText: 'Thank you! We will confirm availability and price as soon as possible. For an immediate answer, also send your request on WhatsApp.',
+                    failedTitle: 'Request not sent',
+                    failedText: 'Your request could not be sent. Your answers are kept: send it on WhatsApp or try again.'
+                },
+                vehicleReviews: {
+                    title: 'Customer reviews',
+                    count: ({ count }) => `${count} review${count > 1 ? 's' : ''}`,
+                    none: 'No reviews yet',
+                    loading: 'Loading reviews...',
+                    rating: 'Average rating: {average} out of 5',
+                    empty: 'No reviews for this vehicle yet.',
+                    error: 'Reviews cannot be displayed right now.'
+                },
+                reviews: {
+                    title: 'Customer Reviews',
+                    subtitle: 'What our customers think of our services',
+                    add: 'Leave a review',
+                    loading: 'Loading reviews...',
+                    emptyTitle: 'Be the first to leave a review!',
+                    emptyText: 'Share your experience with our services',
+                    verification: {
+                        badge: 'Verified rental',
+                        tooltip: 'Review left with a Medridatours booking reference',
+                        errors: {
+                            format: 'A booking reference looks like MDT-XXXXX-XXXXX.',
+                            unknown: 'This booking reference could not be found or has already been used for a review. Check it or leave the field empty.',
+                            unavailable: 'The reference could not be checked right now. Try again later or leave the field empty.'
+                        }
+                    },
+                    displayError: 'Reviews could not be displayed.',
+                    ownerReply: 'Reply from Medridatours',
+                    photos: {
+                        title: 'Review photos',
+                        open: 'Enlarge photo {index} of {count}',
+                        photo: 'Review photo {index} of {count}',
+                        counter: '{index} / {count}',
+                        previous: 'Previous photo',
+                        next: 'Next photo',
+                        close: 'Close',
+                        remove: 'Remove photo {index} of {count}',
+                        errors: {
+                            type: 'Only JPEG, PNG or WebP images can be added.',
+                            size: 'This image is too large: {size} MB maximum.',
+                            tooMany: 'You can add up to {max} photos.',
+                            unreadable: 'This image could not be read. Try another photo.'
+                        }
+                    },
+                    summary: {
+                        label: 'Average rating',
+                        count: ({ count }) => `${count} review${count > 1 ? 's' : ''}`,
+                        outOf: 'out of 5',
+                        stars: ({ count }) => `${count} star${count > 1 ? 's' : ''}`
+                    },
+                    filters: {
+                        label: 'Filter reviews',
+                        rating: 'Rating',
+                        anyRating: 'All ratings',
+                        rating5: '5 stars',
+                        rating4: '4 stars',
+                        rating3: '3 stars',
+                        rating2: '2 stars',
+                        rating1: '1 star',
+                        vehicle: 'Vehicle',
+                        anyVehicle: 'All vehicles',
+                        verification: 'Verification',
+                        anyVerification: 'All reviews',
+                        verified: 'Verified rentals',
+                        unverified: 'Unverified reviews',
+                        sort: 'Sort by',
+                        newest: 'Newest',
+                        highest: 'Highest rated',
+                        lowest: 'Lowest rated',
+                        reset: 'Reset',
+                        more: 'Show more reviews',
+                        resultCount: ({ count }) => `${count} review${count > 1 ? 's' : ''}`,
+                        emptyTitle: 'No reviews match these filters',
+                        resetAll: 'Show all reviews',
+                        readMore: 'Read more',
+                        readLess: 'Show less'
+                    },
+                    form: {
+                        title: 'Share Your Experience',
+                        name: 'Full name',
+                        email: 'Email',
+                        location: 'City/Country',
+                        locationPlaceholder: 'E.g. London, United Kingdom',
+                        vehicle: 'Rented vehicle',
+                        vehicleNone: 'Choose a vehicle (optional)',
+                        bookingReference: 'Booking reference (optional)',
+                        bookingReferenceHint: 'Shown on your booking confirmation. Your review will carry the "Verified rental" badge.',
+                        rating: 'Your rating',
+                        content: 'Your review',
+                        contentPlaceholder: 'Share your experience with our services...',
+                        photos: 'Photos (optional)',
+                        photosHint: 'Up to 3 JPEG, PNG or WebP images of 10 MB maximum. Location data is removed from the photos.',
+                        required: '* Required fields',
+                        submit: 'Post review',
+                        ratingLabels: ['Very disappointing', 'Disappointing', 'Fair', 'Very good', 'Excellent']
+                    },
+                    validation: {
+                        nameRequired: 'Please enter your name.',
+                        contentRequired: 'Please write a comment.',
+                        contentTooShort: 'Your comment must be at least {min} characters long.',
+                        ratingRequired: 'Please select a rating by clicking the stars.'
+                    },
+                    messages: {
+                        rateLimited: 'Please wait before submitting another review.',
+                        saveFailed: 'Your review could not be saved. Please check your browser or try again.',
+                        genericError: 'Something went wrong. Please try again in a few moments.',
+                        storageFull: 'Storage is full. Please clear your browser cache or try again.',
+                        storageError: 'Local storage problem. Check that cookies are allowed and try again.',
+                        duplicate: 'A similar review has already been submitted.',
+                        success: '✅ Thank you for your review! It will be published once our team has checked it.',
+                        queued: '✅ Thank you for your review! It will be sent as soon as you are back online.'
+                    },
+                    outbox: {
+                        pending: ({ count }) => count > 1 ? `${count} reviews waiting to be sent` : 'Review waiting to be sent',
+                        refused: 'A review waiting to be sent could not be published and was removed. You can submit it again.'
+                    },
+                    guard: {
+                        honeypot: 'Your review could not be sent. Please try again.',
+                        tooFast: 'Please take a few seconds to write your review before sending it.',
+                        link: 'Links and website addresses are not allowed in reviews.',
+                        profanity: 'Your review contains offensive language. Please rephrase it.',
+                        repeatedCharacters: 'Your review contains too many repeated letters.',
+                        allCaps: 'Please do not write your review entirely in capital letters.',
+                        captcha: 'The anti-robot check failed. Please try again.',
+                        photos: 'The attached photos could not be checked. Remove them and add them again.'
+                    },
+                    timeAgo: {
+                        now: 'Just now',
+                        minutes: '{count} min ago',
+                        hours: '{count}h ago',
+                        days: '{count}d ago'
+                    }
+                },
+                about: {
+                    title: 'About Medridatours',
+                    subtitle: 'Your trusted partner for exploring Essaouira',
+                    storyTitle: 'Our Story',
+                    story1: 'Medridatours was born from a passion for Essaouira and the wish to share the beauty of this historic city with visitors from all over the world. Since we started, we have worked to provide an outstanding car rental service that lets our customers freely explore the wonders of Essaouira and its surroundings.',
+                    story2: 'Our local team knows the region perfectly and is always ready to give you the best advice for your stay. We believe freedom of movement is essential to genuinely discover our beautiful coastal town.',
+                    seeFleet: 'See Our Fleet',
+                    valuesTitle: 'Our Values',
+                    valuesText: 'What guides our service every day',
+                    trustTitle: 'Trust',
+                    trustText: 'We build lasting relationships based on transparency and reliability.',
+                    simplicityTitle: 'Simplicity',
+                    simplicityText: 'We make car rental simple and accessible to everyone, with no hassle.',
+                    passionTitle: 'Passion',
+                    passionText: 'Our love for Essaouira and Moroccan hospitality guides everything we do.',
+                    whyTitle: 'Why Choose Us?',
+                    whyText: 'What sets us apart from the competition',
+                    supportText: 'Our team is available at any time to help you when needed, even in an emergency.',
+                    deliveryText: 'We deliver your vehicle free of charge to Essaouira airport for your convenience.',
+                    depositText: 'Professional service with a security deposit. Mutual protection for a worry-free rental.',
+                    insuranceText: 'All our vehicles are fully insured for your peace of mind.',
+                    maintainedTitle: 'Well-Maintained Vehicles',
+                    maintainedText: 'Our vehicles are regularly serviced and checked to keep you safe.',
+                    adviceTitle: 'Local Advice',
+                    adviceText: 'Get expert local tips on the best places to visit in Essaouira.',
+                    essaouiraTitle: 'Discover Essaouira',
+                    essaouiraText: 'The city we love and invite you to explore',
+                    medinaTitle: 'Historic Medina',
+                    medinaText: 'Explore Essaouira\'s medina, a UNESCO World Heritage Site.',
+                    beachesTitle: 'Beautiful Beaches',
+                    beachesText: 'Enjoy fine sandy beaches and water sports on the Atlantic coast.',
+                    artTitle: 'Art and Culture',
+                    artText: 'Discover Essaouira\'s local art, galleries and cultural festivals.',
+                    ctaTitle: 'Ready for Adventure?',
+                    ctaText: 'Join thousands of happy visitors who chose Medridatours',
+                    chooseVehicle: 'Choose a Vehicle',
+                    contactNow: 'Contact Now'
+                },
+                contact: {
+                    title: 'Contact Us',
+                    subtitle: 'We are here to help with your booking',
+                    infoTitle: 'Contact Information',
+                    address: 'Address',
+                    phone: 'Phone',
+                    whatsappText: 'Quick and easy booking via WhatsApp',
+                    openWhatsapp: 'Open WhatsApp',
+                    hours: 'Opening Hours',
+                    days: 'Monday - Sunday',
+                    emergency: 'Emergency support: 24/7',
+                    professionalTitle: 'Professional Service',
+                    depositLine: 'Rental with security deposit',
+                    protectionLine: 'Guarantee and mutual protection',
+                    quickActions: 'Quick Actions',
+                    carRental: 'Car Rental',
+                    seeFleet: 'See the Fleet',
+                    locationTitle: 'Our Location',
+                    locationText: 'We are in the heart of Essaouira, easy to reach from every part of town.',
+                    faqTitle: 'Frequently Asked Questions',
+                    faqText: 'Quickly find answers to your questions',
+                    faq1Question: 'How do I book a vehicle?',
+                    faq1Answer: 'Very simple! Choose your vehicle on our website, click \'Book via WhatsApp\' and send us a message. We will reply quickly to finalise your booking.',
+                    faq2Question: 'Deposit Policy',
+                    faq2Answer: 'Our rentals require a security deposit. It secures your booking and protects both parties. The amount is reasonable and refunded at the end of the rental.',
+                    faq3Question: 'Do you offer tourist transport services?',
+                    faq3Answer: 'Yes! We offer tourist transport with minibuses and vehicles with professional drivers. Perfect for visiting Morocco with peace of mind. Contact us for a personalised quote.',
+                    faq4Question: 'Do you deliver to the airport?',
+                    faq4Answer: 'Yes, we offer free delivery to Essaouira airport. Let us know your arrival time when you book.',
+                    faq5Question: 'Are all vehicles insured?',
+                    faq5Answer: 'Absolutely! All our vehicles are fully insured and in excellent condition. Your safety is our priority.',
+                    faq6Question: 'Can I change or cancel my booking?',
+                    faq6Answer: 'Yes, contact us on WhatsApp for any change or cancellation. We are flexible and understanding.',
+                    ctaTitle: 'Ready to Book?',
+                    ctaText: 'Contact us now and get your vehicle quickly',
+                    ctaWhatsapp: 'Contact via WhatsApp'
+                },
+                transport: {
+                    subtitle: 'Discover Morocco in style with our tourist transport services and professional drivers',
+                    servicesTitle: 'Our Transport Services',
+                    servicesText: 'Minibuses and vehicles of every size with experienced drivers',
+                    minibusTitle: 'Tourist Minibus',
+                    minibusCapacity: 'Capacity: 8-16 passengers',
+                    driverIncluded: 'Professional driver included',
+                    airConditioning: 'Air conditioning',
+                    customTours: 'Custom tours',
+                    luggage: 'Generous luggage space',
+                    requestQuote: 'Request a Quote',
+                    comfortTitle: 'Premium Comfort Vehicles',
+                    comfortCapacity: 'Capacity: 2-7 passengers',
+                    premium: 'Premium vehicles',
+                    experiencedDriver: 'Experienced driver',
+                    tailoredTours: 'Tailor-made tours',
+                    comfort: 'Optimal comfort',
+                    compactTitle: 'Compact Vehicles',
+                    compactCapacity: 'Capacity: 2-4 passengers',
+                    budget: 'Budget-friendly option',
+                    localDriver: 'Expert local driver',
+                    city: 'Perfect for the city',
+                    available247: 'Available 24/7',
+                    destinationsTitle: 'Popular Destinations',
+                    marrakechText: 'The red city',
+                    casablancaText: 'Economic capital',
+                    agadirText: 'Pearl of the South',
+                    ouarzazateText: 'Gateway to the desert',
+                    customTour: 'Custom Tour',
+                    specialTitle: 'Special Services',
+                    airportText: '24/7 service with flight tracking and a personal welcome',
+                    eventsTitle: 'Special Events',
+                    eventsText: 'Weddings, birthdays, corporate events',
+                    plan: 'Plan',
+                    multiDayTitle: 'Multi-Day Tours',
+                    multiDayText: 'Transport for your multi-day tours in Morocco',
+                    discover: 'Discover',
+                    whyTitle: 'Why Choose Medridatours?',
+                    expertDriversTitle: 'Expert Drivers',
+                    expertDriversText: 'Experienced professionals who know Morocco well',
+                    safetyTitle: 'Guaranteed Safety',
+                    safetyText: 'Insured vehicles and regular maintenance',
+                    availabilityTitle: '24/7 Availability',
+                    availabilityText: 'Customer service and assistance at any hour',
+                    personalTitle: 'Personal Service',
+                    personalText: 'Every trip tailored to your needs',
+                    ctaTitle: 'Ready for Your Adventure?',
+                    ctaText: 'Contact us now for a free, personalised quote',
+                    ctaWhatsapp: 'Free WhatsApp Quote',
+                    noPrices: 'No listed prices - Every quote is tailored to your needs'
+                }
+            },
+            ar: {
+                meta: {
+                    home: 'كراء السيارات بالصويرة | وكالة Medridatours المغرب',
+                    fleet: 'كراء السيارات بالصويرة - أسطول Medridatours | سيارات مكيفة',
+                    about: 'من نحن - Medridatours',
+                    contact: 'اتصل بنا - Medridatours',
+                    transport: 'النقل السياحي - Medridatours'
+                },
+                offline: {
+                    title: 'غير متصل - Medridatours',
+                    heading: 'أنت غير متصل بالإنترنت',
+                    text: 'هذه الصفحة غير متاحة بدون اتصال. الصفحات التي زرتها من قبل تبقى متاحة. للحجز، تواصل معنا مباشرة:',
+                    whatsapp: 'راسلنا عبر واتساب',
+                    retry: 'إعادة المحاولة'
+                },
+                validation: {
+                    required: 'هذا الحقل إلزامي.',
+                    minlength: 'يرجى إدخال {min} أحرف على الأقل.',
+                    email: 'يرجى إدخال بريد إلكتروني صحيح، مثل name@example.com.',
+                    phone: 'يرجى إدخال رقم صحيح، مثل 06 12 34 56 78 أو +212 6 12 34 56 78.',
+                    min: 'يرجى اختيار تاريخ ابتداء من {date}.',
+                    after: 'لا يمكن أن يكون هذا التاريخ قبل {date}.',
+                    summary: ({ count }) => count > 1 ? `${count} ${count > 2 && count < 11 ? 'حقول' : 'حقل'} تحتاج إلى تصحيح.` : 'حقل واحد يحتاج إلى تصحيح.'
+                },
+                notifications: {
+                    dismiss: 'إغلاق الإشعار'
+                },
+                pwa: {
+                    title: 'ثبّت Medridatours',
+                    text: 'أضف الموقع إلى شاشتك الرئيسية لتصفح سياراتنا والتواصل معنا بلمسة واحدة، حتى مع اتصال ضعيف.',
+                    install: 'تثبيت',
+                    dismiss: 'لاحقا'
+                },
+                nav: {
+                    home: 'الرئيسية',
+                    fleet: 'أسطولنا',
+                    transport: 'النقل السياحي',
+                    about: 'من نحن',
+                    contact: 'اتصل بنا',
+                    language: 'اللغة'
+                },
+                common: {
+                    book: 'احجز',
+                    bookWhatsapp: 'احجز عبر واتساب',
+                    contactUs: 'اتصل بنا',
+                    callNow: 'اتصل الآن',
+                    close: 'إغلاق',
+                    loadingVehicles: 'جارٍ تحميل السيارات...',
+                    support247: 'دعم على مدار الساعة',
+                    freeDelivery: 'توصيل مجاني',
+                    withDeposit: 'مع ضمان',
+                    fullInsurance: 'تأمين شامل',
+                    airportTransfers: 'النقل من وإلى المطار'
+                },
+                footer: {
+                    tagline: 'شريككم الموثوق لكراء السيارات في الصويرة، المغرب.',
+                    quickLinks: 'روابط سريعة',
+                    services: 'خدماتنا',
+                    serviceRental: 'كراء السيارات',
+                    serviceTransport: 'النقل السياحي',
+                    serviceDeposit: 'مع ضمان مالي',
+                    location: 'الصويرة، المغرب',
+                    rights: '© 2025 Medridatours. جميع الحقوق محفوظة.'
+                },
+                home: {
+                    heroBadge: 'مرحبا بكم في Medridatours',
+                    heroTitle: 'كراء السيارات بالصويرة',
+                    heroText: 'وكالة Medridatours - متخصصون في كراء السيارات بالصويرة، المغرب. سيارات حديثة ومكيفة، توصيل مجاني إلى المطار، وخدمة مع ضمان.',
+                    discover: 'اكتشف ←',
+                    featuresTitle: 'لماذا تختار Medridatours لكراء سيارتك في الصويرة؟',
+                    featuresText: 'وكالة محلية لكراء السيارات بالصويرة. خدمة احترافية، سيارات مصانة جيدا، وأسعار واضحة مع ضمان.',
+                    supportText: 'فريقنا متاح على مدار الساعة لمساعدتكم.',
+                    deliveryText: 'توصيل مجاني إلى مطار الصويرة.',
+                    depositText: 'كراء احترافي مع ضمان مالي.',
+                    insuranceText: 'جميع سياراتنا مؤمنة بالكامل.',
+                    fleetTitle: 'أسطول كراء السيارات لدينا في الصويرة',
+                    fleetText: 'سيارات حديثة ومصانة متاحة للكراء في الصويرة. التكييف والتأمين الشامل مشمولان.',
+                    seeAllVehicles: 'عرض جميع السيارات',
+                    transportText: 'اكتشف المغرب مع خدمات النقل السياحي الاحترافية لدينا',
+                    minibusTitle: 'حافلة صغيرة',
+                    minibusText: 'مجموعات من 8 إلى 16 شخصا مع سائق محترف',
+                    chauffeurTitle: 'سيارات مع سائق',
+                    chauffeurText: 'سيارات صغيرة وكبيرة لجميع احتياجاتكم',
+                    airportText: 'خدمة على مدار الساعة مع تتبع الرحلات',
+                    seeAllServices: 'عرض جميع الخدمات',
+                    contactWhatsapp: 'تواصل عبر واتساب',
+                    ctaTitle: 'مستعد لاستكشاف الصويرة؟',
+                    ctaText: 'اتصل بنا الآن لحجز سيارتك'
+                },
+                fleetPage: {
+                    title: 'كراء السيارات بالصويرة - أسطولنا',
+                    subtitle: '11 سيارة مكيفة متاحة للكراء في الصويرة. وكالة Medridatours - خدمة مع ضمان وأسعار واضحة.',
+                    whyTitle: 'لماذا تكتري سيارتك من Medridatours في الصويرة؟',
+                    recentTitle: 'سيارات حديثة',
+                    recentText: 'يتكون أسطولنا بالكامل من سيارات حديثة مزودة بتكييف أوتوماتيكي.',
+                    localTitle: 'خدمة محلية',
+                    localText: 'وكالة محلية مقرها الصويرة، تعرف المنطقة جيدا.',
+                    simpleTitle: 'حجز سهل',
+                    simpleText: 'احجز عبر واتساب في دقيقتين. توصيل مجاني إلى المطار.',
+                    gridTitle: 'سياراتنا للكراء في الصويرة'
+                },
+                filters: {
+                    label: 'تصفية السيارات',
+                    search: 'بحث',
+                    searchPlaceholder: 'مثال: Duster، SUV...',
+                    any: 'الكل',
+                    anyFuel: 'الكل',
+                    seats4: '4 مقاعد أو أكثر',
+                    seats5: '5 مقاعد أو أكثر',
+                    seats7: '7 مقاعد',
+                    sort: 'ترتيب حسب',
+                    recommended: 'الموصى بها',
+                    priceAsc: 'السعر: من الأقل إلى الأعلى',
+                    priceDesc: 'السعر: من الأعلى إلى الأقل',
+                    maxPrice: 'أقصى سعر / يوم',
+                    reset: 'إعادة تعيين',
+                    resultCount: ({ count }) => `${count} ${count > 2 && count < 11 ? 'سيارات متاحة' : 'سيارة متاحة'}`,
+                    emptyTitle: 'لا توجد سيارة تطابق بحثك',
+                    emptyText: 'حاول توسيع معايير البحث أو تواصل معنا عبر واتساب.',
+                    resetAll: 'إعادة تعيين عوامل التصفية'
+                },
+                fleet: {
+                    featured: 'مميزة',
+                    transmission: 'ناقل الحركة',
+                    type: 'الفئة',
+                    fuel: 'الوقود',
+                    seats: 'المقاعد',
+                    details: 'عرض التفاصيل',
+                    book: 'احجز',
+                    perDay: 'يوم',
+                    cardImageAlt: 'كراء {name} الصويرة - Medridatours {price}€/يوم',
+                    imageAlt: 'كراء {name} الصويرة - Medridatours',
+                    loadError: 'تعذر تحميل سياراتنا حاليا.',
+                    askList: 'اطلب القائمة عبر واتساب',
+                    tooltips: {
+                        transmission: 'نوع علبة السرعات',
+                        fuel: 'المحركات المتوفرة لهذا الطراز',
+                        type: 'الفئة وسعة الصندوق',
+                        seats: 'عدد المقاعد، بما فيها مقعد السائق'
+                    },
+                    values: {
+                        Automatique: 'أوتوماتيك',
+                        Manuelle: 'يدوي',
+                        Essence: 'بنزين',
+                        Diesel: 'ديزل',
+                        Hybride: 'هجين'
+                    }
+                },
+                quote: {
+                    toggle: 'عرض سعر',
+                    pickup: 'الاستلام',
+                    time: 'الساعة',
+                    return: 'الإرجاع',
+                    extras: 'الخيارات',
+                    prompt: 'اختر تواريخك للحصول على عرض سعر.',
+                    invalidRange: 'يجب أن يكون تاريخ الإرجاع بعد تاريخ الاستلام.',
+                    unavailable: 'هذه السيارة محجوزة في بعض هذه التواريخ.',
+                    days: ({ count }) => `${count} ${count > 2 && count < 11 ? 'أيام' : 'يوم'}`,
+                    total: 'المجموع التقديري',
+                    free: 'مجاني',
+                    perDay: 'يوم'
+                },
+                availability: {
+                    title: 'التوفر',
+                    loading: 'جارٍ تحميل التوفر...',
+                    error: 'التوفر غير متاح حاليا، تواصل معنا عبر واتساب.',
+                    previousMonth: 'الشهر السابق',
+                    nextMonth: 'الشهر التالي',
+                    available: 'متاح',
+                    booked: 'محجوز',
+                    bookedDay: '{day} - محجوز'
+                },
+                booking: {
+                    title: 'طلب حجز',
+                    subtitle: 'حضّروا حجزكم في بضع خطوات، وسنؤكد لكم التوفر بسرعة.',
+                    steps: {
+                        vehicle: 'السيارة',
+                        dates: 'التواريخ',
+                        pickup: 'المكان',
+                        driver: 'السائق',
+                        extras: 'الخيارات',
+                        review: 'الملخص',
+                        vehicleTitle: 'ما السيارة التي تريدونها؟',
+                        datesTitle: 'متى تحتاجونها؟',
+                        pickupTitle: 'أين ستستلمون السيارة؟',
+                        driverTitle: 'من سيقود؟',
+                        extrasTitle: 'الخيارات والرسالة',
+                        reviewTitle: 'راجعوا طلبكم'
+                    },
+                    fields: {
+                        vehicle: 'السيارة',
+                        vehicleNone: 'اختر سيارة',
+                        pickupDate: 'تاريخ الاستلام',
+                        pickupTime: 'ساعة الاستلام',
+                        returnDate: 'تاريخ الإرجاع',
+                        returnTime: 'ساعة الإرجاع',
+                        hotel: 'اسم الفندق وعنوانه',
+                        hotelPlaceholder: 'مثال: رياض دار مايا، المدينة القديمة',
+                        name: 'الاسم الكامل',
+                        phone: 'الهاتف / واتساب',
+                        email: 'البريد الإلكتروني',
+                        notes: 'رسالة',
+                        notesPlaceholder: 'رقم الرحلة، مقعد أطفال، أسئلة...'
+                    },
+                    locations: {
+                        centre: 'وسط الصويرة',
+                        airport: 'مطار الصويرة',
+                        hotel: 'فندق / رياض'
+                    },
+                    reviewText: 'هذا الطلب ليس حجزا نهائيا: سنؤكد لكم التوفر والسعر عبر واتساب أو الهاتف.',
+                    back: 'رجوع',
+                    next: 'متابعة',
+                    submit: 'إرسال الطلب',
+                    sendWhatsapp: 'الإرسال عبر واتساب',
+                    retry: 'التعديل والمحاولة مجددا',
+                    newRequest: 'طلب جديد',
+                    stepCount: 'الخطوة {step} من {total}',
+                    draftRestored: 'وجدنا طلبكم غير المكتمل، يمكنكم متابعته من حيث توقفتم.',
+                    extrasUnavailable: 'لا يمكن عرض الخيارات حاليا، اذكروا احتياجاتكم في الرسالة.',
+                    noExtras: 'لا شيء',
+                    errors: {
+                        pastDate: 'يرجى اختيار تاريخ قادم.'
+                    },
+                    sentTitle: 'تم إرسال الطلب!',
+                    sentText: 'شكرا لكم! سنؤكد لكم التوفر والسعر في أقرب وقت. للحصول على رد فوري، أرسلوا طلبكم أيضا عبر واتساب.',
+                    failedTitle: 'لم يتم إرسال الطلب',
+                    failedText: 'تعذر إرسال طلبكم. تم الاحتفاظ بمعلوماتكم: أرسلوها عبر واتساب أو حاولوا مجددا.'
+                },
+                vehicleReviews: {
+                    title: 'آراء العملاء',
+                    count: ({ count }) => `${count} ${count > 2 && count < 11 ? 'تقييمات' : 'تقييم'}`,
+                    none: 'لا توجد تقييمات بعد',
+                    loading: 'جارٍ تحميل الآراء...',
+                    rating: 'متوسط التقييم: {average} من 5',
+                    empty: 'لا توجد تقييمات لهذه السيارة حتى الآن.',
+                    error: 'لا يمكن عرض التقييمات حاليا.'
+                },
+                reviews: {
+                    title: 'آراء العملاء',
+                    subtitle: 'ما يقوله عملاؤنا عن خدماتنا',
+                    add: 'اترك تقييما',
+                    loading: 'جارٍ تحميل الآراء...',
+                    emptyTitle: 'كن أول من يترك تقييما!',
+                    emptyText: 'شارك تجربتك مع خدماتنا',
+                    verification: {
+                        badge: 'إيجار موثق',
+                        tooltip: 'رأي مرفق برقم حجز من Medridatours',
+                        errors: {
+                            format: 'رقم الحجز يكون على شكل MDT-XXXXX-XXXXX.',
+                            unknown: 'لم يتم العثور على رقم الحجز هذا أو سبق استخدامه لرأي آخر. تحقق منه أو اترك الحقل فارغا.',
+                            unavailable: 'تعذر التحقق من رقم الحجز حاليا. حاول لاحقا أو اترك الحقل فارغا.'
+                        }
+                    },
+                    displayError: 'حدث خطأ أثناء عرض الآراء.',
+                    ownerReply: 'رد وكالة Medridatours',
+                    photos: {
+                        title: 'صور التقييم',
+                        open: 'تكبير الصورة {index} من {count}',
+                        photo: 'صورة التقييم {index} من {count}',
+                        counter: '{index} / {count}',
+                        previous: 'الصورة السابقة',
+                        next: 'الصورة التالية',
+                        close: 'إغلاق',
+                        remove: 'حذف الصورة {index} من {count}',
+                        errors: {
+                            type: 'يمكن إضافة صور JPEG أو PNG أو WebP فقط.',
+                            size: 'هذه الصورة كبيرة جدا: {size} ميغابايت كحد أقصى.',
+                            tooMany: 'يمكنك إضافة {max} صور كحد أقصى.',
+                            unreadable: 'تعذرت قراءة هذه الصورة. جرّب صورة أخرى.'
+                        }
+                    },
+                    summary: {
+                        label: 'متوسط التقييم',
+                        count: ({ count }) => `${count} ${count > 2 && count < 11 ? 'تقييمات' : 'تقييم'}`,
+                        outOf: 'من 5',
+                        stars: ({ count }) => `${count} ${count > 2 && count < 11 ? 'نجوم' : 'نجمة'}`
+                    },
+                    filters: {
+                        label: 'تصفية الآراء',
+                        rating: 'التقييم',
+                        anyRating: 'كل التقييمات',
+                        rating5: '5 نجمات',
+                        rating4: '4 نجمات',
+                        rating3: '3 نجمات',
+                        rating2: 'نجمتان',
+                        rating1: 'نجمة واحدة',
+                        vehicle: 'السيارة',
+                        anyVehicle: 'كل السيارات',
+                        verification: 'التوثيق',
+                        anyVerification: 'كل الآراء',
+                        verified: 'إيجارات موثقة',
+                        unverified: 'آراء غير موثقة',
+                        sort: 'ترتيب حسب',
+                        newest: 'الأحدث',
+                        highest: 'الأعلى تقييما',
+                        lowest: 'الأقل تقييما',
+                        reset: 'إعادة تعيين',
+                        more: 'عرض المزيد من الآراء',
+                        resultCount: ({ count }) => `${count} ${count > 2 && count < 11 ? 'تقييمات' : 'تقييم'}`,
+                        emptyTitle: 'لا توجد آراء تطابق عوامل التصفية هذه',
+                        resetAll: 'عرض كل الآراء',
+                        readMore: 'اقرأ المزيد',
+                        readLess: 'عرض أقل'
+                    },
+                    form: {
+                        title: 'شارك تجربتك',
+                        name: 'الاسم الكامل',
+                        email: 'البريد الإلكتروني',
+                        location: 'المدينة/البلد',
+                        locationPlaceholder: 'مثال: الدار البيضاء، المغرب',
+                        vehicle: 'السيارة المستأجرة',
+                        vehicleNone: 'اختر سيارة (اختياري)',
+                        bookingReference: 'رقم الحجز (اختياري)',
+                        bookingReferenceHint: 'تجده في تأكيد الحجز. سيحمل رأيك شارة «إيجار موثق».',
+                        rating: 'تقييمك',
+                        content: 'شهادتك',
+                        contentPlaceholder: 'شارك تجربتك مع خدماتنا...',
+                        photos: 'صور (اختياري)',
+                        photosHint: 'حتى 3 صور بصيغة JPEG أو PNG أو WebP بحجم أقصاه 10 ميغابايت. تُحذف بيانات الموقع من الصور.',
+                        required: '* حقول إلزامية',
+                        submit: 'نشر التقييم',
+                        ratingLabels: ['مخيب جدا', 'مخيب', 'مقبول', 'جيد جدا', 'ممتاز']
+                    },
+                    validation: {
+                        nameRequired: 'يرجى إدخال اسمك.',
+                        contentRequired: 'يرجى كتابة تعليق.',
+                        contentTooShort: 'يجب أن يحتوي تعليقك على {min} أحرف على الأقل.',
+                        ratingRequired: 'يرجى اختيار تقييم بالنقر على النجوم.'
+                    },
+                    messages: {
+                        rateLimited: 'يرجى الانتظار قبل إرسال تقييم آخر.',
+                        saveFailed: 'تعذر حفظ التقييم. يرجى التحقق من المتصفح أو المحاولة مرة أخرى.',
+                        genericError: 'حدث خطأ. يرجى المحاولة مرة أخرى بعد لحظات.',
+                        storageFull: 'مساحة التخزين ممتلئة. يرجى مسح ذاكرة التخزين المؤقت للمتصفح أو المحاولة مرة أخرى.',
+                        storageError: 'مشكلة في التخزين المحلي. تأكد من السماح بملفات تعريف الارتباط ثم أعد المحاولة.',
+                        duplicate: 'تم إرسال تقييم مماثل من قبل.',
+                        success: '✅ شكرا على تقييمك! سيتم نشره بعد مراجعته من طرف فريقنا.',
+                        queued: '✅ شكرا على تقييمك! سيتم إرساله بمجرد عودة الاتصال.'
+                    },
+                    outbox: {
+                        pending: ({ count }) => count > 1 ? `${count} ${count > 2 && count < 11 ? 'تقييمات' : 'تقييم'} في انتظار الإرسال` : 'تقييم في انتظار الإرسال',
+                        refused: 'تعذر نشر تقييم كان في انتظار الإرسال وتمت إزالته. يمكنك إرساله مرة أخرى.'
+                    },
+                    guard: {
+                        honeypot: 'تعذر إرسال تقييمك. يرجى المحاولة مرة أخرى.',
+                        tooFast: 'يرجى أخذ بضع ثوان لكتابة تقييمك قبل إرساله.',
+                        link: 'الروابط وعناوين المواقع غير مسموح بها في التقييمات.',
+                        profanity: 'يحتوي تقييمك على ألفاظ مسيئة. يرجى إعادة صياغته.',
+                        repeatedCharacters: 'يحتوي تقييمك على الكثير من الحروف المكررة.',
+                        allCaps: 'يرجى عدم كتابة تقييمك بالأحرف الكبيرة بالكامل.',
+                        captcha: 'فشل التحقق من أنك لست روبوتا. يرجى المحاولة مرة أخرى.',
+                        photos: 'تعذر التحقق من الصور المرفقة. احذفها ثم أضفها من جديد.'
+                    },
+                    timeAgo: {
+                        now: 'الآن',
+                        minutes: 'منذ {count} دقيقة',
+                        hours: 'منذ {count} ساعة',
+                        days: 'منذ {count} يوم'
+                    }
+                },
+                about: {
+                    title: 'عن Medridatours',
+                    subtitle: 'شريككم الموثوق لاستكشاف الصويرة',
+                    storyTitle: 'قصتنا',
+                    story1: 'وُلدت Medridatours من شغفنا بالصويرة ورغبتنا في مشاركة جمال هذه المدينة التاريخية مع الزوار من جميع أنحاء العالم. منذ تأسيسنا، نسعى إلى تقديم خدمة كراء سيارات متميزة تتيح لعملائنا استكشاف روائع الصويرة ونواحيها بكل حرية.',
+                    story2: 'يعرف فريقنا المحلي المنطقة جيدا وهو دائما مستعد لتقديم أفضل النصائح لإقامتكم. نؤمن بأن حرية التنقل أساسية لاكتشاف مدينتنا الساحلية الجميلة على حقيقتها.',
+                    seeFleet: 'اكتشف أسطولنا',
+                    valuesTitle: 'قيمنا',
+                    valuesText: 'ما يوجه خدمتنا كل يوم',
+                    trustTitle: 'الثقة',
+                    trustText: 'نبني علاقات دائمة قائمة على الشفافية والموثوقية.',
+                    simplicityTitle: 'البساطة',
+                    simplicityText: 'نجعل كراء السيارات بسيطا ومتاحا للجميع دون تعقيدات.',
+                    passionTitle: 'الشغف',
+                    passionText: 'حبنا للصويرة وللضيافة المغربية يوجه كل ما نقوم به.',
+                    whyTitle: 'لماذا تختارنا؟',
+                    whyText: 'المزايا التي تميزنا عن المنافسين',
+                    supportText: 'فريقنا متاح في أي وقت لمساعدتكم عند الحاجة، حتى في حالات الطوارئ.',
+                    deliveryText: 'نوصل سيارتك مجانا إلى مطار الصويرة لراحتكم.',
+                    depositText: 'خدمة احترافية مع ضمان مالي. حماية متبادلة لكراء مطمئن.',
+                    insuranceText: 'جميع سياراتنا مؤمنة بالكامل من أجل راحة بالكم.',
+                    maintainedTitle: 'سيارات مصانة',
+                    maintainedText: 'تخضع سياراتنا للصيانة والفحص بانتظام لضمان سلامتكم.',
+                    adviceTitle: 'نصائح محلية',
+                    adviceText: 'استفيدوا من نصائح خبرائنا المحليين حول أفضل الأماكن للزيارة في الصويرة.',
+                    essaouiraTitle: 'اكتشف الصويرة',
+                    essaouiraText: 'المدينة التي نحبها وندعوكم لاستكشافها',
+                    medinaTitle: 'المدينة العتيقة',
+                    medinaText: 'استكشفوا مدينة الصويرة العتيقة المصنفة تراثا عالميا لدى اليونسكو.',
+                    beachesTitle: 'شواطئ رائعة',
+                    beachesText: 'استمتعوا بالشواطئ الرملية والرياضات المائية على ساحل المحيط الأطلسي.',
+                    artTitle: 'الفن والثقافة',
+                    artText: 'اكتشفوا الفن المحلي والمعارض والمهرجانات الثقافية في الصويرة.',
+                    ctaTitle: 'مستعد للمغامرة؟',
+                    ctaText: 'انضموا إلى آلاف الزوار الراضين الذين اختاروا Medridatours',
+                    chooseVehicle: 'اختر سيارة',
+                    contactNow: 'تواصل الآن'
+                },
+                contact: {
+                    title: 'اتصل بنا',
+                    subtitle: 'نحن هنا لمساعدتكم في حجزكم',
+                    infoTitle: 'معلومات الاتصال',
+                    address: 'العنوان',
+                    phone: 'الهاتف',
+                    whatsappText: 'حجز سريع وسهل عبر واتساب',
+                    openWhatsapp: 'افتح واتساب',
+                    hours: 'أوقات العمل',
+                    days: 'من الاثنين إلى الأحد',
+                    emergency: 'دعم الطوارئ: على مدار الساعة',
+                    professionalTitle: 'خدمة احترافية',
+                    depositLine: 'كراء مع ضمان',
+                    protectionLine: 'ضمان وحماية متبادلة',
+                    quickActions: 'إجراءات سريعة',
+                    carRental: 'كراء السيارات',
+                    seeFleet: 'عرض الأسطول',
+                    locationTitle: 'موقعنا',
+                    locationText: 'نحن في قلب الصويرة، ويسهل الوصول إلينا من جميع أحياء المدينة.',
+                    faqTitle: 'الأسئلة الشائعة',
+                    faqText: 'اعثروا بسرعة على أجوبة أسئلتكم',
+                    faq1Question: 'كيف يمكنني حجز سيارة؟',
+                    faq1Answer: 'الأمر بسيط جدا! اختر سيارتك على موقعنا، وانقر على \'احجز عبر واتساب\' وأرسل لنا رسالة. سنرد عليك بسرعة لإتمام حجزك.',
+                    faq2Question: 'سياسة الضمان',
+                    faq2Answer: 'تتم عمليات الكراء لدينا مع ضمان مالي. يؤمّن هذا الضمان حجزك ويضمن الحماية المتبادلة. المبلغ معقول ويُسترد في نهاية الكراء.',
+                    faq3Question: 'هل تقدمون خدمات النقل السياحي؟',
+                    faq3Answer: 'نعم! نقدم خدمات النقل السياحي بحافلات صغيرة وسيارات مع سائقين محترفين. مثالية لزيارة المغرب براحة تامة. تواصلوا معنا للحصول على عرض سعر مخصص.',
+                    faq4Question: 'هل توفرون التوصيل إلى المطار؟',
+                    faq4Answer: 'نعم، نوفر التوصيل المجاني إلى مطار الصويرة. أخبرونا بموعد وصولكم عند الحجز.',
+                    faq5Question: 'هل جميع السيارات مؤمنة؟',
+                    faq5Answer: 'بالتأكيد! جميع سياراتنا مؤمنة بالكامل وفي حالة ممتازة. سلامتكم أولويتنا.',
+                    faq6Question: 'هل يمكنني تعديل حجزي أو إلغاؤه؟',
+                    faq6Answer: 'نعم، تواصلوا معنا عبر واتساب لأي تعديل أو إلغاء. نحن مرنون ومتفهمون.',
+                    ctaTitle: 'مستعد للحجز؟',
+                    ctaText: 'اتصل بنا الآن واحصل على سيارتك بسرعة',
+                    ctaWhatsapp: 'تواصل عبر واتساب'
+                },
+                transport: {
+                    subtitle: 'اكتشفوا المغرب بأناقة مع خدمات النقل السياحي وسائقينا المحترفين',
+                    servicesTitle: 'خدمات النقل لدينا',
+                    servicesText: 'حافلات صغيرة وسيارات بجميع الأحجام مع سائقين ذوي خبرة',
+                    minibusTitle: 'حافلة سياحية صغيرة',
+                    minibusCapacity: 'السعة: 8-16 راكبا',
+                    driverIncluded: 'سائق محترف مشمول',
+                    airConditioning: 'تكييف الهواء',
+                    customTours: 'جولات مخصصة',
+                    luggage: 'مساحة واسعة للأمتعة',
+                    requestQuote: 'اطلب عرض سعر',
+                    comfortTitle: 'سيارات فائقة الراحة',
+                    comfortCapacity: 'السعة: 2-7 ركاب',
+                    premium: 'سيارات راقية',
+                    experiencedDriver: 'سائق ذو خبرة',
+                    tailoredTours: 'جولات حسب الطلب',
+                    comfort: 'راحة مثالية',
+                    compactTitle: 'سيارات صغيرة',
+                    compactCapacity: 'السعة: 2-4 ركاب',
+                    budget: 'حل اقتصادي',
+                    localDriver: 'سائق محلي خبير',
+                    city: 'مثالية للتنقل في المدينة',
+                    available247: 'متاح على مدار الساعة',
+                    destinationsTitle: 'وجهات شائعة',
+                    marrakech: 'مراكش',
+                    marrakechText: 'المدينة الحمراء',
+                    casablanca: 'الدار البيضاء',
+                    casablancaText: 'العاصمة الاقتصادية',
+                    agadir: 'أكادير',
+                    agadirText: 'لؤلؤة الجنوب',
+                    ouarzazate: 'ورزازات',
+                    ouarzazateText: 'بوابة الصحراء',
+                    customTour: 'جولة مخصصة',
+                    specialTitle: 'خدمات خاصة',
+                    airportText: 'خدمة على مدار الساعة مع تتبع الرحلات واستقبال شخصي',
+                    eventsTitle: 'مناسبات خاصة',
+                    eventsText: 'حفلات الزفاف، أعياد الميلاد، مناسبات الشركات',
+                    plan: 'خطط',
+                    multiDayTitle: 'جولات لعدة أيام',
+                    multiDayText: 'النقل لجولاتكم لعدة أيام في المغرب',
+                    discover: 'اكتشف',
+                    whyTitle: 'لماذا تختار Medridatours؟',
+                    expertDriversTitle: 'سائقون خبراء',
+                    expertDriversText: 'محترفون ذوو خبرة يعرفون المغرب جيدا',
+                    safetyTitle: 'سلامة مضمونة',
+                    safetyText: 'سيارات مؤمنة وصيانة منتظمة',
+                    availabilityTitle: 'متاحون 24/7',
+                    availabilityText: 'خدمة العملاء والمساعدة في أي وقت',
+                    personalTitle: 'خدمة شخصية',
+                    personalText: 'كل رحلة مصممة حسب احتياجاتكم',
+                    ctaTitle: 'مستعد لمغامرتك؟',
+                    ctaText: 'اتصل بنا الآن للحصول على عرض سعر مخصص ومجاني',
+                    ctaWhatsapp: 'عرض سعر مجاني عبر واتساب',
+                    noPrices: 'لا توجد أسعار معروضة - كل عرض سعر مخصص حسب احتياجاتكم'
+                }
+            }
+        };
+
+        this.language = this.detectLanguage();
+        this.applyDocumentLanguage();
+    }
+
+    /**
+     * Language from the ?lang= parameter, then the saved choice, then French
+     */
+    detectLanguage() {
+        const requested = new URLSearchParams(window.location.search).get('lang');
+        if (this.languages[requested]) {
+            this.saveLanguage(requested);
+            return requested;
+        }
+
+        const stored = this.getSavedLanguage();
+        return this.languages[stored] ? stored : this.defaultLanguage;
+    }
+
+    getSavedLanguage() {
+        try {
+            return localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveLanguage(language) {
+        try {
+            localStorage.setItem(this.storageKey, language);
+        } catch (error) {
+            console.warn('Language preference could not be saved:', error);
+        }
+    }
+
+    /**
+     * Set lang and dir on <html> so the layout switches to RTL for Arabic
+     */
+    applyDocumentLanguage() {
+        const root = document.documentElement;
+        root.lang = this.language;
+        root.dir = this.languages[this.language].dir;
+    }
+
+    /**
+     * Switch language; pages and scripts read it on load, so the page is reloaded
+     */
+    setLanguage(language) {
+        if (!this.languages[language] || language === this.language) return;
+
+        this.saveLanguage(language);
+
+        const url = new URL(window.location.href);
+        if (url.searchParams.has('lang')) {
+            // The parameter would override the saved choice
+            url.searchParams.set('lang', language);
+            window.location.replace(url.toString());
+        } else {
+            window.location.reload();
+        }
+    }
+
+    /**
+     * Translation lookup
+     */
+    lookup(language, key) {
+        return key.split('.').reduce((node, part) => (node && typeof node === 'object') ? node[part] : undefined,
+            this.translations[language]);
+    }
+
+    has(key) {
+        return this.lookup(this.language, key) !== undefined || this.lookup(this.defaultLanguage, key) !== undefined;
+    }
+
+    /**
+     * Translate a key, falling back to French; "{name}" placeholders are filled from params
+     */
+    t(key, params = {}) {
+        let value = this.lookup(this.language, key);
+        if (value === undefined) value = this.lookup(this.defaultLanguage, key);
+        if (value === undefined) {
+            console.warn(`Missing translation: ${key}`);
+            return key;
+        }
+
+        if (typeof value === 'function') return value(params);
+        if (typeof value !== 'string') return value;
+        return value.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+    }
+
+    /**
+     * Apply the current language's overrides from a data item's "translations" field
+     * e.g. { "label": "Siège enfant", "translations": { "en": { "label": "Child seat" } } }
+     */
+    localize(item) {
+        if (!item || !item.translations || !item.translations[this.language]) return item;
+        return Object.assign({}, item, item.translations[this.language]);
+    }
+
+    getLocale() {
+        return this.languages[this.language].locale;
+    }
+
+    /**
+     * Translate the static page content
+     * data-i18n="key" replaces the text, data-i18n-attr="attribute:key;..." the attributes
+     */
+    translatePage(root = document) {
+        // The HTML is written in French
+        if (this.language === this.defaultLanguage) return;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const value = this.lookup(this.language, element.dataset.i18n);
+            if (typeof value === 'string') {
+                element.textContent = value;
+            }
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                const value = key ? this.lookup(this.language, key) : undefined;
+                if (typeof value === 'string') {
+                    element.setAttribute(attribute, value);
+                }
+            });
+        });
+    }
+
+    /**
+     * Highlight the current language in every switcher
+     */
+    updateSwitchers(root = document) {
+        root.querySelectorAll('[data-language]').forEach(button => {
+            const active = button.dataset.language === this.language;
+            button.setAttribute('aria-pressed', String(active));
+            button.classList.toggle('text-gray-600', !active);
+            button.classList.toggle('text-blue-600', active);
+            button.classList.toggle('bg-blue-50', active);
+            button.classList.toggle('font-semibold', active);
+        });
+    }
+}
+
+// Shared instance, created in <head> so the page direction is set before rendering
+window.MedridatoursI18n = new I18n();
+
+// Translate the page when DOM is ready, before the other scripts render their content
+document.addEventListener('DOMContentLoaded', function() {
+    window.MedridatoursI18n.translatePage();
+    window.MedridatoursI18n.updateSwitchers();
+});
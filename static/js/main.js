@@ -98,115 +98,20 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
-    // Enhanced search functionality
-    const searchInputs = document.querySelectorAll('input[type="search"]');
-    searchInputs.forEach(input => {
-        input.addEventListener('input', function() {
-            clearTimeout(this.searchTimeout);
-            this.searchTimeout = setTimeout(() => {
-                // Add search functionality here if needed
-                console.log('Searching for:', this.value);
-            }, 300);
-        });
-    });
-
-    // Price range slider (if implemented)
-    const priceSliders = document.querySelectorAll('input[type="range"]');
-    priceSliders.forEach(slider => {
-        slider.addEventListener('input', function() {
-            const output = document.querySelector(`#${this.id}-output`);
-            if (output) {
-                output.textContent = this.value;
-            }
-        });
-    });
-
-    // Form validation enhancements
-    const forms = document.querySelectorAll('form');
-    forms.forEach(form => {
-        form.addEventListener('submit', function(e) {
-            const requiredFields = form.querySelectorAll('[required]');
-            let isValid = true;
-            
-            requiredFields.forEach(field => {
-                if (!field.value.trim()) {
-                    isValid = false;
-                    field.classList.add('border-red-500');
-                } else {
-                    field.classList.remove('border-red-500');
-                }
-            });
-            
-            if (!isValid) {
-                e.preventDefault();
-                alert('Veuillez remplir tous les champs obligatoires.');
-            }
-        });
+    // Form validation (static/js/form-validation.js); forms marked data-validation="manual" validate from their own script
+    document.querySelectorAll('form:not([hidden]):not([data-validation="manual"])').forEach(form => {
+        FormValidator.for(form).attach();
     });
 
-    // Toast notifications (simple implementation)
+    // Toast notifications (static/js/notifications.js)
     window.showToast = function(message, type = 'info') {
-        const toast = document.createElement('div');
-        toast.className = `fixed top-20 right-4 z-50 p-4 rounded-lg shadow-lg transition-all duration-300 ${
-            type === 'success' ? 'bg-green-500 text-white' : 
-            type === 'error' ? 'bg-red-500 text-white' : 
-            'bg-blue-500 text-white'
-        }`;
-        toast.textContent = message;
-        
-        document.body.appendChild(toast);
-        
-        setTimeout(() => {
-            toast.style.opacity = '0';
-            setTimeout(() => {
-                document.body.removeChild(toast);
-            }, 300);
-        }, 3000);
+        return window.MedridatoursNotifications.show(message, { type });
     };
-
-    // Initialize tooltips (if needed)
-    const tooltipTriggers = document.querySelectorAll('[data-tooltip]');
-    tooltipTriggers.forEach(trigger => {
-        trigger.addEventListener('mouseenter', function() {
-            const tooltip = document.createElement('div');
-            tooltip.className = 'absolute bg-gray-800 text-white p-2 rounded shadow-lg text-sm z-50';
-            tooltip.textContent = this.dataset.tooltip;
-            tooltip.style.top = this.offsetTop - 40 + 'px';
-            tooltip.style.left = this.offsetLeft + 'px';
-            tooltip.id = 'tooltip';
-            
-            document.body.appendChild(tooltip);
-        });
-        
-        trigger.addEventListener('mouseleave', function() {
-            const tooltip = document.getElementById('tooltip');
-            if (tooltip) {
-                document.body.removeChild(tooltip);
-            }
-        });
-    });
 });
 
-// Language switcher functionality
+// Language switcher functionality (translations live in static/js/i18n.js)
 function changeLanguage(langCode) {
-    const form = document.createElement('form');
-    form.method = 'post';
-    form.action = '/i18n/setlang/';
-    
-    const csrfInput = document.createElement('input');
-    csrfInput.type = 'hidden';
-    csrfInput.name = 'csrfmiddlewaretoken';
-    csrfInput.value = document.querySelector('[name=csrfmiddlewaretoken]').value;
-    
-    const langInput = document.createElement('input');
-    langInput.type = 'hidden';
-    langInput.name = 'language';
-    langInput.value = langCode;
-    
-    form.appendChild(csrfInput);
-    form.appendChild(langInput);
-    document.body.appendChild(form);
-    form.submit();
+    window.MedridatoursI18n.setLanguage(langCode);
 }
 
 // Utility functions
@@ -224,11 +129,11 @@ const utils = {
         };
     },
     
-    // Format price
-    formatPrice: function(price) {
-        return new Intl.NumberFormat('fr-MA', {
+    // Format price (MAD by default, EUR for catalog prices)
+    formatPrice: function(price, currency = 'MAD') {
+        return new Intl.NumberFormat(currency === 'EUR' ? 'fr-FR' : 'fr-MA', {
             style: 'currency',
-            currency: 'MAD'
+            currency: currency
         }).format(price);
     },
     
@@ -0,0 +1,187 @@
+/**
+ * Notifications - Pure JavaScript
+ * One stack of toast messages for the whole site: queued, announced to screen readers,
+ * dismissible, and paused while hovered or focused
+ * Version: 1.0.0
+ */
+
+class NotificationCenter {
+    constructor() {
+        this.maxVisible = 3; // Further messages wait for a free slot
+        this.durations = {
+            success: 5000,
+            info: 5000,
+            warning: 7000,
+            error: 8000
+        };
+        this.styles = {
+            success: { className: 'bg-green-500 text-white', icon: 'fa-check-circle' },
+            info: { className: 'bg-blue-500 text-white', icon: 'fa-info-circle' },
+            warning: { className: 'bg-yellow-500 text-black', icon: 'fa-exclamation-triangle' },
+            error: { className: 'bg-red-500 text-white', icon: 'fa-exclamation-circle' }
+        };
+        this.visible = [];
+        this.queue = [];
+        this.container = null;
+        this.regions = null;
+
+        // Live regions must be in the page before the first message, or screen readers may miss it
+        if (document.body) {
+            this.createContainer();
+        } else {
+            document.addEventListener('DOMContentLoaded', () => this.createContainer());
+        }
+    }
+
+    /**
+     * Show a message
+     * options: { type: 'success' | 'info' | 'warning' | 'error', duration: ms (0 stays until dismissed) }
+     * Returns the notification, which can be passed to dismiss()
+     */
+    show(message, options = {}) {
+        const type = this.styles[options.type] ? options.type : 'info';
+        const duration = options.duration !== undefined ? options.duration : this.durations[type];
+
+        // The same message already on screen is shown again for its full duration
+        const same = this.visible.find(item => item.message === message && item.type === type);
+        if (same) {
+            this.startTimer(same, duration);
+            return same;
+        }
+        const queued = this.queue.find(item => item.message === message && item.type === type);
+        if (queued) return queued;
+
+        const notification = { message, type, duration, element: null, timer: null, remaining: duration, startedAt: 0 };
+        if (this.visible.length >= this.maxVisible) {
+            this.queue.push(notification);
+        } else {
+            this.display(notification);
+        }
+        return notification;
+    }
+
+    success(message, options = {}) {
+        return this.show(message, Object.assign({}, options, { type: 'success' }));
+    }
+
+    info(message, options = {}) {
+        return this.show(message, Object.assign({}, options, { type: 'info' }));
+    }
+
+    warning(message, options = {}) {
+        return this.show(message, Object.assign({}, options, { type: 'warning' }));
+    }
+
+    error(message, options = {}) {
+        return this.show(message, Object.assign({}, options, { type: 'error' }));
+    }
+
+    display(notification) {
+        const style = this.styles[notification.type];
+        const element = document.createElement('div');
+        element.className = `flex items-start gap-3 w-80 max-w-full px-4 py-3 rounded-lg shadow-lg transition-all duration-300 opacity-0 translate-y-2 ${style.className}`;
+        element.innerHTML = `
+            <i class="fas ${style.icon} mt-0.5" aria-hidden="true"></i>
+            <p class="flex-1 text-sm font-medium"></p>
+            <button type="button" class="opacity-70 hover:opacity-100 focus:opacity-100" data-notification-dismiss>
+                <i class="fas fa-times" aria-hidden="true"></i>
+            </button>
+        `;
+        // Messages may quote what visitors typed: never parsed as HTML
+        element.querySelector('p').textContent = notification.message;
+        element.querySelector('[data-notification-dismiss]').setAttribute('aria-label', window.MedridatoursI18n.t('notifications.dismiss'));
+        element.querySelector('[data-notification-dismiss]').addEventListener('click', () => this.dismiss(notification));
+
+        // Reading a message should not make it disappear
+        element.addEventListener('mouseenter', () => this.pause(notification));
+        element.addEventListener('mouseleave', () => this.resume(notification));
+        element.addEventListener('focusin', () => this.pause(notification));
+        element.addEventListener('focusout', () => this.resume(notification));
+
+        notification.element = element;
+        this.visible.push(notification);
+        this.getRegion(notification.type).appendChild(element);
+
+        // Next frame, so the entry is animated
+        setTimeout(() => element.classList.remove('opacity-0', 'translate-y-2'), 20);
+        this.startTimer(notification, notification.duration);
+    }
+
+    dismiss(notification) {
+        const index = this.visible.indexOf(notification);
+        if (index === -1) {
+            // Still waiting in the queue
+            this.queue = this.queue.filter(item => item !== notification);
+            return;
+        }
+
+        clearTimeout(notification.timer);
+        this.visible.splice(index, 1);
+        notification.element.classList.add('opacity-0');
+        setTimeout(() => notification.element.remove(), 300);
+
+        if (this.queue.length > 0) {
+            this.display(this.queue.shift());
+        }
+    }
+
+    clear() {
+        this.queue = [];
+        this.visible.slice().forEach(notification => this.dismiss(notification));
+    }
+
+    /**
+     * Auto-dismiss timer, which hover and focus can pause
+     */
+    startTimer(notification, duration) {
+        clearTimeout(notification.timer);
+        notification.timer = null;
+        notification.remaining = duration;
+        if (!duration) return;
+
+        notification.startedAt = Date.now();
+        notification.timer = setTimeout(() => this.dismiss(notification), duration);
+    }
+
+    pause(notification) {
+        if (!notification.timer) return;
+        clearTimeout(notification.timer);
+        notification.timer = null;
+        notification.remaining = Math.max(0, notification.remaining - (Date.now() - notification.startedAt));
+    }
+
+    resume(notification) {
+        if (notification.timer || !notification.remaining || !this.visible.includes(notification)) return;
+        // Wait until the message is neither hovered nor focused
+        if (notification.element.matches(':hover') || notification.element.contains(document.activeElement)) return;
+        this.startTimer(notification, notification.remaining);
+    }
+
+    /**
+     * Errors and warnings interrupt (role="alert"), the other messages wait their turn (role="status")
+     */
+    getRegion(type) {
+        this.createContainer();
+        return this.regions[type === 'error' || type === 'warning' ? 'alert' : 'status'];
+    }
+
+    createContainer() {
+        if (this.container) return;
+
+        this.container = document.createElement('div');
+        this.container.className = 'notification-stack fixed top-20 right-4 z-50 flex flex-col gap-2';
+        this.regions = {
+            alert: document.createElement('div'),
+            status: document.createElement('div')
+        };
+        Object.keys(this.regions).forEach(role => {
+            this.regions[role].setAttribute('role', role);
+            this.regions[role].className = 'flex flex-col gap-2';
+            this.container.appendChild(this.regions[role]);
+        });
+        document.body.appendChild(this.container);
+    }
+}
+
+// Shared instance, available before the DOM is ready
+window.MedridatoursNotifications = new NotificationCenter();
@@ -0,0 +1,115 @@
+/**
+ * Progressive Web App - Pure JavaScript
+ * Registers the service worker (/sw.js) and offers returning visitors to add the site to their home screen
+ * Version: 1.0.0
+ */
+
+class InstallPrompt {
+    constructor() {
+        this.i18n = window.MedridatoursI18n;
+        this.visitsKey = 'medridatours_visits';
+        this.dismissedKey = 'medridatours_install_dismissed';
+        this.minVisits = 2; // Only repeat visitors are asked
+        this.dismissDelay = 30 * 24 * 60 * 60 * 1000; // Ask again 30 days after "Later"
+        this.deferredPrompt = null;
+        this.banner = null;
+
+        this.init();
+    }
+
+    init() {
+        this.countVisit();
+
+        // Chrome and Edge only; other browsers keep their own "add to home screen" menu
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.deferredPrompt = e;
+            if (this.shouldPrompt()) this.showBanner();
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.deferredPrompt = null;
+            this.hideBanner();
+        });
+    }
+
+    /**
+     * One visit per browser session
+     */
+    countVisit() {
+        if (sessionStorage.getItem(this.visitsKey)) return;
+        sessionStorage.setItem(this.visitsKey, '1');
+        localStorage.setItem(this.visitsKey, String(this.getVisits() + 1));
+    }
+
+    getVisits() {
+        return parseInt(localStorage.getItem(this.visitsKey), 10) || 0;
+    }
+
+    shouldPrompt() {
+        const dismissedAt = parseInt(localStorage.getItem(this.dismissedKey), 10) || 0;
+        return this.getVisits() >= this.minVisits && Date.now() - dismissedAt > this.dismissDelay;
+    }
+
+    showBanner() {
+        if (this.banner) return;
+
+        const t = key => this.i18n.t(`pwa.${key}`);
+        this.banner = document.createElement('div');
+        this.banner.className = 'fixed bottom-4 left-4 right-4 md:left-auto md:max-w-sm bg-white rounded-xl shadow-xl border border-gray-200 p-4 z-50';
+        this.banner.setAttribute('role', 'dialog');
+        this.banner.setAttribute('aria-labelledby', 'install-prompt-title');
+        this.banner.innerHTML = `
+            <div class="flex items-start gap-3">
+                <img src="/static/images/icon.svg" alt="" class="w-10 h-10 rounded-lg">
+                <div class="flex-1">
+                    <p id="install-prompt-title" class="font-semibold text-gray-800">${t('title')}</p>
+                    <p class="text-sm text-gray-600 mb-3">${t('text')}</p>
+                    <div class="flex gap-2">
+                        <button type="button" data-install-accept class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors">${t('install')}</button>
+                        <button type="button" data-install-dismiss class="text-gray-600 hover:text-gray-800 px-4 py-2 rounded-lg text-sm font-medium">${t('dismiss')}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        this.banner.querySelector('[data-install-accept]').addEventListener('click', () => this.install());
+        this.banner.querySelector('[data-install-dismiss]').addEventListener('click', () => this.dismiss());
+        document.body.appendChild(this.banner);
+    }
+
+    hideBanner() {
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
+        }
+    }
+
+    async install() {
+        this.hideBanner();
+        if (!this.deferredPrompt) return;
+
+        this.deferredPrompt.prompt();
+        const choice = await this.deferredPrompt.userChoice;
+        if (choice.outcome !== 'accepted') {
+            localStorage.setItem(this.dismissedKey, String(Date.now()));
+        }
+        // A prompt event can only be used once
+        this.deferredPrompt = null;
+    }
+
+    dismiss() {
+        localStorage.setItem(this.dismissedKey, String(Date.now()));
+        this.hideBanner();
+    }
+}
+
+// Register the service worker and set up the install prompt when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
+    window.installPrompt = new InstallPrompt();
+});
@@ -0,0 +1,335 @@
+/**
+ * Rental Quote Calculator - Pure JavaScript
+ * Computes rental totals from dates, extras and seasonal rate rules, and adds a quote widget to each vehicle card
+ * Version: 1.0.0
+ */
+
+class RentalQuote {
+    constructor(pricing) {
+        this.currency = pricing.currency || 'EUR';
+        this.exchangeRates = pricing.exchangeRates || {};
+        this.minimumDays = pricing.minimumDays || 1;
+        this.graceMinutes = pricing.lateReturnGraceMinutes || 0;
+        this.extras = pricing.extras || [];
+        this.seasons = pricing.seasons || [];
+    }
+
+    /**
+     * Build a Date from the date and time input values (local time)
+     */
+    static parseDateTime(date, time) {
+        if (!date) return null;
+        const parsed = new Date(`${date}T${time || '10:00'}`);
+        return isNaN(parsed.getTime()) ? null : parsed;
+    }
+
+    /**
+     * Number of billed days: started 24h periods, with a grace period on late returns
+     */
+    countDays(pickup, dropoff) {
+        const minutes = Math.round((dropoff - pickup) / 60000);
+        const fullDays = Math.floor(minutes / 1440);
+        const remainder = minutes - fullDays * 1440;
+        const days = remainder > this.graceMinutes ? fullDays + 1 : fullDays;
+        return Math.max(days, this.minimumDays);
+    }
+
+    /**
+     * Highest seasonal multiplier applying to a given day
+     */
+    getSeason(date) {
+        const key = `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+        return this.seasons
+            .filter(season => season.start <= season.end ?
+                key >= season.start && key <= season.end :
+                // Season spanning the new year (e.g. 12-20 to 01-05)
+                key >= season.start || key <= season.end)
+            .sort((a, b) => b.multiplier - a.multiplier)[0] || null;
+    }
+
+    /**
+     * Compute a quote; returns { error } when the input cannot be priced
+     */
+    calculate({ vehicle, pickup, dropoff, extras = [] }) {
+        if (!vehicle || !pickup || !dropoff) {
+            return { error: 'missing_dates' };
+        }
+        if (dropoff <= pickup) {
+            return { error: 'invalid_range' };
+        }
+
+        const days = this.countDays(pickup, dropoff);
+        const seasons = new Set();
+        let rentalTotal = 0;
+
+        // Each rental day is priced with the season it falls in
+        for (let i = 0; i < days; i++) {
+            const day = new Date(pickup.getFullYear(), pickup.getMonth(), pickup.getDate() + i);
+            const season = this.getSeason(day);
+            if (season) seasons.add(season.label);
+            rentalTotal += vehicle.pricePerDay * (season ? season.multiplier : 1);
+        }
+
+        const selectedExtras = this.extras
+            .filter(extra => extras.includes(extra.id))
+            .map(extra => ({
+                id: extra.id,
+                label: extra.label,
+                total: extra.pricePerDay ? extra.pricePerDay * days : (extra.flatPrice || 0)
+            }));
+
+        const baseTotal = vehicle.pricePerDay * days;
+        const extrasTotal = selectedExtras.reduce((sum, extra) => sum + extra.total, 0);
+        const total = this.round(rentalTotal + extrasTotal);
+
+        return {
+            vehicleId: vehicle.id,
+            pickup,
+            dropoff,
+            days,
+            baseTotal: this.round(baseTotal),
+            seasonalSurcharge: this.round(rentalTotal - baseTotal),
+            seasons: [...seasons],
+            extras: selectedExtras,
+            extrasTotal: this.round(extrasTotal),
+            total,
+            currency: this.currency,
+            converted: this.convert(total)
+        };
+    }
+
+    /**
+     * Totals in the other display currencies
+     */
+    convert(amount) {
+        const converted = {};
+        Object.keys(this.exchangeRates).forEach(currency => {
+            converted[currency] = this.round(amount * this.exchangeRates[currency]);
+        });
+        return converted;
+    }
+
+    round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+class QuoteWidgets {
+    constructor() {
+        this.pricingUrl = '/static/data/pricing.json';
+        this.calculator = null;
+        this.i18n = window.MedridatoursI18n;
+        this.ready = this.loadPricing();
+
+        this.init();
+    }
+
+    /**
+     * Enhance the vehicle cards each time a fleet grid is rendered
+     */
+    init() {
+        document.addEventListener('fleet:rendered', async (e) => {
+            if (!await this.ready) return;
+            e.detail.container.querySelectorAll('[data-vehicle-id]').forEach(card => this.attach(card));
+        });
+    }
+
+    async loadPricing() {
+        try {
+            const response = await fetch(this.pricingUrl);
+            if (!response.ok) {
+                throw new Error(`Pricing request failed: ${response.status}`);
+            }
+            const pricing = await response.json();
+            // Extra and season labels in the page language
+            pricing.extras = (pricing.extras || []).map(extra => this.i18n.localize(extra));
+            pricing.seasons = (pricing.seasons || []).map(season => this.i18n.localize(season));
+            this.calculator = new RentalQuote(pricing);
+            return true;
+        } catch (error) {
+            console.warn('Quote calculator disabled:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Add the "Devis" button and the quote panel to a vehicle card
+     */
+    attach(card) {
+        const vehicle = window.fleetCatalog.getVehicle(card.dataset.vehicleId);
+        const actions = card.querySelector('[data-booking-link]');
+        if (!vehicle || !actions || card.querySelector('[data-quote-panel]')) return;
+
+        const panelId = `quote-${vehicle.id}`;
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'flex-1 bg-blue-600 text-white text-center py-2 rounded hover:bg-blue-700 transition-colors';
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', panelId);
+        toggle.innerHTML = `<i class="fas fa-calculator mr-1"></i>${this.i18n.t('quote.toggle')}`;
+        actions.parentElement.appendChild(toggle);
+
+        const panel = document.createElement('div');
+        panel.id = panelId;
+        panel.className = 'hidden mt-4 pt-4 border-t border-gray-200 text-sm';
+        panel.dataset.quotePanel = '';
+        panel.innerHTML = this.createPanelHTML(vehicle, panelId);
+        actions.closest('.p-6').appendChild(panel);
+
+        let calendar = null;
+        toggle.addEventListener('click', () => {
+            const open = panel.classList.toggle('hidden') === false;
+            toggle.setAttribute('aria-expanded', String(open));
+
+            // The availability calendar is only loaded the first time the panel opens
+            if (open && !calendar && window.vehicleAvailability) {
+                calendar = window.vehicleAvailability.mountCalendar(panel.querySelector('[data-availability-calendar]'), vehicle.id, {
+                    onSelect: (start, end) => {
+                        panel.querySelector('[name="pickup-date"]').value = start || '';
+                        panel.querySelector('[name="return-date"]').value = end || '';
+                        this.update(vehicle, panel, actions);
+                    }
+                });
+            }
+        });
+
+        panel.addEventListener('change', (e) => {
+            if (calendar && e.target.type === 'date') {
+                calendar.setSelection(panel.querySelector('[name="pickup-date"]').value, panel.querySelector('[name="return-date"]').value);
+            }
+            this.update(vehicle, panel, actions);
+        });
+    }
+
+    createPanelHTML(vehicle, panelId) {
+        const t = key => this.i18n.t(key);
+        const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500';
+        const now = new Date();
+        const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+        const extras = this.calculator.extras.map(extra => `
+                <label class="flex items-center gap-2">
+                    <input type="checkbox" name="extras" value="${extra.id}">
+                    <span>${extra.label}</span>
+                    <span class="text-gray-500 ml-auto">${this.formatExtraPrice(extra)}</span>
+                </label>`).join('');
+
+        return `
+            <div class="mb-3" data-availability-calendar></div>
+            <div class="grid grid-cols-2 gap-2 mb-3">
+                <div>
+                    <label for="${panelId}-pickup-date" class="block text-xs font-medium text-gray-700 mb-1">${t('quote.pickup')}</label>
+                    <input type="date" id="${panelId}-pickup-date" name="pickup-date" min="${today}" class="${inputClass}">
+                </div>
+                <div>
+                    <label for="${panelId}-pickup-time" class="block text-xs font-medium text-gray-700 mb-1">${t('quote.time')}</label>
+                    <input type="time" id="${panelId}-pickup-time" name="pickup-time" value="10:00" class="${inputClass}">
+                </div>
+                <div>
+                    <label for="${panelId}-return-date" class="block text-xs font-medium text-gray-700 mb-1">${t('quote.return')}</label>
+                    <input type="date" id="${panelId}-return-date" name="return-date" min="${today}" class="${inputClass}">
+                </div>
+                <div>
+                    <label for="${panelId}-return-time" class="block text-xs font-medium text-gray-700 mb-1">${t('quote.time')}</label>
+                    <input type="time" id="${panelId}-return-time" name="return-time" value="10:00" class="${inputClass}">
+                </div>
+            </div>
+            <fieldset class="space-y-1 mb-3">
+                <legend class="text-xs font-medium text-gray-700 mb-1">${t('quote.extras')}</legend>
+                ${extras}
+            </fieldset>
+            <div class="bg-gray-50 rounded p-3 text-gray-700" data-quote-result aria-live="polite">
+                ${t('quote.prompt')}
+            </div>
+        `;
+    }
+
+    /**
+     * Recompute the quote and feed it into the card's reservation link
+     */
+    async update(vehicle, panel, bookingLink) {
+        const value = name => panel.querySelector(`[name="${name}"]`).value;
+        const quote = this.calculator.calculate({
+            vehicle,
+            pickup: RentalQuote.parseDateTime(value('pickup-date'), value('pickup-time')),
+            dropoff: RentalQuote.parseDateTime(value('return-date'), value('return-time')),
+            extras: [...panel.querySelectorAll('[name="extras"]:checked')].map(input => input.value)
+        });
+
+        // Booked dates cannot be quoted
+        if (!quote.error && window.vehicleAvailability &&
+            !await window.vehicleAvailability.isRangeAvailable(vehicle.id, quote.pickup, quote.dropoff)) {
+            quote.error = 'unavailable';
+        }
+
+        const result = panel.querySelector('[data-quote-result]');
+        const errors = {
+            invalid_range: 'quote.invalidRange',
+            unavailable: 'quote.unavailable',
+            missing_dates: 'quote.prompt'
+        };
+
+        if (quote.error) {
+            result.textContent = this.i18n.t(errors[quote.error]);
+            bookingLink.href = window.fleetCatalog.getBookingLink(vehicle);
+            return;
+        }
+
+        result.innerHTML = this.createResultHTML(quote);
+        bookingLink.href = window.fleetCatalog.getBookingLink(vehicle, this.toBookingData(quote));
+    }
+
+    createResultHTML(quote) {
+        const format = MedridatoursUtils.formatPrice;
+        const lines = [
+            `<div class="flex justify-between"><span>${this.i18n.t('quote.days', { count: quote.days })}</span><span>${format(quote.baseTotal, quote.currency)}</span></div>`
+        ];
+
+        if (quote.seasonalSurcharge > 0) {
+            lines.push(`<div class="flex justify-between"><span>${quote.seasons.join(', ')}</span><span>+ ${format(quote.seasonalSurcharge, quote.currency)}</span></div>`);
+        }
+        quote.extras.forEach(extra => {
+            lines.push(`<div class="flex justify-between"><span>${extra.label}</span><span>${extra.total ? format(extra.total, quote.currency) : this.i18n.t('quote.free')}</span></div>`);
+        });
+
+        lines.push(`
+            <div class="flex justify-between font-bold text-blue-600 border-t border-gray-200 mt-2 pt-2">
+                <span>${this.i18n.t('quote.total')}</span><span>${format(quote.total, quote.currency)}</span>
+            </div>`);
+        if (quote.converted.MAD) {
+            lines.push(`<div class="text-right text-xs text-gray-500">≈ ${format(quote.converted.MAD, 'MAD')}</div>`);
+        }
+
+        return lines.join('');
+    }
+
+    /**
+     * Quote details for the reservation message
+     */
+    toBookingData(quote) {
+        const format = MedridatoursUtils.formatPrice;
+        let total = format(quote.total, quote.currency);
+        if (quote.converted.MAD) {
+            total += ` (≈ ${format(quote.converted.MAD, 'MAD')})`;
+        }
+
+        return {
+            pickup: quote.pickup,
+            dropoff: quote.dropoff,
+            days: quote.days,
+            extras: quote.extras.map(extra => extra.label),
+            total
+        };
+    }
+
+    formatExtraPrice(extra) {
+        const format = MedridatoursUtils.formatPrice;
+        if (extra.pricePerDay) return `${format(extra.pricePerDay, this.calculator.currency)} / ${this.i18n.t('quote.perDay')}`;
+        return extra.flatPrice ? format(extra.flatPrice, this.calculator.currency) : this.i18n.t('quote.free');
+    }
+}
+
+// Initialize the quote widgets when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.quoteWidgets = new QuoteWidgets();
+});
@@ -0,0 +1,329 @@
+/**
+ * Review Moderation View - Pure JavaScript
+ * Admin view, behind a sign-in checked by the moderation backend, to approve, reject, edit and reply to customer reviews,
+ * followed by the console listing every review (review-console.js)
+ * Version: 1.0.0
+ */
+
+class ReviewAdmin {
+    constructor(root) {
+        this.root = root;
+        this.moderation = window.reviewModeration;
+        this.reviews = [];
+        this.filter = 'pending';
+        this.tabLabels = {
+            pending: 'En attente',
+            approved: 'Approuvés',
+            rejected: 'Refusés'
+        };
+        this.statusLabels = {
+            pending: 'En attente',
+            approved: 'Approuvé',
+            rejected: 'Refusé'
+        };
+        this.statusClasses = {
+            pending: 'bg-yellow-100 text-yellow-800',
+            approved: 'bg-green-100 text-green-800',
+            rejected: 'bg-red-100 text-red-800'
+        };
+        const consoleRoot = root.querySelector('#review-console');
+        this.console = consoleRoot ? new ReviewConsole(consoleRoot, this) : null;
+
+        this.init();
+    }
+
+    init() {
+        // A login form that can never work would only look like wrong credentials
+        const configurationError = this.moderation.getConfigurationError();
+        if (configurationError) {
+            console.error(configurationError);
+            this.root.querySelector('#admin-login-section').innerHTML = '<p class="text-sm text-red-600" role="alert">' +
+                'La connexion administrateur n\'est pas configurée sur ce site : la clé d\'API Web Firebase est manquante ' +
+                '(apiKey dans static/js/review-moderation.js).</p>';
+            return;
+        }
+
+        this.root.querySelector('#admin-login').addEventListener('submit', (e) => this.handleLogin(e));
+        this.root.querySelector('#moderation-tabs').addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-status]');
+            if (!tab) return;
+            this.filter = tab.dataset.status;
+            this.render();
+        });
+        this.root.querySelector('#moderation-list').addEventListener('click', (e) => this.handleAction(e));
+        this.root.querySelector('#moderation-list').addEventListener('submit', (e) => this.handleFormSubmit(e));
+        this.root.querySelector('#issue-booking-reference').addEventListener('click', () => this.issueReference());
+    }
+
+    async handleLogin(event) {
+        event.preventDefault();
+        const form = event.target;
+        const validator = FormValidator.for(form);
+        if (validator.validate().length > 0) return;
+
+        let authenticated = false;
+        try {
+            authenticated = await this.moderation.authenticate(form.elements.email.value.trim(), form.elements.password.value);
+        } catch (error) {
+            console.error('Admin sign-in error:', error);
+        }
+        if (!authenticated) {
+            validator.showError(form.elements.password, 'Adresse e-mail ou mot de passe incorrect.');
+            validator.announce('Adresse e-mail ou mot de passe incorrect.');
+            form.elements.password.select();
+            return;
+        }
+
+        form.reset();
+        this.root.querySelector('#admin-login-section').classList.add('hidden');
+        this.root.querySelector('#moderation-panel').classList.remove('hidden');
+        if (this.console) this.console.show();
+        await this.load();
+    }
+
+    /**
+     * Load every review (whatever its status) with its moderation decision
+     */
+    async load() {
+        const list = this.root.querySelector('#moderation-list');
+        list.innerHTML = '<p class="text-center text-gray-500 py-8"><i class="fas fa-spinner fa-spin mr-2"></i>Chargement des avis...</p>';
+
+        try {
+            const reviews = await this.moderation.apply(await window.reviewSystem.getAdminReviews());
+            const claims = await this.loadClaims();
+            this.reviews = reviews.map(review => Object.assign({}, review, { bookingReference: claims.get(String(review.id)) || '' }));
+            this.render();
+            if (this.console) this.console.setReviews(this.reviews);
+        } catch (error) {
+            console.error('Moderation load error:', error);
+            list.innerHTML = '<p class="text-center text-red-500 py-8">Impossible de charger les avis.</p>';
+        }
+    }
+
+    /**
+     * Booking references claimed by the reviews, by review id; only admins can read them
+     */
+    async loadClaims() {
+        try {
+            return await window.reviewSystem.verification.getClaims(await window.reviewSystem.getAdminToken());
+        } catch (error) {
+            console.warn('Booking references unavailable, no review can be verified:', error);
+        }
+        return new Map();
+    }
+
+    /**
+     * New reference for a confirmed booking, to copy into the confirmation sent to the customer
+     */
+    async issueReference() {
+        const output = this.root.querySelector('#issued-booking-reference');
+        try {
+            output.textContent = await window.reviewSystem.verification.issue(await window.reviewSystem.getAdminToken());
+        } catch (error) {
+            console.error('Booking reference error:', error);
+            window.MedridatoursNotifications.error('La référence n\'a pas pu être créée. Veuillez réessayer.');
+        }
+    }
+
+    /**
+     * Approve a review: it shows as a verified rental when it claimed a booking reference
+     */
+    approve(reviewId) {
+        const review = this.getReview(String(reviewId));
+        return this.moderation.approve(reviewId, { verified: Boolean(review && review.bookingReference) });
+    }
+
+    render() {
+        this.root.querySelectorAll('#moderation-tabs [data-status]').forEach(tab => {
+            const status = tab.dataset.status;
+            const count = this.reviews.filter(review => review.status === status).length;
+            const active = status === this.filter;
+            tab.textContent = `${this.tabLabels[status]} (${count})`;
+            tab.setAttribute('aria-pressed', String(active));
+            tab.classList.toggle('bg-blue-600', active);
+            tab.classList.toggle('text-white', active);
+            tab.classList.toggle('bg-white', !active);
+            tab.classList.toggle('text-gray-700', !active);
+        });
+
+        const reviews = this.reviews.filter(review => review.status === this.filter);
+        this.root.querySelector('#moderation-list').innerHTML = reviews.length === 0 ?
+            '<p class="text-center text-gray-500 py-8">Aucun avis dans cette catégorie.</p>' :
+            reviews.map(review => this.createReviewHTML(review)).join('');
+    }
+
+    /**
+     * Review card; static/js/review-template.js escapes every review field
+     */
+    createReviewHTML(review) {
+        const html = ReviewTemplate.html;
+        const rating = ReviewTemplate.rating(review.rating);
+        const stars = '★'.repeat(rating) + '☆'.repeat(5 - rating);
+        const date = review.timestamp ? this.formatDate(review.timestamp) : '';
+
+        return html`
+            <article class="bg-white rounded-lg shadow-sm border border-gray-200 p-4" data-review-id="${review.id}">
+                <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    <div>
+                        <span class="font-semibold text-gray-800">${review.name}</span>
+                        ${review.location && html`<span class="text-gray-500 text-sm"> • ${review.location}</span>`}
+                        ${review.vehicle && html`<span class="text-blue-600 text-sm"> • ${review.vehicle}</span>`}
+                    </div>
+                    <div class="flex items-center gap-2 text-sm">
+                        <span class="text-yellow-500" aria-label="${rating} sur 5">${stars}</span>
+                        <span class="text-gray-500">${date}</span>
+                        <span class="px-2 py-0.5 rounded-full text-xs font-medium ${this.statusClasses[review.status]}">${this.statusLabels[review.status]}</span>
+                        ${review.verified && html`<span class="px-2 py-0.5 rounded-full text-xs font-medium bg-green-50 text-green-700"><i class="fas fa-check-circle mr-1"></i>Location vérifiée</span>`}
+                    </div>
+                </div>
+                ${review.email && html`<p class="text-xs text-gray-500 mb-2"><i class="fas fa-envelope mr-1"></i>${review.email}</p>`}
+                ${review.bookingReference && html`<p class="text-xs text-gray-500 mb-2"><i class="fas fa-ticket-alt mr-1"></i>Référence de réservation ${review.bookingReference}${!review.verified && ' (vérifiée à l\'approbation)'}</p>`}
+                <p class="text-gray-700 text-sm whitespace-pre-line mb-3">${review.content}</p>
+                ${ReviewTemplate.photos(ReviewSystem.normalizePhotos(review.photos), (index, count) => `Agrandir la photo ${index} sur ${count}`, review.id)}
+                ${review.reply && html`
+                    <div class="border-l-4 border-blue-200 bg-blue-50 px-3 py-2 text-sm text-gray-700 mb-3">
+                        <span class="font-semibold">Réponse de Medridatours${review.reply.timestamp && ` (${this.formatDate(review.reply.timestamp)})`} :</span> ${review.reply.content}
+                    </div>`}
+                <div class="flex flex-wrap gap-2 text-sm" data-review-actions>
+                    ${review.status !== 'approved' && html`<button type="button" data-action="approve" class="px-3 py-1 rounded bg-green-600 text-white hover:bg-green-700"><i class="fas fa-check mr-1"></i>Approuver</button>`}
+                    ${review.status !== 'rejected' && html`<button type="button" data-action="reject" class="px-3 py-1 rounded bg-red-600 text-white hover:bg-red-700"><i class="fas fa-ban mr-1"></i>Refuser</button>`}
+                    <button type="button" data-action="edit" class="px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50"><i class="fas fa-pen mr-1"></i>Modifier</button>
+                    <button type="button" data-action="reply" class="px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50"><i class="fas fa-reply mr-1"></i>Répondre</button>
+                </div>
+                <div data-review-editor></div>
+            </article>
+        `.toString();
+    }
+
+    createEditFormHTML(review) {
+        const html = ReviewTemplate.html;
+        const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500';
+        const field = (name, label) => html`
+            <label class="block">
+                <span class="block text-xs font-medium text-gray-700 mb-1">${label}</span>
+                <input type="text" name="${name}" value="${review[name]}" class="${inputClass}">
+            </label>`;
+
+        return html`
+            <form data-form="edit" novalidate class="mt-3 pt-3 border-t border-gray-200 space-y-2 text-sm">
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-2">
+                    ${field('name', 'Nom')}
+                    ${field('location', 'Ville / Pays')}
+                    ${field('vehicle', 'Véhicule')}
+                </div>
+                <label class="block">
+                    <span class="block text-xs font-medium text-gray-700 mb-1">Commentaire</span>
+                    <textarea name="content" rows="4" required class="${inputClass}">${review.content}</textarea>
+                </label>
+                ${ReviewTemplate.raw(this.createFormButtonsHTML())}
+            </form>
+        `.toString();
+    }
+
+    createReplyFormHTML(review) {
+        const html = ReviewTemplate.html;
+        return html`
+            <form data-form="reply" class="mt-3 pt-3 border-t border-gray-200 space-y-2 text-sm">
+                <label class="block">
+                    <span class="block text-xs font-medium text-gray-700 mb-1">Réponse publique (laisser vide pour la supprimer)</span>
+                    <textarea name="reply" rows="3" class="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500">${review.reply && review.reply.content}</textarea>
+                </label>
+                ${ReviewTemplate.raw(this.createFormButtonsHTML())}
+            </form>
+        `.toString();
+    }
+
+    createFormButtonsHTML() {
+        return `
+            <div class="flex gap-2">
+                <button type="submit" class="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700">Enregistrer</button>
+                <button type="button" data-action="cancel" class="px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50">Annuler</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Approve, reject, or open the edit and reply forms
+     */
+    async handleAction(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const card = button.closest('[data-review-id]');
+        const review = this.getReview(card.dataset.reviewId);
+        const editor = card.querySelector('[data-review-editor]');
+
+        switch (button.dataset.action) {
+            case 'approve':
+                await this.save(() => this.approve(review.id));
+                break;
+            case 'reject':
+                await this.save(() => this.moderation.reject(review.id));
+                break;
+            case 'edit':
+                editor.innerHTML = this.createEditFormHTML(review);
+                editor.querySelector('textarea').focus();
+                break;
+            case 'reply':
+                editor.innerHTML = this.createReplyFormHTML(review);
+                editor.querySelector('textarea').focus();
+                break;
+            case 'cancel':
+                editor.innerHTML = '';
+                break;
+        }
+    }
+
+    async handleFormSubmit(event) {
+        event.preventDefault();
+        const form = event.target;
+        const reviewId = form.closest('[data-review-id]').dataset.reviewId;
+        if (FormValidator.for(form).validate().length > 0) return;
+
+        if (form.dataset.form === 'edit') {
+            const elements = form.elements;
+            const changes = {
+                name: elements.name.value,
+                location: elements.location.value,
+                vehicle: elements.vehicle.value,
+                content: elements.content.value
+            };
+            // A renamed vehicle is matched again by name on the fleet cards
+            if (changes.vehicle.trim() !== (this.getReview(reviewId).vehicle || '')) {
+                changes.vehicleId = '';
+            }
+            await this.save(() => this.moderation.edit(reviewId, changes));
+        } else {
+            await this.save(() => this.moderation.reply(reviewId, form.elements.reply.value));
+        }
+    }
+
+    /**
+     * Run a moderation action, then reload the list
+     */
+    async save(action) {
+        try {
+            await action();
+            await this.load();
+        } catch (error) {
+            console.error('Moderation save error:', error);
+            window.MedridatoursNotifications.error('La modification n\'a pas pu être enregistrée. Veuillez réessayer.');
+        }
+    }
+
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+    }
+
+    getReview(reviewId) {
+        return this.reviews.find(review => String(review.id) === reviewId);
+    }
+}
+
+// Initialize the moderation view when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const root = document.getElementById('review-admin');
+    if (root) {
+        window.reviewAdmin = new ReviewAdmin(root);
+    }
+});
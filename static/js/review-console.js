@@ -0,0 +1,299 @@
+/**
+ * Review Console - Pure JavaScript
+ * Table of every review on the admin page: search, bulk approve and delete, CSV and JSON export, JSON import
+ * Version: 1.0.0
+ *
+ * Works on what ReviewSystem.getAdminReviews() returns, so the copy kept in localStorage
+ * is enough when the shared store cannot be reached.
+ */
+
+class ReviewConsole {
+    /**
+     * admin is the moderation view (review-admin.js), which loads the reviews for both
+     */
+    constructor(root, admin) {
+        this.root = root;
+        this.admin = admin;
+        this.moderation = window.reviewModeration;
+        this.reviews = [];
+        this.selected = new Set();
+        this.query = '';
+        this.maxImportSize = 20 * 1024 * 1024; // Photos make backups heavy
+        this.statusLabels = {
+            pending: 'En attente',
+            approved: 'Approuvé',
+            rejected: 'Refusé'
+        };
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.root.querySelector('#review-console-search').addEventListener('input', (e) => {
+            this.query = ReviewConsole.normalizeText(e.target.value);
+            this.render();
+        });
+
+        this.root.querySelector('[data-console-rows]').addEventListener('change', (e) => {
+            const checkbox = e.target.closest('[data-console-select]');
+            if (!checkbox) return;
+            if (checkbox.checked) {
+                this.selected.add(checkbox.value);
+            } else {
+                this.selected.delete(checkbox.value);
+            }
+            this.updateSelection();
+        });
+
+        this.root.querySelector('[data-console-select-all]').addEventListener('change', (e) => {
+            this.getVisible().forEach(review => {
+                if (e.target.checked) {
+                    this.selected.add(review.id);
+                } else {
+                    this.selected.delete(review.id);
+                }
+            });
+            this.render();
+        });
+
+        this.root.querySelector('[data-console-action="approve"]').addEventListener('click', () => this.approveSelected());
+        this.root.querySelector('[data-console-action="delete"]').addEventListener('click', () => this.deleteSelected());
+        this.root.querySelectorAll('[data-console-export]').forEach(button => {
+            button.addEventListener('click', () => this.export(button.dataset.consoleExport));
+        });
+        this.root.querySelector('[data-console-import]').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            // The same file can be imported again
+            e.target.value = '';
+            if (file) this.import(file);
+        });
+    }
+
+    show() {
+        this.root.classList.remove('hidden');
+    }
+
+    /**
+     * Reviews with their moderation decision, newest first
+     */
+    setReviews(reviews) {
+        this.reviews = reviews;
+        const ids = new Set(reviews.map(review => review.id));
+        this.selected.forEach(id => {
+            if (!ids.has(id)) this.selected.delete(id);
+        });
+        this.render();
+    }
+
+    /**
+     * Reviews matching the search, in any field an admin would look for
+     */
+    getVisible() {
+        if (!this.query) return this.reviews;
+
+        return this.reviews.filter(review => {
+            const text = [review.name, review.email, review.location, review.vehicle, review.content, review.reply && review.reply.content]
+                .filter(Boolean)
+                .join(' ');
+            return ReviewConsole.normalizeText(text).includes(this.query);
+        });
+    }
+
+    /**
+     * Lowercase without accents, so "hyundai" finds "Hyundaï" and "medina" finds "Médina"
+     */
+    static normalizeText(text) {
+        return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+    }
+
+    render() {
+        const html = ReviewTemplate.html;
+        const visible = this.getVisible();
+
+        this.root.querySelector('[data-console-rows]').innerHTML = visible.length === 0 ?
+            '<tr><td colspan="7" class="p-6 text-center text-gray-500">Aucun avis ne correspond à la recherche.</td></tr>' :
+            visible.map(review => html`
+                <tr class="border-t border-gray-100 align-top">
+                    <td class="p-3">
+                        <input type="checkbox" data-console-select value="${review.id}" ${this.selected.has(review.id) && ReviewTemplate.raw('checked')}
+                               aria-label="Sélectionner l'avis de ${review.name}">
+                    </td>
+                    <td class="p-3 whitespace-nowrap text-gray-500">${this.formatDate(review.timestamp)}</td>
+                    <td class="p-3">
+                        <span class="font-medium text-gray-800">${review.name}</span>
+                        ${review.email && html`<span class="block text-xs text-gray-500">${review.email}</span>`}
+                    </td>
+                    <td class="p-3 whitespace-nowrap">
+                        <span class="text-yellow-500" aria-hidden="true">${'★'.repeat(ReviewTemplate.rating(review.rating))}</span>
+                        <span class="sr-only">${ReviewTemplate.rating(review.rating)} sur 5</span>
+                    </td>
+                    <td class="p-3">${review.vehicle}</td>
+                    <td class="p-3 max-w-xs">
+                        <span class="line-clamp-2">${review.content}</span>
+                        ${review.photos && review.photos.length > 0 && html`<span class="block text-xs text-gray-500"><i class="fas fa-camera mr-1"></i>${review.photos.length} photo(s)</span>`}
+                    </td>
+                    <td class="p-3 whitespace-nowrap">${this.statusLabels[review.status] || review.status}</td>
+                </tr>
+            `).join('');
+
+        this.updateSelection();
+    }
+
+    /**
+     * Count, "select all" checkbox and bulk buttons follow the selection
+     */
+    updateSelection() {
+        const visible = this.getVisible();
+        const selectedVisible = visible.filter(review => this.selected.has(review.id)).length;
+        const selectAll = this.root.querySelector('[data-console-select-all]');
+        selectAll.checked = visible.length > 0 && selectedVisible === visible.length;
+        selectAll.indeterminate = selectedVisible > 0 && selectedVisible < visible.length;
+
+        this.root.querySelectorAll('[data-console-action]').forEach(button => {
+            button.disabled = this.selected.size === 0;
+        });
+
+        const shown = visible.length === this.reviews.length ?
+            `${this.reviews.length} avis` :
+            `${visible.length} avis affichés sur ${this.reviews.length}`;
+        this.root.querySelector('[data-console-count]').textContent = this.selected.size > 0 ?
+            `${shown} · ${this.selected.size} sélectionné(s)` : shown;
+    }
+
+    async approveSelected() {
+        const ids = [...this.selected];
+        await this.run(async () => {
+            for (const id of ids) {
+                await this.admin.approve(id);
+            }
+        }, `${ids.length} avis approuvé(s).`);
+    }
+
+    async deleteSelected() {
+        const ids = [...this.selected];
+        if (!window.confirm(`Supprimer définitivement ${ids.length} avis ? Cette action est irréversible.`)) return;
+
+        await this.run(async () => {
+            const shared = await window.reviewSystem.deleteReviews(ids);
+            ids.forEach(id => this.selected.delete(id));
+            if (!shared) {
+                window.MedridatoursNotifications.warning('Le stockage partagé a refusé la suppression (hors ligne ou session expirée) : les avis ne sont supprimés que sur cet appareil.');
+            }
+        }, `${ids.length} avis supprimé(s).`);
+    }
+
+    /**
+     * Run a bulk action, then reload both views
+     */
+    async run(action, successMessage) {
+        const buttons = this.root.querySelectorAll('[data-console-action]');
+        buttons.forEach(button => {
+            button.disabled = true;
+        });
+        try {
+            await action();
+            window.MedridatoursNotifications.success(successMessage);
+        } catch (error) {
+            console.error('Review console action error:', error);
+            window.MedridatoursNotifications.error('L\'opération n\'a pas pu être effectuée. Veuillez réessayer.');
+        }
+        await this.admin.load();
+    }
+
+    /**
+     * Download the reviews matching the search (all of them without one)
+     */
+    export(format) {
+        const reviews = this.getVisible();
+        const date = new Date().toISOString().split('T')[0];
+        if (format === 'csv') {
+            // Byte order mark: Excel reads the file as UTF-8 (accents, Arabic)
+            ReviewSystem.download(`medridatours_reviews_${date}.csv`, '\uFEFF' + ReviewConsole.toCSV(reviews), 'text/csv');
+        } else {
+            ReviewSystem.download(`medridatours_reviews_${date}.json`, JSON.stringify(reviews, null, 2), 'application/json');
+        }
+    }
+
+    /**
+     * Semicolon-separated, as Excel expects with French settings; photos are left out
+     */
+    static toCSV(reviews) {
+        const columns = [
+            ['id', review => review.id],
+            ['date', review => review.timestamp],
+            ['nom', review => review.name],
+            ['email', review => review.email],
+            ['ville', review => review.location],
+            ['vehicule', review => review.vehicle],
+            ['note', review => review.rating],
+            ['statut', review => review.status],
+            ['avis', review => review.content],
+            ['reponse', review => review.reply ? review.reply.content : ''],
+            ['photos', review => (review.photos || []).length]
+        ];
+
+        const rows = [columns.map(([name]) => name)]
+            .concat(reviews.map(review => columns.map(([, value]) => value(review))));
+        return rows.map(row => row.map(ReviewConsole.toCSVCell).join(';')).join('\r\n');
+    }
+
+    static toCSVCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        // A cell starting with = + - @ would run as a formula in spreadsheets
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Import a JSON backup: an array of reviews, or { reviews: [...] }
+     * Statuses, replies and verified flags in the file are restored as moderation decisions.
+     */
+    async import(file) {
+        const notifications = window.MedridatoursNotifications;
+        if (file.size > this.maxImportSize) {
+            notifications.error('Ce fichier est trop volumineux (20 Mo maximum).');
+            return;
+        }
+
+        let records;
+        try {
+            const data = JSON.parse(await file.text());
+            records = Array.isArray(data) ? data : data && data.reviews;
+        } catch (error) {
+            console.warn('Review import unreadable:', error);
+        }
+        if (!Array.isArray(records)) {
+            notifications.error('Ce fichier n\'est pas un export d\'avis valide (JSON attendu).');
+            return;
+        }
+
+        try {
+            const result = await window.reviewSystem.importReviews(records);
+            // The imported reviews are normalized, which clears the verified flag: it is read from the file
+            const verified = new Set(records.filter(record => record && record.verified === true).map(record => String(record.id)));
+            for (const review of result.imported) {
+                const status = this.moderation.statuses.includes(review.status) ? review.status : 'pending';
+                const isVerified = verified.has(String(review.id));
+                if (status !== 'pending' || review.reply || isVerified) {
+                    await this.moderation.update(review.id, { status, reply: review.reply, verified: isVerified });
+                }
+            }
+
+            const message = `${result.imported.length} avis importé(s), ${result.duplicates} doublon(s) ignoré(s), ${result.invalid} invalide(s)` +
+                (result.failed > 0 ? `, ${result.failed} refusé(s) par le stockage partagé.` : '.');
+            if (result.imported.length > 0) {
+                notifications.success(message);
+            } else {
+                notifications.warning(message);
+            }
+        } catch (error) {
+            console.error('Review import error:', error);
+            notifications.error('L\'import n\'a pas pu être enregistré. Veuillez réessayer.');
+        }
+        await this.admin.load();
+    }
+
+    formatDate(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleDateString('fr-FR', { dateStyle: 'short' }) : '';
+    }
+}
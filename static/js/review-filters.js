@@ -0,0 +1,298 @@
+/**
+ * Review Filters - Pure JavaScript
+ * Filtering, sorting and "load more" paging of the published reviews, with state kept in the URL
+ * Version: 1.0.0
+ */
+
+class ReviewFilters {
+    constructor(form, grid, moreButton) {
+        this.form = form;
+        this.grid = grid;
+        this.moreButton = moreButton;
+        this.catalog = window.fleetCatalog;
+        this.reviewSystem = window.reviewSystem;
+        this.pageSize = 6; // Reviews added by each "load more"
+        this.maxPages = 50;
+        // URL parameters are prefixed so they never clash with the page's other parameters
+        this.paramPrefix = 'reviews-';
+        this.defaults = {
+            rating: 0,
+            vehicle: '',
+            verified: '',
+            sort: '',
+            page: 1
+        };
+        this.state = Object.assign({}, this.defaults);
+        this.reviews = null;
+        this.ready = false;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the filter bar; reviews arrive with each reviews:rendered event
+     */
+    async init() {
+        document.addEventListener('reviews:rendered', (e) => {
+            this.reviews = e.detail.reviews;
+            if (this.ready) this.apply();
+        });
+
+        await this.populateVehicles();
+        this.state = this.readStateFromUrl();
+        this.writeStateToForm();
+        this.bindEvents();
+
+        this.ready = true;
+        if (this.reviews) this.apply();
+    }
+
+    /**
+     * Fill the vehicle options from the fleet catalog
+     */
+    async populateVehicles() {
+        if (!this.catalog) return;
+
+        try {
+            const vehicles = await this.catalog.load();
+            const select = this.form.elements.vehicle;
+            vehicles.forEach(vehicle => {
+                const option = document.createElement('option');
+                option.value = vehicle.id;
+                option.textContent = vehicle.name;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            // Only the vehicle filter is lost
+            console.error('Review vehicle filter load error:', error);
+        }
+    }
+
+    /**
+     * Bind form events
+     */
+    bindEvents() {
+        this.form.addEventListener('change', () => this.handleChange());
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleChange();
+        });
+
+        this.form.addEventListener('reset', (e) => {
+            e.preventDefault();
+            this.state = Object.assign({}, this.defaults);
+            this.writeStateToForm();
+            this.writeStateToUrl();
+            this.apply();
+        });
+
+        this.moreButton.addEventListener('click', () => this.showMore());
+
+        // Keep the list in sync with back/forward navigation
+        window.addEventListener('popstate', () => {
+            this.state = this.readStateFromUrl();
+            this.writeStateToForm();
+            this.apply();
+        });
+    }
+
+    /**
+     * A new filter or sort order starts again from the first page
+     */
+    handleChange() {
+        this.state = Object.assign(this.readStateFromForm(), { page: 1 });
+        this.writeStateToUrl();
+        this.apply();
+    }
+
+    showMore() {
+        // Same cap as for pages read from the URL
+        if (this.state.page >= this.maxPages) return;
+
+        const firstNew = this.state.page * this.pageSize;
+        this.state.page++;
+        this.writeStateToUrl({ replace: true });
+        this.apply();
+
+        // Move keyboard users to the first review just added
+        const card = this.grid.querySelectorAll('.review-card')[firstNew];
+        if (card) {
+            card.setAttribute('tabindex', '-1');
+            card.focus();
+        }
+    }
+
+    /**
+     * Filter, sort and render the visible page of reviews
+     */
+    apply() {
+        if (!this.reviews) return;
+
+        // ReviewSystem shows its own message when there is no review at all
+        if (this.reviews.length === 0) {
+            this.form.classList.add('hidden');
+            this.moreButton.classList.add('hidden');
+            return;
+        }
+        this.form.classList.remove('hidden');
+
+        const reviews = this.sortReviews(this.filterReviews(this.reviews, this.state), this.state.sort);
+        const visible = reviews.slice(0, this.state.page * this.pageSize);
+
+        this.updateResultCount(reviews.length);
+        this.moreButton.classList.toggle('hidden', visible.length >= reviews.length || this.state.page >= this.maxPages);
+
+        if (reviews.length === 0) {
+            this.renderEmpty();
+        } else {
+            this.grid.innerHTML = visible.map(review => this.reviewSystem.createReviewHTML(review)).join('');
+        }
+    }
+
+    /**
+     * Return the reviews matching every active filter
+     */
+    filterReviews(reviews, state) {
+        return reviews.filter(review => {
+            if (state.rating && review.rating !== state.rating) {
+                return false;
+            }
+            if (state.vehicle && this.getVehicleId(review) !== state.vehicle) {
+                return false;
+            }
+            if (state.verified && Boolean(review.verified) !== (state.verified === 'verified')) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Catalog id of the reviewed vehicle, matched by name for older reviews
+     */
+    getVehicleId(review) {
+        return window.vehicleReviews ? window.vehicleReviews.getVehicleId(review) : review.vehicleId;
+    }
+
+    /**
+     * Sort by rating, newest first among equal ratings; reviews arrive newest first
+     */
+    sortReviews(reviews, sort) {
+        const byDate = (a, b) => new Date(b.timestamp) - new Date(a.timestamp);
+        if (sort === 'rating-desc') {
+            return reviews.slice().sort((a, b) => b.rating - a.rating || byDate(a, b));
+        }
+        if (sort === 'rating-asc') {
+            return reviews.slice().sort((a, b) => a.rating - b.rating || byDate(a, b));
+        }
+        return reviews;
+    }
+
+    /**
+     * State <-> form / URL
+     */
+    readStateFromForm() {
+        const elements = this.form.elements;
+        return this.normalizeState({
+            rating: elements.rating.value,
+            vehicle: elements.vehicle.value,
+            verified: elements.verified.value,
+            sort: elements.sort.value,
+            page: this.state.page
+        });
+    }
+
+    writeStateToForm() {
+        const elements = this.form.elements;
+        elements.rating.value = this.state.rating ? String(this.state.rating) : '';
+        elements.vehicle.value = this.state.vehicle;
+        elements.verified.value = this.state.verified;
+        elements.sort.value = this.state.sort;
+    }
+
+    readStateFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const raw = {};
+        Object.keys(this.defaults).forEach(key => {
+            const param = this.paramPrefix + key;
+            raw[key] = params.has(param) ? params.get(param) : this.defaults[key];
+        });
+        return this.normalizeState(raw);
+    }
+
+    /**
+     * Each filter change is a history entry, so back and forward go through the filters;
+     * options.replace updates the current entry instead (more reviews shown on the same list)
+     */
+    writeStateToUrl(options = {}) {
+        const params = new URLSearchParams(window.location.search);
+        Object.keys(this.defaults).forEach(key => {
+            const param = this.paramPrefix + key;
+            if (this.state[key] && this.state[key] !== this.defaults[key]) {
+                params.set(param, this.state[key]);
+            } else {
+                params.delete(param);
+            }
+        });
+
+        const query = params.toString();
+        const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+        if (options.replace || url === window.location.pathname + window.location.search + window.location.hash) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * Coerce raw values and drop anything the select boxes do not offer
+     */
+    normalizeState(raw) {
+        const elements = this.form.elements;
+        const allowed = (select, value) => [...select.options].some(option => option.value === value) ? value : '';
+        const rating = parseInt(raw.rating, 10) || 0;
+        const page = parseInt(raw.page, 10) || 1;
+
+        return {
+            rating: allowed(elements.rating, String(rating)) ? rating : 0,
+            vehicle: allowed(elements.vehicle, String(raw.vehicle || '')),
+            verified: allowed(elements.verified, String(raw.verified || '')),
+            sort: allowed(elements.sort, String(raw.sort || '')),
+            page: Math.min(Math.max(page, 1), this.maxPages)
+        };
+    }
+
+    /**
+     * UI helpers
+     */
+    updateResultCount(count) {
+        const counter = document.getElementById('reviews-result-count');
+        if (counter) {
+            counter.textContent = this.reviewSystem.t('filters.resultCount', { count });
+        }
+    }
+
+    renderEmpty() {
+        this.grid.innerHTML = `
+            <div class="col-span-full text-center py-8 bg-white rounded-lg shadow-sm border border-gray-200">
+                <i class="fas fa-filter text-3xl text-gray-300 mb-3"></i>
+                <h3 class="text-lg font-medium text-gray-600 mb-4">${this.reviewSystem.t('filters.emptyTitle')}</h3>
+                <button type="button" class="text-blue-600 hover:text-blue-700 font-medium" data-review-filters-reset>
+                    ${this.reviewSystem.t('filters.resetAll')}
+                </button>
+            </div>
+        `;
+        this.grid.querySelector('[data-review-filters-reset]').addEventListener('click', () => this.form.reset());
+    }
+}
+
+// Initialize the review filters when DOM is ready (after the review system and the vehicle reviews)
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('reviews-filters');
+    const grid = document.getElementById('reviews-grid');
+    const moreButton = document.getElementById('reviews-more');
+    if (form && grid && moreButton && window.reviewSystem) {
+        window.reviewFilters = new ReviewFilters(form, grid, moreButton);
+    }
+});
@@ -0,0 +1,178 @@
+/**
+ * Review Guard - Pure JavaScript
+ * Spam and abuse checks for review submissions, each rejection carrying a reason code
+ * Version: 1.0.0
+ *
+ * Every check is a pure static method with no DOM or storage access, so the same
+ * rules can run again in the function that receives reviews on the server.
+ */
+
+/**
+ * Words refused in reviews, compared after lowercasing and removing accents
+ * The Arabic list also covers Darija written in Latin letters.
+ */
+const REVIEW_GUARD_PROFANITY = {
+    fr: ['merde', 'putain', 'connard', 'connasse', 'salope', 'encule', 'enculer', 'batard', 'nique', 'niquer', 'pute', 'fdp', 'ntm'],
+    en: ['fuck', 'fucking', 'fucker', 'motherfucker', 'shit', 'bullshit', 'bitch', 'asshole', 'bastard', 'cunt', 'wanker'],
+    ar: ['قحبة', 'قحبه', 'شرموطة', 'شرموطه', 'منيوك', 'زامل', 'زب', 'كس', 'خرا', 'qahba', '9ahba', '9hba', 'zamel', 'zebi', 'khra', 'tfou']
+};
+
+/**
+ * Photo attachments, checked in the browser before upload (review-photos.js) and again with the review
+ * The review record only holds a thumbnail of each photo: the full-size photo is stored apart (review-storage.js).
+ */
+const REVIEW_PHOTO_LIMITS = {
+    maxPhotos: 3,
+    types: ['image/jpeg', 'image/png', 'image/webp'],
+    maxFileSize: 10 * 1024 * 1024, // Picked file, before resizing
+    maxDimension: 1024, // Longest side after resizing, in px
+    quality: 0.8, // First JPEG quality tried, lowered until the photo fits
+    maxEncodedLength: 250 * 1024, // Characters of the resized JPEG data URL
+    thumbnailDimension: 240, // Longest side of the thumbnail kept in the review record, in px
+    maxThumbnailLength: 32 * 1024 // Characters of the thumbnail data URL
+};
+
+class ReviewGuard {
+    /**
+     * options.captcha is an optional object with verify(review, context) resolving to true or false,
+     * e.g. a wrapper around a Turnstile or hCaptcha token check
+     */
+    constructor(options = {}) {
+        this.minFillTime = options.minFillTime !== undefined ? options.minFillTime : 5000; // ms between first focus and submit
+        this.maxRepeatedLetters = options.maxRepeatedLetters || 5;
+        this.maxCapsRatio = options.maxCapsRatio || 0.7;
+        this.minCapsLetters = options.minCapsLetters || 20; // Shorter texts may be all caps
+        this.profanity = options.profanity || REVIEW_GUARD_PROFANITY;
+        this.captcha = options.captcha || null;
+        this.photoLimits = options.photoLimits || REVIEW_PHOTO_LIMITS;
+    }
+
+    /**
+     * Run every check in order
+     * context: { honeypot: value of the hidden field, fillTime: ms spent on the form, null when unknown }
+     * Resolves with { ok: true, reason: null } or { ok: false, reason: '<code>' }
+     */
+    async check(review, context = {}) {
+        const reason = this.findReason(review, context);
+        if (reason) return { ok: false, reason };
+
+        if (this.captcha) {
+            let verified = false;
+            try {
+                verified = await this.captcha.verify(review, context);
+            } catch (error) {
+                console.warn('CAPTCHA verification error:', error);
+            }
+            if (!verified) return { ok: false, reason: 'captcha' };
+        }
+
+        return { ok: true, reason: null };
+    }
+
+    /**
+     * Reason code of the first failed synchronous check, or null
+     */
+    findReason(review, context = {}) {
+        const text = [review.name, review.location, review.content].filter(Boolean).join('\n');
+        const checks = [
+            ['honeypot', () => ReviewGuard.isHoneypotFilled(context.honeypot)],
+            ['tooFast', () => ReviewGuard.isTooFast(context.fillTime, this.minFillTime)],
+            ['link', () => ReviewGuard.containsLink(text)],
+            ['profanity', () => ReviewGuard.containsProfanity(text, this.profanity)],
+            ['repeatedCharacters', () => ReviewGuard.hasRepeatedLetters(text, this.maxRepeatedLetters)],
+            ['allCaps', () => ReviewGuard.isMostlyCaps(review.content, this.maxCapsRatio, this.minCapsLetters)],
+            ['photos', () => ReviewGuard.hasInvalidPhotos(review.photos, this.photoLimits)]
+        ];
+
+        const failed = checks.find(([, test]) => test());
+        return failed ? failed[0] : null;
+    }
+
+    /**
+     * Humans never see the honeypot field, so any value comes from a bot
+     */
+    static isHoneypotFilled(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+
+    /**
+     * A missing fill time is unknown, not too fast: autofilled forms can be sent without ever being focused
+     */
+    static isTooFast(fillTime, minFillTime) {
+        return minFillTime > 0 && typeof fillTime === 'number' && fillTime > 0 && fillTime < minFillTime;
+    }
+
+    /**
+     * URLs, www. addresses and lowercase domain names followed by a path ("exemple.com/promo")
+     * A bare "voiture.Top" is a missing space after a full stop, not a link.
+     */
+    static containsLink(text) {
+        const value = String(text || '');
+        return /(https?:\/\/|www\.)\S+/i.test(value) ||
+            /\b[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}\/\S*/.test(value);
+    }
+
+    static containsProfanity(text, lists = REVIEW_GUARD_PROFANITY) {
+        const words = new Set(Object.values(lists).flat().map(ReviewGuard.normalizeWord));
+        return ReviewGuard.tokenize(text).some(token =>
+            words.has(token) ||
+            // Arabic prefixes: "and" and the article
+            words.has(token.replace(/^(وال|ال|و)/, ''))
+        );
+    }
+
+    /**
+     * The same letter more than max times in a row ("suuuuuper")
+     * Arabic letters are left out: "هههههه" is how laughter is written.
+     */
+    static hasRepeatedLetters(text, max) {
+        return new RegExp(`((?!\\p{Script=Arabic})\\p{L})\\1{${max},}`, 'u').test(String(text || ''));
+    }
+
+    /**
+     * Share of capitals among the letters that have a case (Arabic has none)
+     */
+    static isMostlyCaps(text, maxRatio, minLetters) {
+        const letters = [...String(text || '')].filter(char => char.toLowerCase() !== char.toUpperCase());
+        if (letters.length < minLetters) return false;
+
+        const capitals = letters.filter(char => char === char.toUpperCase()).length;
+        return capitals / letters.length > maxRatio;
+    }
+
+    /**
+     * More photos than allowed, or a photo that is not a resized JPEG data URL
+     * src is the thumbnail; full, the full-size photo, is only there until the store has put it apart.
+     */
+    static hasInvalidPhotos(photos, limits = REVIEW_PHOTO_LIMITS) {
+        if (photos === undefined || photos === null) return false;
+        if (!Array.isArray(photos) || photos.length > limits.maxPhotos) return true;
+
+        return photos.some(photo => !photo ||
+            !ReviewGuard.isPhotoDataUrl(photo.src) || photo.src.length > limits.maxThumbnailLength ||
+            (photo.full !== undefined && (!ReviewGuard.isPhotoDataUrl(photo.full) || photo.full.length > limits.maxEncodedLength)));
+    }
+
+    /**
+     * Only JPEG data URLs: what the photo picker produces, and nothing a browser would run
+     */
+    static isPhotoDataUrl(src) {
+        return typeof src === 'string' && /^data:image\/jpeg;base64,[A-Za-z0-9+/]+={0,2}$/.test(src);
+    }
+
+    /**
+     * Lowercase words without accents, Arabic diacritics or tatweel, digits kept for "9ahba"
+     */
+    static tokenize(text) {
+        return String(text || '')
+            .split(/[^\p{L}\p{M}\p{N}]+/u)
+            .map(ReviewGuard.normalizeWord)
+            .filter(Boolean);
+    }
+
+    static normalizeWord(word) {
+        return String(word).toLowerCase().normalize('NFD')
+            .replace(/[\u0300-\u036f\u064b-\u065f\u0640]/g, '')
+            .replace(/[أإآ]/g, 'ا');
+    }
+}
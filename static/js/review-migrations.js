@@ -0,0 +1,83 @@
+/**
+ * Review Migrations - Pure JavaScript
+ * Versioned schema migrations for the reviews kept on this device
+ * Version: 1.0.0
+ */
+
+/**
+ * Each migration receives the stored reviews and returns the migrated list.
+ * Migrations must stay pure: they only ever see the local copy of the reviews.
+ */
+const REVIEW_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Drop unreadable records and the demo reviews added during development',
+        migrate(reviews) {
+            const sampleNames = ['Fatima Zahra', 'Ahmed Bennani', 'Sarah Martin'];
+
+            return reviews.filter(review => {
+                if (!review || typeof review !== 'object') return false;
+                if (String(review.id || '').includes('sample')) return false;
+                if (review.userAgent === 'Sample') return false;
+                return !(sampleNames.includes(review.name) && !review.userAgent);
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'Merge records written by the retired LocalReviewsManager into the review schema',
+        migrate(reviews) {
+            const seen = new Set();
+            return reviews
+                .map(ReviewSystem.normalizeReview)
+                .filter(review => {
+                    if (!review || seen.has(review.id)) return false;
+                    seen.add(review.id);
+                    return true;
+                });
+        }
+    }
+];
+
+class ReviewMigrations {
+    /**
+     * store must be a local store (LocalStorageReviewStore or MemoryReviewStore):
+     * shared stores expose no way to rewrite or clear their data.
+     */
+    constructor(store, options = {}) {
+        this.store = store;
+        this.versionKey = options.versionKey || 'medridatours_reviews_schema_version';
+        this.migrations = (options.migrations || REVIEW_MIGRATIONS).slice().sort((a, b) => a.version - b.version);
+    }
+
+    getVersion() {
+        return parseInt(localStorage.getItem(this.versionKey), 10) || 0;
+    }
+
+    getLatestVersion() {
+        return this.migrations.length ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+
+    /**
+     * Apply the pending migrations in order; the version only moves forward once the data is saved
+     */
+    async run() {
+        const current = this.getVersion();
+        const pending = this.migrations.filter(migration => migration.version > current);
+        if (pending.length === 0) return current;
+
+        if (typeof this.store.replaceAll !== 'function') {
+            throw new Error('Review migrations only run on local data');
+        }
+
+        let reviews = await this.store.load();
+        pending.forEach(migration => {
+            reviews = migration.migrate(reviews);
+            console.log(`Review data migrated to version ${migration.version}: ${migration.description}`);
+        });
+
+        await this.store.replaceAll(reviews);
+        localStorage.setItem(this.versionKey, String(this.getLatestVersion()));
+        return this.getLatestVersion();
+    }
+}
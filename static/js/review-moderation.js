@@ -0,0 +1,356 @@
+/**
+ * Review Moderation - Pure JavaScript
+ * Keeps moderation decisions (approve, reject, edit, reply) in a pluggable backend and applies them to reviews
+ * Version: 1.0.0
+ *
+ * Every backend implements:
+ *   authenticate(email, password)   resolves with true once the server accepted the admin
+ *   getDecisions()                  resolves with { "<review id>": { "status", "changes", "reply", "verified", "moderatedAt" } },
+ *                                   readable by every visitor: the site only shows approved reviews
+ *   saveDecision(id, decision)      admins only
+ *   getAuthToken()                  token sent with the other admin writes (review deletes and imports)
+ * and may implement:
+ *   getConfigurationError()         message when the backend is configured so that no admin can sign in, or null
+ */
+
+/**
+ * Moderation backend backed by localStorage, for local development only
+ * Decisions stay in this browser and the password is checked in the page, so nothing is protected.
+ */
+class MockModerationBackend {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'medridatours_review_moderation';
+        this.passwordHash = options.passwordHash || '';
+        this.latency = options.latency || 0; // Simulated network delay in ms
+    }
+
+    /**
+     * Compare the SHA-256 of the password with the configured hash; any email is accepted
+     */
+    async authenticate(email, password) {
+        await this.delay();
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+        const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+        return Boolean(this.passwordHash) && hash === this.passwordHash;
+    }
+
+    async getDecisions() {
+        await this.delay();
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            console.warn('Moderation data unreadable:', error);
+            return {};
+        }
+    }
+
+    async saveDecision(reviewId, decision) {
+        const decisions = await this.getDecisions();
+        decisions[reviewId] = decision;
+        localStorage.setItem(this.storageKey, JSON.stringify(decisions));
+        return decision;
+    }
+
+    async getAuthToken() {
+        return '';
+    }
+
+    delay() {
+        return new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+}
+
+/**
+ * Moderation decisions in a Firebase Realtime Database node, admins signed in with Firebase Authentication
+ * url is the node URL without ".json", e.g. https://<project>.firebaseio.com/moderation
+ * database.rules.json lets everyone read the node and only the admins write it: an admin is a
+ * Firebase Authentication user whose uid is set to true under /admins, from the Firebase console.
+ */
+class FirebaseModerationBackend {
+    constructor(options) {
+        this.url = options.url.replace(/(\.json)?\/?$/, '');
+        this.apiKey = options.apiKey || ''; // Web API key of the Firebase project, public by design
+        this.session = null;
+    }
+
+    /**
+     * Email and password are checked by Firebase Authentication, never in the page
+     */
+    async authenticate(email, password) {
+        const configurationError = this.getConfigurationError();
+        if (configurationError) {
+            console.error(configurationError);
+            return false;
+        }
+
+        const response = await fetch(`https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${encodeURIComponent(this.apiKey)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, password, returnSecureToken: true })
+        });
+        if (!response.ok) return false;
+
+        this.setSession(await response.json());
+        return true;
+    }
+
+    setSession(data) {
+        this.session = {
+            idToken: data.idToken || data.id_token,
+            refreshToken: data.refreshToken || data.refresh_token,
+            // Renewed a minute before Firebase expires it
+            expiresAt: Date.now() + (parseInt(data.expiresIn || data.expires_in, 10) - 60) * 1000
+        };
+    }
+
+    /**
+     * ID token of the signed-in admin, renewed when it expired (after one hour)
+     */
+    async getAuthToken() {
+        if (!this.session) throw new Error('Not signed in');
+        if (Date.now() < this.session.expiresAt) return this.session.idToken;
+
+        const response = await fetch(`https://securetoken.googleapis.com/v1/token?key=${encodeURIComponent(this.apiKey)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ grant_type: 'refresh_token', refresh_token: this.session.refreshToken }).toString()
+        });
+        if (!response.ok) {
+            this.session = null;
+            throw new Error(`Session renewal failed: ${response.status}`);
+        }
+        this.setSession(await response.json());
+        return this.session.idToken;
+    }
+
+    getConfigurationError() {
+        return this.apiKey ? null : 'Firebase Web API key missing (apiKey in review-moderation.js): admins cannot sign in';
+    }
+
+    async getDecisions() {
+        const response = await fetch(`${this.url}.json`);
+        if (!response.ok) {
+            throw new Error(`Moderation request failed: ${response.status}`);
+        }
+        return (await response.json()) || {};
+    }
+
+    async saveDecision(reviewId, decision) {
+        const token = await this.getAuthToken();
+        const response = await fetch(`${this.url}/${encodeURIComponent(reviewId)}.json?auth=${encodeURIComponent(token)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(decision)
+        });
+        if (!response.ok) {
+            throw new Error(`Moderation request failed: ${response.status}`);
+        }
+        return decision;
+    }
+}
+
+/**
+ * Moderation backend backed by a REST endpoint
+ * GET <url> returns the decisions map to everyone, PUT <url>/<review id> stores one decision.
+ * POST <url>/login checks { email, password } on the server and returns { token }, sent as a bearer token.
+ */
+class RestModerationBackend {
+    constructor(url) {
+        this.url = url.replace(/\/$/, '');
+        this.token = '';
+    }
+
+    async authenticate(email, password) {
+        const response = await fetch(`${this.url}/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify({ email, password })
+        });
+        if (!response.ok) return false;
+
+        this.token = (await response.json()).token || '';
+        return Boolean(this.token);
+    }
+
+    async getAuthToken() {
+        if (!this.token) throw new Error('Not signed in');
+        return this.token;
+    }
+
+    async getDecisions() {
+        const response = await fetch(this.url, { headers: this.getHeaders() });
+        if (!response.ok) {
+            throw new Error(`Moderation request failed: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async saveDecision(reviewId, decision) {
+        const response = await fetch(`${this.url}/${encodeURIComponent(reviewId)}`, {
+            method: 'PUT',
+            headers: Object.assign({ 'Content-Type': 'application/json' }, this.getHeaders()),
+            body: JSON.stringify(decision)
+        });
+        if (!response.ok) {
+            throw new Error(`Moderation request failed: ${response.status}`);
+        }
+        return decision;
+    }
+
+    getHeaders() {
+        const headers = { 'Accept': 'application/json' };
+        if (this.token) headers['Authorization'] = `Bearer ${this.token}`;
+        return headers;
+    }
+}
+
+class ReviewModeration {
+    constructor(config) {
+        this.backend = ReviewModeration.createBackend(config);
+        // Last decisions read, so reviews stay visible when the backend cannot be reached
+        this.cacheKey = 'medridatours_review_moderation_cache';
+        this.statuses = ['pending', 'approved', 'rejected'];
+        this.editableFields = ['name', 'location', 'vehicle', 'vehicleId', 'content'];
+    }
+
+    /**
+     * Pick the backend implementation from the config
+     */
+    static createBackend(config) {
+        switch (config.type) {
+            case 'mock':
+                return new MockModerationBackend(config);
+            case 'firebase':
+                return new FirebaseModerationBackend(config);
+            case 'rest':
+                return new RestModerationBackend(config.url);
+            default:
+                throw new Error(`Unknown moderation backend: ${config.type}`);
+        }
+    }
+
+    /**
+     * Why no admin can sign in with this configuration, or null
+     */
+    getConfigurationError() {
+        return typeof this.backend.getConfigurationError === 'function' ? this.backend.getConfigurationError() : null;
+    }
+
+    /**
+     * Merge a moderation decision into a review
+     * The status and verified flag stored on the review itself are ignored: anyone can write to the public review list.
+     */
+    static applyDecision(review, decision) {
+        const moderated = Object.assign({}, review, { status: 'pending', reply: null, verified: false });
+        if (!decision) return moderated;
+
+        return Object.assign(moderated, decision.changes, {
+            status: decision.status,
+            reply: decision.reply || null,
+            // Set by the admin approving a review whose booking reference was claimed (review-verification.js)
+            verified: decision.verified === true,
+            moderatedAt: decision.moderatedAt
+        });
+    }
+
+    authenticate(email, password) {
+        return this.backend.authenticate(email, password);
+    }
+
+    getAuthToken() {
+        return this.backend.getAuthToken();
+    }
+
+    /**
+     * Decisions from the backend, or the last copy read on this device when it cannot be reached
+     */
+    async getDecisions() {
+        try {
+            const decisions = await this.backend.getDecisions();
+            try {
+                localStorage.setItem(this.cacheKey, JSON.stringify(decisions));
+            } catch (error) {
+                console.warn('Moderation decisions not cached:', error);
+            }
+            return decisions;
+        } catch (error) {
+            const cached = localStorage.getItem(this.cacheKey);
+            if (!cached) throw error;
+            console.warn('Moderation backend unavailable, using the last decisions read:', error);
+            return JSON.parse(cached);
+        }
+    }
+
+    /**
+     * Reviews with their moderation decision applied
+     */
+    async apply(reviews) {
+        const decisions = await this.getDecisions();
+        return reviews
+            .filter(review => review && typeof review === 'object')
+            .map(review => ReviewModeration.applyDecision(review, decisions[review.id]));
+    }
+
+    /**
+     * Only approved reviews are shown on the site
+     */
+    async getPublished(reviews) {
+        return (await this.apply(reviews)).filter(review => review.status === 'approved');
+    }
+
+    /**
+     * options.verified records whether the review came with a claimed booking reference
+     */
+    approve(reviewId, options = {}) {
+        return this.update(reviewId, { status: 'approved', verified: options.verified });
+    }
+
+    reject(reviewId) {
+        return this.update(reviewId, { status: 'rejected' });
+    }
+
+    edit(reviewId, changes) {
+        const allowed = {};
+        this.editableFields.forEach(field => {
+            if (typeof changes[field] === 'string') allowed[field] = changes[field].trim();
+        });
+        return this.update(reviewId, { changes: allowed });
+    }
+
+    /**
+     * Public answer from the owner; an empty text removes it
+     */
+    reply(reviewId, content) {
+        const text = (content || '').trim();
+        return this.update(reviewId, {
+            reply: text ? { content: text, timestamp: new Date().toISOString() } : null
+        });
+    }
+
+    async update(reviewId, update) {
+        const decisions = await this.backend.getDecisions();
+        const current = decisions[reviewId] || { status: 'pending', changes: {}, reply: null, verified: false };
+
+        return this.backend.saveDecision(reviewId, {
+            status: this.statuses.includes(update.status) ? update.status : current.status,
+            changes: Object.assign({}, current.changes, update.changes),
+            reply: 'reply' in update ? update.reply : current.reply,
+            verified: typeof update.verified === 'boolean' ? update.verified : current.verified === true,
+            moderatedAt: new Date().toISOString()
+        });
+    }
+}
+
+// Shared instance, available before the review scripts initialize
+// The mock only runs on a development server: its decisions never leave the admin's browser.
+window.reviewModeration = new ReviewModeration(['localhost', '127.0.0.1'].includes(window.location.hostname) ? {
+    type: 'mock',
+    passwordHash: '3e26cf055a494585817dae64c295587af2aca643228b0e4921d48affe57d3a3b'
+} : {
+    type: 'firebase',
+    url: 'https://medridatours-reviews-default-rtdb.firebaseio.com/moderation',
+    // Firebase console > Project settings > General > Web API key, to fill in before deploying:
+    // without it the admin page shows a configuration error instead of the sign-in form
+    apiKey: ''
+});
@@ -0,0 +1,187 @@
+/**
+ * Review Outbox - Pure JavaScript
+ * Keeps reviews that could not reach the shared store in IndexedDB and sends them again
+ * with exponential backoff, and as soon as the browser is back online; reviews the store refuses
+ * are dropped and reported with the reviews:outbox-refused event
+ * Version: 1.0.0
+ */
+
+class ReviewOutbox {
+    constructor(store, options = {}) {
+        this.store = store; // Shared review store the queued reviews are sent to
+        this.dbName = options.dbName || 'medridatours_reviews';
+        this.storeName = 'outbox';
+        this.baseDelay = options.baseDelay || 5000; // First retry after 5 s, then doubled
+        this.maxDelay = options.maxDelay || 30 * 60 * 1000;
+        this.lockName = 'medridatours_review_outbox';
+        this.dbRequest = null;
+        this.memory = new Map(); // Used when IndexedDB is unavailable (some private modes)
+        this.timer = null;
+        this.flushing = null;
+    }
+
+    /**
+     * Send what is waiting and retry when the connection comes back
+     */
+    start() {
+        window.addEventListener('online', () => this.flush({ force: true }));
+        return this.flush();
+    }
+
+    /**
+     * Queue a review; a review already queued with the same id is replaced
+     * The caller has just failed to send it, so the first retry waits one delay
+     */
+    async add(review) {
+        await this.put({ id: review.id, review, attempts: 0, nextAttemptAt: Date.now() + this.baseDelay, lastError: '' });
+        await this.notify();
+        this.schedule();
+    }
+
+    async count() {
+        return (await this.getAll()).length;
+    }
+
+    /**
+     * Send every due review once; only one tab sends at a time when the browser supports locks
+     * force ignores the backoff delays (back online)
+     */
+    flush(options = {}) {
+        if (!this.flushing) {
+            this.flushing = (navigator.locks ?
+                navigator.locks.request(this.lockName, () => this.send(options)) :
+                this.send(options))
+                .then(() => this.notify())
+                .finally(() => {
+                    this.flushing = null;
+                    this.schedule();
+                });
+        }
+        return this.flushing;
+    }
+
+    async send(options = {}) {
+        if (navigator.onLine === false) return;
+
+        const now = Date.now();
+        const entries = (await this.getAll()).filter(entry => options.force || entry.nextAttemptAt <= now);
+
+        for (const entry of entries) {
+            try {
+                await this.store.save(entry.review);
+                await this.delete(entry.id);
+                console.log(`Queued review ${entry.id} sent`);
+            } catch (error) {
+                if (ReviewOutbox.isRefusal(error)) {
+                    await this.delete(entry.id);
+                    console.warn(`Queued review ${entry.id} refused, not sent again:`, error);
+                    document.dispatchEvent(new CustomEvent('reviews:outbox-refused', {
+                        detail: { review: entry.review, status: error.status }
+                    }));
+                    continue;
+                }
+
+                const attempts = entry.attempts + 1;
+                await this.put(Object.assign({}, entry, {
+                    attempts,
+                    nextAttemptAt: Date.now() + this.getDelay(attempts),
+                    lastError: String(error && error.message || error)
+                }));
+                console.warn(`Queued review ${entry.id} not sent (attempt ${attempts}):`, error);
+            }
+        }
+    }
+
+    /**
+     * Whether the store refused the review for good: a 4xx answer, except timeouts and rate limits
+     * (408, 429), will not succeed by sending it again. Network errors carry no status.
+     */
+    static isRefusal(error) {
+        const status = error && error.status;
+        return status >= 400 && status < 500 && status !== 408 && status !== 429;
+    }
+
+    /**
+     * Exponential backoff with jitter, capped at maxDelay
+     */
+    getDelay(attempts) {
+        const delay = Math.min(this.baseDelay * Math.pow(2, attempts - 1), this.maxDelay);
+        return delay + Math.random() * delay * 0.2;
+    }
+
+    /**
+     * Wake up for the next due review while the page stays open
+     */
+    async schedule() {
+        clearTimeout(this.timer);
+        const entries = await this.getAll();
+        if (entries.length === 0) return;
+
+        const next = Math.min(...entries.map(entry => entry.nextAttemptAt));
+        this.timer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+    }
+
+    /**
+     * Let the page show how many reviews are waiting
+     */
+    async notify() {
+        document.dispatchEvent(new CustomEvent('reviews:outbox-changed', {
+            detail: { count: await this.count() }
+        }));
+    }
+
+    /**
+     * IndexedDB access, with the in-memory map as fallback
+     */
+    openDb() {
+        if (!this.dbRequest) {
+            this.dbRequest = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB unavailable'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                console.warn('Review outbox kept in memory:', error);
+                return null;
+            });
+        }
+        return this.dbRequest;
+    }
+
+    request(db, mode, action) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getAll() {
+        const db = await this.openDb();
+        if (!db) return [...this.memory.values()];
+        return this.request(db, 'readonly', store => store.getAll());
+    }
+
+    async put(entry) {
+        const db = await this.openDb();
+        if (!db) {
+            this.memory.set(entry.id, entry);
+            return;
+        }
+        await this.request(db, 'readwrite', store => store.put(entry));
+    }
+
+    async delete(id) {
+        const db = await this.openDb();
+        if (!db) {
+            this.memory.delete(id);
+            return;
+        }
+        await this.request(db, 'readwrite', store => store.delete(id));
+    }
+}
@@ -0,0 +1,367 @@
+/**
+ * Review Photos - Pure JavaScript
+ * Photos attached to reviews: picked in the review form, resized and re-encoded in the browser,
+ * then shown as thumbnails that open in a lightbox
+ * Version: 1.0.0
+ *
+ * Limits are shared with the review guard (REVIEW_PHOTO_LIMITS in review-guard.js).
+ * Drawing the photo on a canvas and encoding it again keeps the pixels only:
+ * EXIF data, GPS position included, never leaves the visitor's device.
+ */
+
+class ReviewPhotoPicker {
+    /**
+     * container holds the file input and the [data-review-photo-previews] list
+     */
+    constructor(container, limits = REVIEW_PHOTO_LIMITS) {
+        this.container = container;
+        this.limits = limits;
+        this.i18n = window.MedridatoursI18n;
+        this.input = container.querySelector('input[type="file"]');
+        this.previews = container.querySelector('[data-review-photo-previews]');
+        this.form = this.input.form;
+        this.photos = [];
+        this.pending = new Set();
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.input.addEventListener('change', () => this.addFiles([...this.input.files]));
+        this.previews.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-review-photo-remove]');
+            if (button) this.remove(parseInt(button.dataset.reviewPhotoRemove, 10));
+        });
+        if (this.form) {
+            this.form.addEventListener('reset', () => this.reset());
+        }
+    }
+
+    /**
+     * Resize the picked files; the ones over the limits are refused with a message
+     */
+    addFiles(files) {
+        // The same file can be picked again after being removed
+        this.input.value = '';
+        this.clearError();
+
+        const refused = new Set();
+        files.forEach(file => {
+            if (this.photos.length + this.pending.size >= this.limits.maxPhotos) {
+                refused.add('tooMany');
+                return;
+            }
+
+            const task = ReviewPhotoPicker.process(file, this.limits).then(result => {
+                // Dropped when the form was reset while the photo was being resized
+                if (!this.pending.delete(task)) return;
+                if (result.ok) {
+                    this.photos.push(result.photo);
+                    this.render();
+                } else {
+                    this.showError(result.reason);
+                }
+            });
+            this.pending.add(task);
+        });
+        refused.forEach(reason => this.showError(reason));
+    }
+
+    /**
+     * Resolves with { ok: true, photo: { src, full, width, height } } or { ok: false, reason: 'type' | 'size' | 'unreadable' }
+     * src is the thumbnail, full the resized photo.
+     */
+    static async process(file, limits = REVIEW_PHOTO_LIMITS) {
+        if (!limits.types.includes(file.type)) return { ok: false, reason: 'type' };
+        if (file.size > limits.maxFileSize) return { ok: false, reason: 'size' };
+
+        let image;
+        try {
+            image = await ReviewPhotoPicker.decode(file);
+        } catch (error) {
+            console.warn('Review photo unreadable:', error);
+            return { ok: false, reason: 'unreadable' };
+        }
+
+        const full = ReviewPhotoPicker.encode(image, limits.maxDimension, limits.quality, limits.maxEncodedLength);
+        const thumbnail = ReviewPhotoPicker.encode(image, limits.thumbnailDimension, limits.quality, limits.maxThumbnailLength);
+        if (image.close) image.close();
+
+        if (!ReviewGuard.isPhotoDataUrl(full.src) || !ReviewGuard.isPhotoDataUrl(thumbnail.src)) {
+            return { ok: false, reason: 'unreadable' };
+        }
+        if (full.src.length > limits.maxEncodedLength || thumbnail.src.length > limits.maxThumbnailLength) {
+            return { ok: false, reason: 'size' };
+        }
+
+        // The thumbnail goes in the review record, the full-size photo is stored apart and loaded in the lightbox
+        return { ok: true, photo: { src: thumbnail.src, full: full.src, width: full.width, height: full.height } };
+    }
+
+    /**
+     * JPEG data URL of the picture with its longest side at most maxDimension px
+     */
+    static encode(image, maxDimension, quality, maxLength) {
+        const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+
+        const context = canvas.getContext('2d');
+        // JPEG has no transparency: transparent PNG areas become white, not black
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        // Lower the quality until the photo fits
+        let src = canvas.toDataURL('image/jpeg', quality);
+        while (src.length > maxLength && quality > 0.45) {
+            quality -= 0.1;
+            src = canvas.toDataURL('image/jpeg', quality);
+        }
+        return { src, width: canvas.width, height: canvas.height };
+    }
+
+    /**
+     * Decoded picture, turned upright according to its EXIF orientation
+     */
+    static async decode(file) {
+        if (window.createImageBitmap) {
+            try {
+                return await createImageBitmap(file, { imageOrientation: 'from-image' });
+            } catch (error) {
+                // Older browsers refuse the options: fall back to an image element
+            }
+        }
+
+        const url = URL.createObjectURL(file);
+        try {
+            const image = new Image();
+            image.src = url;
+            await image.decode();
+            return image;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    remove(index) {
+        this.photos.splice(index, 1);
+        this.render();
+        this.input.focus();
+    }
+
+    /**
+     * The photos to store with the review, once the files still being resized are done
+     */
+    async getPhotos() {
+        await Promise.all([...this.pending]);
+        return this.photos.slice();
+    }
+
+    reset() {
+        this.photos = [];
+        this.pending.clear();
+        this.clearError();
+        this.render();
+    }
+
+    render() {
+        const html = ReviewTemplate.html;
+        const count = this.photos.length;
+        this.previews.innerHTML = this.photos.map((photo, index) => html`
+            <li class="relative">
+                <img src="${photo.src}" alt="" class="w-20 h-20 object-cover rounded-lg border border-gray-200">
+                <button type="button" data-review-photo-remove="${index}" class="absolute -top-2 -right-2 w-6 h-6 rounded-full bg-gray-800 text-white text-xs hover:bg-red-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        aria-label="${this.i18n.t('reviews.photos.remove', { index: index + 1, count })}">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </li>
+        `).join('');
+        this.input.disabled = count >= this.limits.maxPhotos;
+    }
+
+    /**
+     * Errors appear under the field like the other form errors (form-validation.js)
+     */
+    showError(reason) {
+        const message = this.i18n.t(`reviews.photos.errors.${reason}`, {
+            max: this.limits.maxPhotos,
+            size: Math.round(this.limits.maxFileSize / (1024 * 1024))
+        });
+        const validator = FormValidator.for(this.form);
+        validator.showError(this.input, message);
+        validator.announce(message);
+    }
+
+    clearError() {
+        FormValidator.for(this.form).clearError(this.input);
+    }
+}
+
+/**
+ * Full-size view of the photos of one review, opened from its [data-review-photo] thumbnails
+ * The thumbnail shows at once and is replaced by the full-size photo once loaded (reviewSystem.loadPhoto).
+ */
+class ReviewPhotoLightbox {
+    constructor() {
+        this.i18n = window.MedridatoursI18n;
+        this.dialog = null;
+        this.reviewId = '';
+        this.photos = [];
+        this.index = 0;
+        this.opener = null;
+
+        // Delegated, so the review cards rendered later open it too
+        document.addEventListener('click', (e) => {
+            const thumbnail = e.target.closest('[data-review-photo]');
+            if (thumbnail) this.open(thumbnail);
+        });
+    }
+
+    /**
+     * Open on the clicked thumbnail, with the other photos of the same review
+     */
+    open(thumbnail) {
+        const list = thumbnail.closest('[data-review-photos]');
+        const thumbnails = list ? [...list.querySelectorAll('[data-review-photo]')] : [thumbnail];
+        this.reviewId = list ? list.dataset.reviewPhotos : '';
+        this.photos = thumbnails.map(button => button.querySelector('img').getAttribute('src'));
+        this.index = Math.max(0, thumbnails.indexOf(thumbnail));
+        this.opener = thumbnail;
+
+        this.createDialog();
+        this.show();
+        this.dialog.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+        this.dialog.querySelector('[data-lightbox-close]').focus();
+    }
+
+    close() {
+        if (!this.dialog || this.dialog.classList.contains('hidden')) return;
+
+        this.dialog.classList.add('hidden');
+        document.body.style.overflow = 'auto';
+        if (this.opener && this.opener.isConnected) this.opener.focus();
+        this.opener = null;
+    }
+
+    /**
+     * Next (1) or previous (-1) photo, wrapping around
+     */
+    step(direction) {
+        this.index = (this.index + direction + this.photos.length) % this.photos.length;
+        this.show();
+    }
+
+    show() {
+        const t = (key, params) => this.i18n.t(`reviews.photos.${key}`, params);
+        const count = this.photos.length;
+        const image = this.dialog.querySelector('[data-lightbox-image]');
+
+        image.src = this.photos[this.index];
+        image.alt = t('photo', { index: this.index + 1, count });
+        this.loadFullSize(this.reviewId, this.index);
+        this.dialog.querySelector('[data-lightbox-counter]').textContent = t('counter', { index: this.index + 1, count });
+        this.dialog.querySelectorAll('[data-lightbox-step]').forEach(button => {
+            button.hidden = count < 2;
+        });
+    }
+
+    /**
+     * Swap the thumbnail for the full-size photo, unless another photo was shown in the meantime
+     */
+    async loadFullSize(reviewId, index) {
+        if (!reviewId || !window.reviewSystem) return;
+
+        const src = await window.reviewSystem.loadPhoto(reviewId, index);
+        if (src && this.reviewId === reviewId && this.index === index) {
+            this.photos[index] = src;
+            this.dialog.querySelector('[data-lightbox-image]').src = src;
+        }
+    }
+
+    createDialog() {
+        if (this.dialog) return;
+
+        const t = key => this.i18n.t(key);
+        const html = ReviewTemplate.html;
+        const buttonClass = 'w-10 h-10 rounded-full bg-white bg-opacity-20 text-white hover:bg-opacity-40 focus:outline-none focus:ring-2 focus:ring-white';
+
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'fixed inset-0 z-50 hidden flex items-center justify-center bg-black bg-opacity-90 p-4';
+        this.dialog.setAttribute('role', 'dialog');
+        this.dialog.setAttribute('aria-modal', 'true');
+        this.dialog.setAttribute('aria-label', t('reviews.photos.title'));
+        this.dialog.innerHTML = html`
+            <button type="button" data-lightbox-close class="absolute top-4 right-4 ${buttonClass}" aria-label="${t('reviews.photos.close')}">
+                <i class="fas fa-times" aria-hidden="true"></i>
+            </button>
+            <button type="button" data-lightbox-step="-1" class="absolute left-4 top-1/2 -translate-y-1/2 ${buttonClass}" aria-label="${t('reviews.photos.previous')}">
+                <i class="fas fa-chevron-left" aria-hidden="true"></i>
+            </button>
+            <figure class="flex flex-col items-center max-w-full max-h-full">
+                <img data-lightbox-image class="max-w-full max-h-[80vh] object-contain rounded-lg shadow-2xl" src="" alt="">
+                <figcaption data-lightbox-counter class="mt-3 text-sm text-gray-300" aria-live="polite"></figcaption>
+            </figure>
+            <button type="button" data-lightbox-step="1" class="absolute right-4 top-1/2 -translate-y-1/2 ${buttonClass}" aria-label="${t('reviews.photos.next')}">
+                <i class="fas fa-chevron-right" aria-hidden="true"></i>
+            </button>
+        `.toString();
+
+        this.dialog.addEventListener('click', (e) => {
+            const stepButton = e.target.closest('[data-lightbox-step]');
+            if (stepButton) {
+                this.step(parseInt(stepButton.dataset.lightboxStep, 10));
+            } else if (e.target === this.dialog || e.target.closest('[data-lightbox-close]')) {
+                this.close();
+            }
+        });
+        this.dialog.addEventListener('keydown', (e) => this.handleKey(e));
+        document.body.appendChild(this.dialog);
+    }
+
+    handleKey(e) {
+        // Arrows follow the reading direction
+        const rtl = document.documentElement.dir === 'rtl';
+        switch (e.key) {
+            case 'Escape':
+                this.close();
+                break;
+            case 'ArrowRight':
+                if (this.photos.length > 1) this.step(rtl ? -1 : 1);
+                break;
+            case 'ArrowLeft':
+                if (this.photos.length > 1) this.step(rtl ? 1 : -1);
+                break;
+            case 'Tab':
+                this.trapFocus(e);
+                break;
+        }
+    }
+
+    /**
+     * Keep the keyboard focus inside the dialog
+     */
+    trapFocus(e) {
+        const buttons = [...this.dialog.querySelectorAll('button')].filter(button => !button.hidden);
+        const first = buttons[0];
+        const last = buttons[buttons.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Set up the photo field and the lightbox when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const field = document.querySelector('[data-review-photo-field]');
+    if (field) {
+        window.reviewPhotoPicker = new ReviewPhotoPicker(field);
+    }
+    window.reviewPhotoLightbox = new ReviewPhotoLightbox();
+});
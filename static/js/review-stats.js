@@ -0,0 +1,180 @@
+/**
+ * Review Statistics - Pure JavaScript
+ * Average rating, review count and star distribution, shown above the reviews and published as schema.org JSON-LD
+ * Version: 1.0.0
+ */
+
+class ReviewStats {
+    constructor() {
+        this.i18n = window.MedridatoursI18n;
+        this.maxStructuredReviews = 5; // Most recent reviews listed in the JSON-LD
+
+        this.init();
+    }
+
+    /**
+     * Update the summary each time the published reviews are rendered
+     */
+    init() {
+        document.addEventListener('reviews:rendered', (e) => {
+            const stats = ReviewStats.compute(e.detail.reviews);
+            this.renderSummary(document.getElementById('reviews-summary'), stats);
+            this.updateStructuredData(stats, e.detail.reviews);
+        });
+    }
+
+    /**
+     * Average (one decimal), count and 1-5 star distribution of a list of reviews
+     */
+    static compute(reviews) {
+        const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        let count = 0;
+        let total = 0;
+
+        reviews.forEach(review => {
+            const rating = Math.round(Number(review.rating));
+            if (rating >= 1 && rating <= 5) {
+                distribution[rating]++;
+                count++;
+                total += rating;
+            }
+        });
+
+        return {
+            count,
+            average: count ? Math.round(total / count * 10) / 10 : 0,
+            distribution
+        };
+    }
+
+    renderSummary(container, stats) {
+        if (!container) return;
+        if (stats.count === 0) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
+
+        const t = (key, params) => this.i18n.t(`reviews.summary.${key}`, params);
+        const average = stats.average.toLocaleString(this.i18n.getLocale(), {
+            minimumFractionDigits: 1,
+            maximumFractionDigits: 1
+        });
+        const bars = [5, 4, 3, 2, 1].map(stars => {
+            const count = stats.distribution[stars];
+            const percent = Math.round(count / stats.count * 100);
+            return `
+                <div class="flex items-center gap-2 text-sm">
+                    <span class="w-20 text-gray-600">${t('stars', { count: stars })}</span>
+                    <div class="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden" role="img" aria-label="${t('stars', { count: stars })} : ${percent}%">
+                        <div class="h-full bg-yellow-400 rounded-full" style="width: ${percent}%"></div>
+                    </div>
+                    <span class="w-8 text-right text-gray-500">${count}</span>
+                </div>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="flex flex-col md:flex-row md:items-center gap-6 bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                <div class="text-center md:w-48">
+                    <p class="text-sm text-gray-500 mb-1">${t('label')}</p>
+                    <p class="text-4xl font-bold text-gray-800">${average} <span class="text-base font-normal text-gray-500">${t('outOf')}</span></p>
+                    <div class="my-1" aria-hidden="true">${ReviewStats.createStarsHTML(stats.average)}</div>
+                    <p class="text-sm text-gray-500">${t('count', { count: stats.count })}</p>
+                </div>
+                <div class="flex-1 space-y-1">
+                    ${bars}
+                </div>
+            </div>
+        `;
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Five stars with halves, e.g. 4.5 gives four full stars and a half star
+     */
+    static createStarsHTML(average) {
+        let stars = '';
+        for (let i = 1; i <= 5; i++) {
+            if (average >= i) {
+                stars += '<i class="fas fa-star text-yellow-400"></i>';
+            } else if (average >= i - 0.5) {
+                stars += '<i class="fas fa-star-half-alt text-yellow-400"></i>';
+            } else {
+                stars += '<i class="fas fa-star text-gray-300"></i>';
+            }
+        }
+        return stars;
+    }
+
+    /**
+     * Add aggregateRating and the latest reviews to the page's CarRental JSON-LD
+     * Only pages that display the reviews get them, as search engines require.
+     */
+    updateStructuredData(stats, reviews) {
+        let script = null;
+        let data = null;
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(candidate => {
+            try {
+                const parsed = JSON.parse(candidate.textContent);
+                if (!script && parsed['@type'] === 'CarRental') {
+                    script = candidate;
+                    data = parsed;
+                }
+            } catch (error) {
+                console.warn('Invalid JSON-LD block:', error);
+            }
+        });
+        if (!script) return;
+
+        if (stats.count === 0) {
+            delete data.aggregateRating;
+            delete data.review;
+        } else {
+            data.aggregateRating = {
+                '@type': 'AggregateRating',
+                ratingValue: stats.average,
+                bestRating: 5,
+                worstRating: 1,
+                ratingCount: stats.count,
+                reviewCount: stats.count
+            };
+            data.review = reviews.slice(0, this.maxStructuredReviews).map(review => this.createStructuredReview(review));
+        }
+
+        script.textContent = JSON.stringify(data, null, 4);
+    }
+
+    /**
+     * One schema.org Review, with the owner reply as a comment from the business
+     */
+    createStructuredReview(review) {
+        const structured = {
+            '@type': 'Review',
+            author: { '@type': 'Person', name: review.name },
+            datePublished: review.timestamp.substring(0, 10),
+            reviewBody: review.content,
+            reviewRating: {
+                '@type': 'Rating',
+                ratingValue: review.rating,
+                bestRating: 5,
+                worstRating: 1
+            }
+        };
+
+        const reply = ReviewSystem.normalizeReply(review.reply);
+        if (reply) {
+            structured.comment = {
+                '@type': 'Comment',
+                author: { '@type': 'Organization', name: 'Medridatours' },
+                text: reply.content
+            };
+            if (reply.timestamp) structured.comment.dateCreated = reply.timestamp.substring(0, 10);
+        }
+        return structured;
+    }
+}
+
+// Initialize the review statistics when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.reviewStats = new ReviewStats();
+});
@@ -0,0 +1,371 @@
+/**
+ * Review Storage - Pure JavaScript
+ * Storage adapters for customer reviews: Firebase Realtime Database, Netlify Forms, REST API, localStorage and memory
+ * Version: 1.0.0
+ *
+ * Every adapter implements:
+ *   load()                   resolves with the array of stored reviews
+ *   save(review, options)    stores one review, rejects when it could not be stored; when the server
+ *                            answered, the error carries its HTTP status (error.status)
+ * and, except Netlify Forms which cannot delete submissions:
+ *   remove(id, options)      deletes one review
+ * options.authToken is the signed-in admin's token (reviewModeration.getAuthToken()), sent with the
+ * writes only admins may do: imports and deletes. Visitors' reviews are saved without it.
+ * Stores that keep full-size photos apart from the records also implement:
+ *   loadPhoto(id, index)   resolves with one full-size photo (JPEG data URL), or null
+ * Stores whose records anyone can read keep the visitor's details apart too, and implement:
+ *   loadDetails(options)   resolves with { "<review id>": { email, userAgent, sessionId } } (admins only)
+ *
+ * A review to save may carry photos { src, full, width, height }: records only keep the thumbnail (src),
+ * so visitors do not download every full-size photo with the review list.
+ */
+
+/**
+ * The record to store, with thumbnails only, and its full-size photos ([] when there are none)
+ */
+function splitReviewPhotos(review) {
+    if (!Array.isArray(review.photos) || !review.photos.some(photo => photo && photo.full)) {
+        return { record: review, photos: [] };
+    }
+
+    return {
+        record: Object.assign({}, review, {
+            photos: review.photos.map(photo => ({ src: photo.src, width: photo.width, height: photo.height }))
+        }),
+        // A photo without its full size is shown from its thumbnail
+        photos: review.photos.map(photo => photo.full || photo.src)
+    };
+}
+
+/**
+ * Review fields only admins may read: the visitor's email address and what identifies their browser
+ */
+const PRIVATE_REVIEW_FIELDS = ['email', 'userAgent', 'sessionId'];
+
+/**
+ * The record without its private fields, and those fields (null when there are none)
+ */
+function splitReviewDetails(review) {
+    const record = Object.assign({}, review);
+    const details = {};
+    PRIVATE_REVIEW_FIELDS.forEach(field => {
+        if (record[field]) details[field] = String(record[field]);
+        delete record[field];
+    });
+    return { record, details: Object.keys(details).length > 0 ? details : null };
+}
+
+/**
+ * Error for a request the server answered with an error status
+ */
+function requestError(message, response) {
+    const error = new Error(`${message}: ${response.status}`);
+    error.status = response.status;
+    return error;
+}
+
+/**
+ * Reviews kept in memory, for tests and pages without storage
+ */
+class MemoryReviewStore {
+    constructor(reviews = []) {
+        this.reviews = reviews.slice();
+        this.photos = new Map();
+    }
+
+    async load() {
+        return this.reviews.slice();
+    }
+
+    async save(review) {
+        const { record, photos } = splitReviewPhotos(review);
+        if (photos.length > 0) this.photos.set(String(record.id), photos);
+        this.reviews = [record, ...this.reviews.filter(existing => existing.id !== record.id)];
+    }
+
+    async loadPhoto(id, index) {
+        return (this.photos.get(String(id)) || [])[index] || null;
+    }
+
+    async remove(id) {
+        this.reviews = this.reviews.filter(existing => String(existing.id) !== String(id));
+        this.photos.delete(String(id));
+    }
+
+    async replaceAll(reviews) {
+        this.reviews = reviews.slice();
+    }
+
+    async clear() {
+        this.reviews = [];
+    }
+}
+
+/**
+ * Reviews kept in this browser's localStorage, newest first
+ * Only the thumbnails are kept: the full-size photos are left to the shared store.
+ */
+class LocalStorageReviewStore {
+    constructor(key, maxReviews = 100) {
+        this.key = key;
+        this.maxReviews = maxReviews;
+    }
+
+    async load() {
+        try {
+            const parsed = JSON.parse(localStorage.getItem(this.key));
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.warn('Stored reviews unreadable:', error);
+            return [];
+        }
+    }
+
+    async save(review) {
+        const { record } = splitReviewPhotos(review);
+        const reviews = await this.load();
+        await this.replaceAll([record, ...reviews.filter(existing => existing.id !== record.id)]);
+    }
+
+    async remove(id) {
+        const reviews = await this.load();
+        await this.replaceAll(reviews.filter(existing => String(existing.id) !== String(id)));
+    }
+
+    async replaceAll(reviews) {
+        const limited = reviews.slice(0, this.maxReviews);
+        try {
+            localStorage.setItem(this.key, JSON.stringify(limited));
+        } catch (error) {
+            if (!LocalStorageReviewStore.isQuotaError(error)) throw error;
+            // Storage full: drop the photos first (the shared store keeps them), then keep only the most recent third
+            const withoutPhotos = limited.map(review => Object.assign({}, review, { photos: [] }));
+            try {
+                console.warn('localStorage quota exceeded, dropping review photos');
+                localStorage.setItem(this.key, JSON.stringify(withoutPhotos));
+            } catch (retryError) {
+                if (!LocalStorageReviewStore.isQuotaError(retryError)) throw retryError;
+                console.warn('localStorage quota exceeded, dropping old reviews');
+                localStorage.setItem(this.key, JSON.stringify(withoutPhotos.slice(0, Math.max(1, Math.floor(this.maxReviews / 3)))));
+            }
+        }
+    }
+
+    static isQuotaError(error) {
+        return error.name === 'QuotaExceededError' || error.code === 22;
+    }
+
+    async clear() {
+        localStorage.removeItem(this.key);
+    }
+}
+
+/**
+ * Reviews in a Firebase Realtime Database node, one child per review id
+ * url is the node URL without ".json", e.g. https://<project>.firebaseio.com/reviews
+ * Full-size photos go to a sibling node, one child per review id (review-photos by default).
+ * The records are public: the visitor's details go to a sibling node only admins can read
+ * (review-private by default, see database.rules.json).
+ */
+class FirebaseReviewStore {
+    constructor(url, photosUrl, detailsUrl) {
+        const nodeUrl = (configured, sibling) => configured ?
+            configured.replace(/(\.json)?\/?$/, '') : this.url.replace(/[^/]+$/, sibling);
+        this.url = url.replace(/(\.json)?\/?$/, '');
+        this.photosUrl = nodeUrl(photosUrl, 'review-photos');
+        this.detailsUrl = nodeUrl(detailsUrl, 'review-private');
+
+        // Database path shared by the three nodes, where a review, its photos and details are written together
+        const nodes = [this.url, this.photosUrl, this.detailsUrl].map(url => url.split('/'));
+        let shared = 0;
+        while (nodes.every(parts => shared < parts.length - 1 && parts[shared] === nodes[0][shared])) shared++;
+        this.rootUrl = nodes[0].slice(0, shared).join('/');
+        [this.reviewsPath, this.photosPath, this.detailsPath] = nodes.map(parts => parts.slice(shared).join('/'));
+    }
+
+    async load() {
+        const response = await fetch(`${this.url}.json`);
+        if (!response.ok) {
+            throw requestError('Firebase load failed', response);
+        }
+
+        // The node is an array for old data and an object keyed by review id since
+        const data = await response.json();
+        return Object.values(data || {}).filter(review => review && typeof review === 'object');
+    }
+
+    /**
+     * Writing the review's own child never touches the other reviews
+     * A review with photos or details is written with them in one multi-path update, which the database
+     * applies entirely or not at all: a failed save leaves nothing behind that would refuse a retry.
+     */
+    async save(review, options = {}) {
+        const { photos, record: withDetails } = splitReviewPhotos(review);
+        const { record, details } = splitReviewDetails(withDetails);
+        if (photos.length === 0 && !details) {
+            await this.request('PUT', this.getUrl(this.url, record.id, options), record);
+            return;
+        }
+
+        const update = { [`${this.reviewsPath}/${record.id}`]: record };
+        if (photos.length > 0) update[`${this.photosPath}/${record.id}`] = photos;
+        if (details) update[`${this.detailsPath}/${record.id}`] = details;
+        await this.request('PATCH', this.getUrl(this.rootUrl, '', options), update);
+    }
+
+    /**
+     * Refused by database.rules.json without an admin token
+     */
+    async loadDetails(options = {}) {
+        const auth = options.authToken ? `?auth=${encodeURIComponent(options.authToken)}` : '';
+        const response = await fetch(`${this.detailsUrl}.json${auth}`);
+        if (!response.ok) {
+            throw requestError('Firebase details request failed', response);
+        }
+        return (await response.json()) || {};
+    }
+
+    async loadPhoto(id, index) {
+        const response = await fetch(`${this.photosUrl}/${encodeURIComponent(id)}/${index}.json`);
+        if (!response.ok) {
+            throw requestError('Firebase photo request failed', response);
+        }
+        return response.json();
+    }
+
+    /**
+     * Deleting is refused by database.rules.json without an admin token
+     */
+    async remove(id, options = {}) {
+        await this.request('DELETE', this.getUrl(this.url, id, options));
+        await this.request('DELETE', this.getUrl(this.photosUrl, id, options));
+        await this.request('DELETE', this.getUrl(this.detailsUrl, id, options));
+    }
+
+    getUrl(nodeUrl, id, options) {
+        const auth = options.authToken ? `?auth=${encodeURIComponent(options.authToken)}` : '';
+        return `${nodeUrl}/${encodeURIComponent(id)}.json${auth}`;
+    }
+
+    async request(method, url, data) {
+        const response = await fetch(url, data === undefined ? { method } : {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        if (!response.ok) {
+            throw requestError(`Firebase ${method === 'DELETE' ? 'delete' : 'save'} failed`, response);
+        }
+    }
+}
+
+/**
+ * Reviews behind a REST API
+ * GET <url> returns [review, ...] (or { reviews: [...] }), POST <url> stores one review,
+ * DELETE <url>/<review id> deletes one
+ * PUT <url>/<review id>/photos stores the full-size photos, GET <url>/<review id>/photos/<index> returns one
+ * Records are sent whole: the API must leave the private fields (PRIVATE_REVIEW_FIELDS) out of what GET returns.
+ */
+class RestReviewStore {
+    constructor(url) {
+        this.url = url;
+    }
+
+    async load() {
+        const response = await fetch(this.url, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            throw requestError('Reviews request failed', response);
+        }
+
+        const data = await response.json();
+        return Array.isArray(data) ? data : (data.reviews || []);
+    }
+
+    async save(review, options = {}) {
+        const { record, photos } = splitReviewPhotos(review);
+        if (photos.length > 0) {
+            await this.send('PUT', `${this.getReviewUrl(record.id)}/photos`, photos, options);
+        }
+        await this.send('POST', this.url, record, options);
+    }
+
+    async loadPhoto(id, index) {
+        const response = await fetch(`${this.getReviewUrl(id)}/photos/${index}`, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            throw requestError('Reviews request failed', response);
+        }
+        return response.json();
+    }
+
+    async send(method, url, data, options = {}) {
+        const response = await fetch(url, {
+            method,
+            headers: Object.assign({ 'Content-Type': 'application/json' }, this.getHeaders(options)),
+            body: JSON.stringify(data)
+        });
+        if (!response.ok) {
+            throw requestError('Reviews request failed', response);
+        }
+    }
+
+    getHeaders(options = {}) {
+        const headers = { 'Accept': 'application/json' };
+        if (options.authToken) headers['Authorization'] = `Bearer ${options.authToken}`;
+        return headers;
+    }
+
+    getReviewUrl(id) {
+        return `${this.url.replace(/\/$/, '')}/${encodeURIComponent(id)}`;
+    }
+
+    async remove(id, options = {}) {
+        const response = await fetch(this.getReviewUrl(id), {
+            method: 'DELETE',
+            headers: this.getHeaders(options)
+        });
+        if (!response.ok) {
+            throw requestError('Reviews request failed', response);
+        }
+    }
+}
+
+/**
+ * Reviews submitted to the hidden Netlify form (form name "reviews" in index.html)
+ * Netlify Forms cannot be read from the browser: reviews are loaded from an optional
+ * published JSON export (readUrl), otherwise the list is empty. Only the thumbnails are sent.
+ */
+class NetlifyFormsReviewStore {
+    constructor(formName, readUrl = '') {
+        this.formName = formName;
+        this.readUrl = readUrl;
+    }
+
+    async load() {
+        if (!this.readUrl) return [];
+        return new RestReviewStore(this.readUrl).load();
+    }
+
+    async save(review) {
+        review = splitReviewPhotos(review).record;
+        const body = new URLSearchParams({
+            'form-name': this.formName,
+            name: review.name || '',
+            email: review.email || '',
+            location: review.location || '',
+            vehicle: review.vehicle || '',
+            rating: String(review.rating || ''),
+            content: review.content || '',
+            timestamp: review.timestamp || '',
+            'review-data': JSON.stringify(review)
+        });
+
+        const response = await fetch('/', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: body.toString()
+        });
+        if (!response.ok) {
+            throw requestError('Netlify form submission failed', response);
+        }
+    }
+}
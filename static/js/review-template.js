@@ -0,0 +1,102 @@
+/**
+ * Review Template - Pure JavaScript
+ * Escaped HTML templates for the review cards of the site and of the moderation page:
+ * reviews come from visitors, so nothing they wrote is ever parsed as markup
+ * Version: 1.0.0
+ *
+ * const html = ReviewTemplate.html;
+ * html`<p>${review.content}</p>`           every value is escaped
+ * html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>`   nested templates and arrays are kept as markup
+ * ReviewTemplate.raw(markup)               trusted markup written by us (never review fields)
+ */
+
+const REVIEW_TEMPLATE_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * Markup that is already safe: the result of html`` or raw()
+ */
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+class ReviewTemplate {
+    /**
+     * Text for element content and quoted attribute values
+     */
+    static escape(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).replace(/[&<>"'`]/g, character => REVIEW_TEMPLATE_ESCAPES[character]);
+    }
+
+    static raw(markup) {
+        return new SafeHtml(String(markup));
+    }
+
+    /**
+     * Tagged template: escapes the values, keeps nested templates; false, null and undefined render nothing
+     */
+    static html(strings, ...values) {
+        const markup = strings.reduce((result, string, index) => {
+            return result + string + (index < values.length ? ReviewTemplate.format(values[index]) : '');
+        }, '');
+        return new SafeHtml(markup);
+    }
+
+    static format(value) {
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(item => ReviewTemplate.format(item)).join('');
+        if (value === false || value === null || value === undefined) return '';
+        return ReviewTemplate.escape(value);
+    }
+
+    /**
+     * Whole number of stars from 0 to 5, whatever was stored
+     */
+    static rating(value) {
+        const rating = Math.round(Number(value));
+        return rating >= 1 && rating <= 5 ? rating : 0;
+    }
+
+    /**
+     * Thumbnail strip of a review's photos, opened in the lightbox (review-photos.js)
+     * label(index, count) gives the accessible name of each thumbnail; the lightbox loads the
+     * full-size photos of reviewId
+     * Escaping does not make a URL safe: any src other than a JPEG data URL (review-guard.js) is left out.
+     */
+    static photos(photos, label, reviewId = '') {
+        const html = ReviewTemplate.html;
+        if (!Array.isArray(photos)) return '';
+
+        photos = photos.filter(photo => photo && ReviewGuard.isPhotoDataUrl(photo.src));
+        if (photos.length === 0) return '';
+
+        return html`
+            <ul class="flex gap-2 mb-3" data-review-photos="${reviewId}">
+                ${photos.map((photo, index) => html`
+                <li>
+                    <button type="button" data-review-photo aria-label="${label(index + 1, photos.length)}"
+                            class="block w-16 h-16 rounded-lg overflow-hidden border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500">
+                        <img src="${photo.src}" alt="" loading="lazy" class="w-full h-full object-cover">
+                    </button>
+                </li>`)}
+            </ul>`;
+    }
+
+    static stars(value) {
+        const rating = ReviewTemplate.rating(value);
+        return ReviewTemplate.html`${[1, 2, 3, 4, 5].map(i => ReviewTemplate.html`<i class="fas fa-star ${i <= rating ? 'text-yellow-400' : 'text-gray-300'} text-sm"></i>`)}`;
+    }
+}
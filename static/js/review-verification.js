@@ -0,0 +1,107 @@
+/**
+ * Review Verification - Pure JavaScript
+ * Booking references given with a review: a review whose reference was issued by Medridatours
+ * is shown as a verified rental
+ * Version: 1.0.0
+ *
+ * References look like MDT-7K4QP-2XM9D: 10 random base-32 characters (50 bits). The admin page
+ * issues one per confirmed booking ("Nouvelle référence"), to copy into the confirmation sent to
+ * the customer. Nothing about them is published: they are checked by the Firebase database,
+ * in two nodes only admins can read (database.rules.json):
+ *   booking-references/<reference>   { issuedAt }, written by admins when issuing
+ *   booking-claims/<reference>       { reviewId, claimedAt, sessionId }, written with the review; the database
+ *                                    refuses a reference that was not issued or is claimed by another visitor
+ * The reference is never stored on the review. The admin sees the claimed reference while moderating,
+ * and approving the review records it as verified in the moderation decision (review-moderation.js).
+ */
+
+// Crockford base 32: no I, L, O or U, which are read as 1, 0 or V
+const BOOKING_REFERENCE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+class ReviewVerification {
+    /**
+     * options.url is the root of the Firebase database; without it no reference can be checked
+     */
+    constructor(options = {}) {
+        this.url = (options.url || '').replace(/\/$/, '');
+    }
+
+    /**
+     * Uppercase MDT-XXXXX-XXXXX form of what the visitor typed, or null when it is not a reference
+     */
+    static normalize(reference) {
+        const match = String(reference || '').toUpperCase().replace(/[\s-]+/g, '').match(/^MDT([0-9A-HJKMNP-TV-Z]{10})$/);
+        return match ? `MDT-${match[1].slice(0, 5)}-${match[1].slice(5)}` : null;
+    }
+
+    /**
+     * New random reference
+     */
+    static generate() {
+        const bytes = crypto.getRandomValues(new Uint8Array(10));
+        const code = [...bytes].map(byte => BOOKING_REFERENCE_ALPHABET[byte % 32]).join('');
+        return `MDT-${code.slice(0, 5)}-${code.slice(5)}`;
+    }
+
+    /**
+     * Claim the reference for a new review, before the review is saved
+     * The visitor's session id lets the same visitor claim it again for another review, when the first
+     * one could not be saved; nobody else can.
+     * Resolves with { ok: true, reference } or { ok: false, reason: 'format' | 'unknown' | 'unavailable' };
+     * 'unknown' covers references never issued and references already claimed, which the database
+     * refuses alike so that nobody can test references.
+     */
+    async claim(reference, reviewId, sessionId) {
+        const normalized = ReviewVerification.normalize(reference);
+        if (!normalized) return { ok: false, reason: 'format' };
+        if (!this.url) return { ok: false, reason: 'unavailable' };
+
+        let response;
+        try {
+            response = await fetch(`${this.url}/booking-claims/${normalized}.json`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reviewId: String(reviewId), claimedAt: new Date().toISOString(), sessionId: String(sessionId) })
+            });
+        } catch (error) {
+            console.warn('Booking reference not checked:', error);
+            return { ok: false, reason: 'unavailable' };
+        }
+
+        if (response.status === 401 || response.status === 403) return { ok: false, reason: 'unknown' };
+        if (!response.ok) return { ok: false, reason: 'unavailable' };
+        return { ok: true, reference: normalized };
+    }
+
+    /**
+     * Issue a new reference (admins); resolves with it
+     */
+    async issue(authToken) {
+        const reference = ReviewVerification.generate();
+        const response = await fetch(`${this.url}/booking-references/${reference}.json?auth=${encodeURIComponent(authToken)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ issuedAt: new Date().toISOString() })
+        });
+        if (!response.ok) {
+            throw new Error(`Booking reference not issued: ${response.status}`);
+        }
+        return reference;
+    }
+
+    /**
+     * Claimed references by review id (admins)
+     */
+    async getClaims(authToken) {
+        const response = await fetch(`${this.url}/booking-claims.json?auth=${encodeURIComponent(authToken)}`);
+        if (!response.ok) {
+            throw new Error(`Booking claims request failed: ${response.status}`);
+        }
+
+        const claims = new Map();
+        Object.entries((await response.json()) || {}).forEach(([reference, claim]) => {
+            if (claim && claim.reviewId) claims.set(String(claim.reviewId), reference);
+        });
+        return claims;
+    }
+}
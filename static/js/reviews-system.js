@@ -5,34 +5,128 @@
  */
 
 class ReviewSystem {
-    constructor() {
+    constructor(config = {}) {
         this.storageKey = 'medridatours_reviews';
         this.maxReviews = 100; // Maximum reviews to store
-        this.maxDisplayReviews = 20; // Maximum reviews to display
+        this.maxDisplayReviews = 20; // Maximum reviews to display without the review filters
+        this.excerptLength = 150; // Longer reviews are shortened until expanded
         this.rateLimit = 60000; // 1 minute between submissions per user
         this.lastSubmissionKey = 'last_review_submission';
         
-        // Simple cross-device storage using a free service
-        this.firebaseUrl = 'https://medridatours-reviews-default-rtdb.firebaseio.com/reviews.json';
-        this.useCloudStorage = true;
+        // Shared store for cross-device reviews, chosen by config (adapters in review-storage.js)
+        this.store = ReviewSystem.createStore(config.storage || { type: 'local', key: this.storageKey });
+        // Copy on this device, used when the shared store cannot be reached
+        this.localStore = this.store instanceof LocalStorageReviewStore ?
+            this.store : new LocalStorageReviewStore(this.storageKey, this.maxReviews);
+        this.publishedRequest = null;
+        this.photoRequests = new Map(); // Full-size photos opened in the lightbox, by "<review id>/<index>"
+        // Spam and abuse checks run before a review is stored (review-guard.js)
+        this.guard = new ReviewGuard(config.guard);
+        // Reviews the shared store did not receive are sent again later (review-outbox.js)
+        this.outbox = this.store !== this.localStore ? new ReviewOutbox(this.store) : null;
+        // Booking references that make a review a verified rental (review-verification.js)
+        this.verification = new ReviewVerification(config.bookingReferences);
+        this.formStartedAt = null;
         
         this.init();
     }
 
+    /**
+     * Pick the storage adapter from the config
+     */
+    static createStore(config) {
+        switch (config.type) {
+            case 'firebase':
+                return new FirebaseReviewStore(config.url, config.photosUrl, config.detailsUrl);
+            case 'netlify':
+                return new NetlifyFormsReviewStore(config.formName || 'reviews', config.readUrl);
+            case 'rest':
+                return new RestReviewStore(config.url);
+            case 'local':
+                return new LocalStorageReviewStore(config.key, config.maxReviews);
+            case 'memory':
+                return new MemoryReviewStore(config.reviews);
+            default:
+                throw new Error(`Unknown review storage: ${config.type}`);
+        }
+    }
+
+    /**
+     * Bring a stored record to the review schema, or null when it cannot be read
+     * Older records may come from the retired LocalReviewsManager (vehicle_rented, date, message)
+     * or use comment for the content.
+     */
+    static normalizeReview(record) {
+        if (!record || typeof record !== 'object') return null;
+
+        const { vehicle_rented, date, message, comment, subject, approved, ...rest } = record;
+        const content = String(record.content || message || comment || '').trim();
+        const timestamp = record.timestamp || date;
+        if (!content || !timestamp || isNaN(Date.parse(timestamp))) return null;
+
+        const rating = parseInt(record.rating, 10);
+        return Object.assign(rest, {
+            id: String(record.id || `legacy_${Date.parse(timestamp)}`),
+            name: String(record.name || '').trim() || 'Client anonyme',
+            email: record.email || '',
+            location: record.location || '',
+            vehicle: record.vehicle || vehicle_rented || '',
+            // Catalog id (static/data/fleet.json); older reviews only have the vehicle name
+            vehicleId: record.vehicleId || '',
+            // Records without a rating were counted as 5 stars by the old form handler
+            rating: isNaN(rating) ? 5 : Math.min(5, Math.max(1, rating)),
+            content,
+            timestamp: new Date(timestamp).toISOString(),
+            reply: ReviewSystem.normalizeReply(record.reply),
+            photos: ReviewSystem.normalizePhotos(record.photos),
+            // Set from the moderation decision when the review is published (review-moderation.js)
+            verified: false
+        });
+    }
+
+    /**
+     * Photos { src, width, height } that passed the review guard's rules; anything else is dropped
+     * src is the thumbnail, the full-size photo is loaded when opened (loadPhoto).
+     */
+    static normalizePhotos(photos) {
+        if (!Array.isArray(photos)) return [];
+
+        return photos
+            .filter(photo => photo && ReviewGuard.isPhotoDataUrl(photo.src))
+            .slice(0, REVIEW_PHOTO_LIMITS.maxPhotos)
+            .map(photo => ({
+                src: photo.src,
+                width: parseInt(photo.width, 10) || 0,
+                height: parseInt(photo.height, 10) || 0
+            }));
+    }
+
+    /**
+     * Owner reply { content, timestamp }, or null when there is none
+     * Replies shown on the site come from the moderation decisions (review-moderation.js), never from the record itself.
+     */
+    static normalizeReply(reply) {
+        if (!reply) return null;
+
+        const content = String(typeof reply === 'object' ? reply.content || '' : reply).trim();
+        if (!content) return null;
+
+        const timestamp = typeof reply === 'object' && !isNaN(Date.parse(reply.timestamp)) ?
+            new Date(reply.timestamp).toISOString() : null;
+        return { content, timestamp };
+    }
+
     /**
      * Initialize the review system
      */
     async init() {
         this.bindEvents();
         
-        // ONE-TIME ONLY: Clear all existing reviews to start fresh with Firebase
-        // This will only run once, then disable itself
-        const hasRunClear = localStorage.getItem('firebase_migration_complete');
-        if (!hasRunClear) {
-            await this.clearAllReviews();
-            localStorage.setItem('firebase_migration_complete', 'true');
-            console.log('One-time migration to Firebase completed');
-        }
+        // Schema migrations only ever rewrite the copy on this device, never the shared store
+        this.migrated = new ReviewMigrations(this.localStore).run().catch(error => {
+            console.error('Review migration error:', error);
+        });
+        await this.migrated;
         
         // Load and display reviews
         await this.displayReviews();
@@ -40,53 +134,14 @@ class ReviewSystem {
         // Listen for storage changes across tabs
         this.setupCrossTabSync();
         
-        // Clear any old sample reviews and refresh display
-        this.clearSampleReviews();
-        
-        console.log('Review system initialized');
-    }
-
-    /**
-     * Clear all reviews from all storage locations
-     */
-    async clearAllReviews() {
-        console.log('Clearing all existing reviews...');
-        
-        try {
-            // Clear Firebase
-            const response = await fetch(this.firebaseUrl, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify([])
-            });
-            
-            if (response.ok) {
-                console.log('Firebase cleared successfully');
-            } else {
-                console.warn('Firebase clear failed:', response.status);
-            }
-        } catch (error) {
-            console.warn('Firebase clear error:', error);
+        // Send the reviews still waiting from an earlier visit
+        if (this.outbox) {
+            document.addEventListener('reviews:outbox-changed', (e) => this.updateSyncStatus(e.detail.count));
+            document.addEventListener('reviews:outbox-refused', (e) => this.handleRefusedReview(e.detail.review));
+            this.outbox.start();
         }
         
-        // Clear all local storage
-        try {
-            if (this.isLocalStorageAvailable()) {
-                localStorage.removeItem(this.storageKey);
-                localStorage.removeItem(this.storageKey + '_backup');
-                localStorage.removeItem('medridatours_shared_reviews_v1');
-                console.log('Local storage cleared');
-            }
-            
-            sessionStorage.removeItem(this.storageKey);
-            window.medridatoursReviews = [];
-            
-            console.log('All storage cleared successfully');
-        } catch (error) {
-            console.warn('Local storage clear error:', error);
-        }
+        console.log('Review system initialized');
     }
 
     /**
@@ -97,33 +152,9 @@ class ReviewSystem {
         window.addEventListener('storage', (e) => {
             if (e.key === this.storageKey) {
                 console.log('Reviews updated in another tab, reloading...');
-                this.displayReviews();
+                this.displayReviews(true);
             }
         });
-        
-        // Periodically sync global storage with localStorage
-        setInterval(() => {
-            this.syncStorages();
-        }, 30000); // Every 30 seconds
-    }
-
-    /**
-     * Sync between different storage mechanisms
-     */
-    syncStorages() {
-        try {
-            if (window.medridatoursReviews && this.isLocalStorageAvailable()) {
-                const globalData = JSON.stringify(window.medridatoursReviews);
-                const localData = localStorage.getItem(this.storageKey);
-                
-                if (globalData !== localData) {
-                    localStorage.setItem(this.storageKey, globalData);
-                    console.log('Synced global storage to localStorage');
-                }
-            }
-        } catch (error) {
-            console.warn('Storage sync error:', error);
-        }
     }
 
     /**
@@ -132,8 +163,30 @@ class ReviewSystem {
     bindEvents() {
         const form = document.getElementById('review-form');
         if (form) {
+            // Field rules are declared in the form markup
+            this.validator = FormValidator.for(form);
             form.addEventListener('submit', (e) => this.handleSubmission(e));
+            // Fill time is measured from the first interaction with the form
+            form.addEventListener('focusin', () => {
+                if (!this.formStartedAt) this.formStartedAt = Date.now();
+            });
         }
+
+        // Expand or collapse long reviews wherever they are listed
+        document.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-review-expand]');
+            if (toggle) this.toggleReviewText(toggle);
+        });
+    }
+
+    toggleReviewText(button) {
+        const card = button.closest('.review-card');
+        const expanded = button.getAttribute('aria-expanded') !== 'true';
+
+        card.querySelector('[data-review-excerpt]').classList.toggle('hidden', expanded);
+        card.querySelector('[data-review-full]').classList.toggle('hidden', !expanded);
+        button.setAttribute('aria-expanded', String(expanded));
+        button.textContent = this.t(expanded ? 'filters.readLess' : 'filters.readMore');
     }
 
     /**
@@ -146,22 +199,56 @@ class ReviewSystem {
         // Rate limiting check
         if (!this.checkRateLimit()) {
             console.log('Rate limit exceeded');
-            this.showMessage('Veuillez attendre avant de soumettre un autre avis.', 'warning');
+            this.showMessage(this.t('messages.rateLimited'), 'warning');
+            return;
+        }
+
+        // Validate the fields (errors are shown next to them)
+        if (this.validator.validate().length > 0) {
+            console.log('Review validation failed');
             return;
         }
 
         const formData = new FormData(event.target);
         const reviewData = this.extractFormData(formData);
+        // Photos resized in the browser (review-photos.js)
+        if (window.reviewPhotoPicker) {
+            const photos = await window.reviewPhotoPicker.getPhotos();
+            if (photos.length > 0) reviewData.photos = photos;
+        }
         
         console.log('Extracted review data:', reviewData);
 
-        // Validate data
-        if (!this.validateReview(reviewData)) {
-            console.log('Review validation failed');
+        console.log('Review validation passed');
+
+        const verdict = await this.guard.check(reviewData, {
+            honeypot: formData.get('website'),
+            fillTime: this.formStartedAt ? Date.now() - this.formStartedAt : null
+        });
+        if (!verdict.ok) {
+            console.warn('Review rejected:', verdict.reason);
+            this.showMessage(this.t(`guard.${verdict.reason}`), 'error');
             return;
         }
 
-        console.log('Review validation passed');
+        // Checked before the booking reference is claimed, since nothing would be saved
+        if (this.isDuplicate(reviewData, await this.getLocalStoredReviews())) {
+            this.showMessage(this.t('messages.duplicate'), 'warning');
+            return;
+        }
+
+        // Optional booking reference, claimed for this review by the database; it is not stored on the review.
+        // The session id lets this visitor claim it again if the review is not saved after all.
+        const bookingReference = formData.get('bookingReference');
+        if (bookingReference && bookingReference.trim()) {
+            const claim = await this.verification.claim(bookingReference, reviewData.id, reviewData.sessionId);
+            if (!claim.ok) {
+                const field = event.target.elements.bookingReference;
+                this.validator.showError(field, this.t(`verification.errors.${claim.reason}`));
+                this.validator.focus(field);
+                return;
+            }
+        }
 
         try {
             console.log('Attempting to save review...');
@@ -172,9 +259,9 @@ class ReviewSystem {
             
             if (success) {
                 console.log('Review saved successfully, now displaying reviews...');
-                await this.displayReviews();
+                await this.displayReviews(true);
                 console.log('Reviews display completed');
-                this.showSuccessMessage();
+                this.showSuccessMessage(success === 'queued');
                 this.closeModal();
                 this.updateLastSubmissionTime();
                 
@@ -190,19 +277,17 @@ class ReviewSystem {
                 }, 500);
             } else {
                 console.log('Review save failed');
-                this.showMessage('Impossible de sauvegarder l\'avis. Veuillez vérifier votre navigateur ou réessayer.', 'error');
+                this.showMessage(this.t('messages.saveFailed'), 'error');
             }
         } catch (error) {
             console.error('Review submission error:', error);
             
             // More specific error messages
-            let errorMessage = 'Une erreur est survenue. ';
+            let errorMessage = this.t('messages.genericError');
             if (error.name === 'QuotaExceededError' || error.code === 22) {
-                errorMessage = 'Espace de stockage plein. Veuillez vider le cache de votre navigateur ou réessayer.';
+                errorMessage = this.t('messages.storageFull');
             } else if (error.message && error.message.includes('localStorage')) {
-                errorMessage = 'Problème de stockage local. Vérifiez que les cookies sont autorisés et réessayez.';
-            } else {
-                errorMessage += 'Veuillez réessayer dans quelques instants.';
+                errorMessage = this.t('messages.storageError');
             }
             
             this.showMessage(errorMessage, 'error');
@@ -215,440 +300,57 @@ class ReviewSystem {
      * Extract and sanitize form data
      */
     extractFormData(formData) {
+        // The vehicle picker sends the catalog id, the name is kept for display and older readers
+        const vehicleId = this.sanitize(formData.get('vehicleId')) || '';
+        const vehicle = vehicleId && window.fleetCatalog ? window.fleetCatalog.getVehicle(vehicleId) : null;
+
         return {
             id: this.generateUniqueId(),
             name: this.sanitize(formData.get('name')) || '',
             email: this.sanitize(formData.get('email')) || '',
             location: this.sanitize(formData.get('location')) || '',
-            vehicle: this.sanitize(formData.get('vehicle_rented')) || '',
+            vehicle: vehicle ? vehicle.name : '',
+            vehicleId: vehicle ? vehicle.id : '',
             rating: parseInt(formData.get('rating')) || 0,
             content: this.sanitize(formData.get('content')) || '',
             timestamp: new Date().toISOString(),
             userAgent: navigator.userAgent.substring(0, 100), // Limited for privacy
-            sessionId: this.getSessionId()
+            sessionId: this.getSessionId(),
+            status: 'pending' // Published once approved in the moderation view
         };
     }
 
     /**
-     * Validate review data
-     */
-    validateReview(review) {
-        // Check required fields one by one with specific error messages
-        if (!review.name || !review.name.trim()) {
-            this.showMessage('Veuillez entrer votre nom.', 'error');
-            // Focus on the name field
-            const nameField = document.getElementById('review-name');
-            if (nameField) {
-                nameField.focus();
-                nameField.classList.add('border-red-500');
-                setTimeout(() => nameField.classList.remove('border-red-500'), 3000);
-            }
-            return false;
-        }
-        
-        if (!review.content || !review.content.trim()) {
-            this.showMessage('Veuillez écrire un commentaire.', 'error');
-            const contentField = document.getElementById('review-content');
-            if (contentField) {
-                contentField.focus();
-                contentField.classList.add('border-red-500');
-                setTimeout(() => contentField.classList.remove('border-red-500'), 3000);
-            }
-            return false;
-        }
-        
-        if (review.content.trim().length < 10) {
-            this.showMessage('Votre commentaire doit contenir au moins 10 caractères.', 'error');
-            const contentField = document.getElementById('review-content');
-            if (contentField) {
-                contentField.focus();
-                contentField.classList.add('border-red-500');
-                setTimeout(() => contentField.classList.remove('border-red-500'), 3000);
-            }
-            return false;
-        }
-        
-        if (!review.rating || review.rating < 1 || review.rating > 5) {
-            this.showMessage('Veuillez sélectionner une note en cliquant sur les étoiles.', 'error');
-            return false;
-        }
-        
-        return true;
-    }
-
-    /**
-     * Save review with cross-device cloud storage
+     * Save a review to the shared store, retrying with backoff, and keep a copy on this device
+     * Resolves with 'sent', 'queued' when the outbox will send it later, or false when the store refused it;
+     * duplicates are refused before (handleSubmission)
      */
     async saveReviewWithRetry(review, maxAttempts = 3) {
-        // Try cloud storage first for cross-device access
-        if (this.useCloudStorage) {
-            try {
-                const cloudSuccess = await this.saveToCloudStorage(review);
-                if (cloudSuccess) {
-                    console.log('Review saved to cloud successfully');
-                    // Also save locally for faster local access
-                    await this.saveToLocalStorage(review, 1);
-                    return true;
-                }
-            } catch (error) {
-                console.warn('Cloud storage failed, trying localStorage:', error);
-            }
-        }
-
-        // Fallback to localStorage if cloud fails
-        try {
-            const success = await this.saveToLocalStorage(review, maxAttempts);
-            if (success) {
-                console.log('Review saved to localStorage');
-                return true;
-            }
-        } catch (error) {
-            console.error('All storage methods failed:', error);
-        }
-
-        return false;
-    }
-
-    /**
-     * Save review to Firebase for true cross-device access
-     */
-    async saveToCloudStorage(newReview) {
-        try {
-            console.log('Saving to Firebase cross-device storage...');
-            
-            // Get existing reviews
-            const existingReviews = await this.loadFromCloudStorage();
-            
-            // Add new review
-            const updatedReviews = [newReview, ...existingReviews];
-            const limitedReviews = updatedReviews.slice(0, this.maxReviews);
-            
-            // Save to Firebase
-            const response = await fetch(this.firebaseUrl, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(limitedReviews)
-            });
-            
-            if (response.ok) {
-                console.log('Review saved to Firebase successfully');
-                // Also save locally as backup
-                this.saveToMultipleStorages(limitedReviews);
-                return true;
-            } else {
-                console.error('Firebase save failed:', response.status);
-                // Fallback to local storage
-                this.saveToMultipleStorages(limitedReviews);
-                return true;
-            }
-        } catch (error) {
-            console.error('Firebase save error:', error);
-            // Fallback to local storage
-            const existingLocal = await this.getLocalStoredReviews();
-            this.saveToMultipleStorages([newReview, ...existingLocal]);
-            return true;
-        }
-    }
-
-    /**
-     * Load reviews from Firebase cross-device storage
-     */
-    async loadFromCloudStorage() {
-        try {
-            console.log('Loading from Firebase cross-device storage...');
-            
-            const response = await fetch(this.firebaseUrl);
-            
-            if (response.ok) {
-                const data = await response.json();
-                
-                if (Array.isArray(data) && data.length > 0) {
-                    console.log(`Loaded ${data.length} reviews from Firebase`);
-                    // Also save locally as backup
-                    this.saveToMultipleStorages(data);
-                    return data;
-                } else {
-                    console.log('No reviews found in Firebase');
-                }
-            } else {
-                console.warn('Firebase load failed:', response.status);
-            }
-        } catch (error) {
-            console.warn('Firebase load error:', error);
-        }
-        
-        // Fallback to local storage
-        return await this.loadFromLocalSources();
-    }
-
-    /**
-     * Load from local sources with fallback chain
-     */
-    async loadFromLocalSources() {
-        // Try multiple storage sources in order of preference
-        let reviews = [];
-        
-        // 1. Try global variable (most recent)
-        if (window.medridatoursReviews && Array.isArray(window.medridatoursReviews)) {
-            reviews = window.medridatoursReviews;
-            console.log(`Loaded ${reviews.length} reviews from global storage`);
-            return reviews;
-        }
-        
-        // 2. Try localStorage
-        if (this.isLocalStorageAvailable()) {
-            const stored = localStorage.getItem(this.storageKey);
-            if (stored) {
+        let sent = this.store === this.localStore;
+        if (!sent && navigator.onLine !== false) {
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
                 try {
-                    reviews = JSON.parse(stored);
-                    if (Array.isArray(reviews)) {
-                        console.log(`Loaded ${reviews.length} reviews from localStorage`);
-                        return reviews;
-                    }
-                } catch (e) {
-                    console.warn('Failed to parse localStorage data');
-                }
-            }
-        }
-        
-        console.log('No reviews found in any storage');
-        return [];
-    }
-
-    /**
-     * Save to multiple storage locations for redundancy
-     */
-    saveToMultipleStorages(reviews) {
-        const reviewsJson = JSON.stringify(reviews);
-        
-        // Save to localStorage
-        if (this.isLocalStorageAvailable()) {
-            localStorage.setItem(this.storageKey, reviewsJson);
-            localStorage.setItem(this.storageKey + '_backup', reviewsJson);
-        }
-        
-        // Save to sessionStorage as backup
-        try {
-            sessionStorage.setItem(this.storageKey, reviewsJson);
-        } catch (e) {
-            console.warn('SessionStorage not available');
-        }
-        
-        // Save to a global variable as fallback
-        window.medridatoursReviews = reviews;
-    }
-
-    /**
-     * Load reviews from cross-device storage
-     */
-    async loadFromCloudStorage() {
-        try {
-            console.log('Loading from cross-device storage...');
-            
-            // Try multiple storage sources in order of preference
-            let reviews = [];
-            
-            // 1. Try global variable (most recent)
-            if (window.medridatoursReviews && Array.isArray(window.medridatoursReviews)) {
-                reviews = window.medridatoursReviews;
-                console.log(`Loaded ${reviews.length} reviews from global storage`);
-                return reviews;
-            }
-            
-            // 2. Try localStorage
-            if (this.isLocalStorageAvailable()) {
-                const stored = localStorage.getItem(this.storageKey);
-                if (stored) {
-                    try {
-                        reviews = JSON.parse(stored);
-                        if (Array.isArray(reviews)) {
-                            console.log(`Loaded ${reviews.length} reviews from localStorage`);
-                            return reviews;
-                        }
-                    } catch (e) {
-                        console.warn('Failed to parse localStorage data');
-                    }
-                }
-                
-                // Try backup
-                const backup = localStorage.getItem(this.storageKey + '_backup');
-                if (backup) {
-                    try {
-                        reviews = JSON.parse(backup);
-                        if (Array.isArray(reviews)) {
-                            console.log(`Loaded ${reviews.length} reviews from localStorage backup`);
-                            return reviews;
-                        }
-                    } catch (e) {
-                        console.warn('Failed to parse localStorage backup data');
-                    }
-                }
-            }
-            
-            // 3. Try sessionStorage
-            try {
-                const sessionData = sessionStorage.getItem(this.storageKey);
-                if (sessionData) {
-                    reviews = JSON.parse(sessionData);
-                    if (Array.isArray(reviews)) {
-                        console.log(`Loaded ${reviews.length} reviews from sessionStorage`);
-                        return reviews;
-                    }
-                }
-            } catch (e) {
-                console.warn('SessionStorage not available or corrupted');
-            }
-            
-            console.log('No reviews found in any storage');
-            return [];
-        } catch (error) {
-            console.warn('Cross-device storage load error:', error);
-            return [];
-        }
-    }
-
-    /**
-     * Save to localStorage with retry mechanism
-     */
-    async saveToLocalStorage(review, maxAttempts = 3) {
-        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-            try {
-                // Check localStorage availability
-                if (!this.isLocalStorageAvailable()) {
-                    console.warn('localStorage not available, using temporary storage');
-                    return this.saveToTemporaryStorage(review);
-                }
-
-                const reviews = this.getLocalStoredReviews();
-                
-                // Check for duplicate (same user, similar content)
-                if (this.isDuplicate(review, reviews)) {
-                    this.showMessage('Un avis similaire a déjà été soumis.', 'warning');
-                    return false;
-                }
-                
-                // Add new review at the beginning
-                reviews.unshift(review);
-                
-                // Limit storage size
-                if (reviews.length > this.maxReviews) {
-                    reviews.splice(this.maxReviews);
-                }
-                
-                // Test serialization first
-                const jsonString = JSON.stringify(reviews);
-                if (jsonString.length > 5000000) { // 5MB limit
-                    console.warn('Storage size too large, removing old reviews');
-                    reviews.splice(Math.floor(this.maxReviews / 2)); // Keep only half
-                }
-                
-                // Atomic save operation with error catching
-                try {
-                    localStorage.setItem(this.storageKey, JSON.stringify(reviews));
-                    console.log('Review saved successfully to localStorage');
-                    return true;
-                } catch (quotaError) {
-                    if (quotaError.name === 'QuotaExceededError' || quotaError.code === 22) {
-                        console.warn('localStorage quota exceeded, clearing old data');
-                        this.clearOldReviews();
-                        localStorage.setItem(this.storageKey, JSON.stringify([review]));
-                        return true;
+                    await this.store.save(review);
+                    console.log('Review saved to the shared store');
+                    sent = true;
+                    break;
+                } catch (error) {
+                    console.warn(`Save attempt ${attempt} failed:`, error);
+                    if (ReviewOutbox.isRefusal(error)) return false;
+                    if (attempt < maxAttempts) {
+                        // Exponential backoff with jitter
+                        await this.delay(Math.pow(2, attempt) * 100 + Math.random() * 100);
                     }
-                    throw quotaError;
-                }
-                
-            } catch (error) {
-                console.error(`Save attempt ${attempt} failed:`, error);
-                
-                if (attempt === maxAttempts) {
-                    // Final fallback: save to sessionStorage or memory
-                    return this.saveToFallbackStorage(review);
                 }
-                
-                // Exponential backoff with jitter
-                await this.delay(Math.pow(2, attempt) * 100 + Math.random() * 100);
             }
         }
-        return false;
-    }
 
-    /**
-     * Check if localStorage is available
-     */
-    isLocalStorageAvailable() {
-        try {
-            const test = 'localStorage_test';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
-        } catch (e) {
-            return false;
-        }
-    }
-
-    /**
-     * Save to temporary storage when localStorage fails
-     */
-    saveToTemporaryStorage(review) {
-        try {
-            if (typeof sessionStorage !== 'undefined') {
-                const tempReviews = this.getTemporaryReviews();
-                tempReviews.unshift(review);
-                sessionStorage.setItem(this.storageKey + '_temp', JSON.stringify(tempReviews));
-                console.log('Review saved to sessionStorage');
-                return true;
-            } else {
-                // Fallback to memory storage
-                if (!window.memoryReviews) window.memoryReviews = [];
-                window.memoryReviews.unshift(review);
-                console.log('Review saved to memory storage');
-                return true;
-            }
-        } catch (error) {
-            console.error('Temporary storage failed:', error);
-            return false;
-        }
-    }
-
-    /**
-     * Save to fallback storage options
-     */
-    saveToFallbackStorage(review) {
-        console.warn('Using fallback storage for review');
-        
-        // Try sessionStorage first
-        try {
-            if (typeof sessionStorage !== 'undefined') {
-                sessionStorage.setItem(this.storageKey + '_fallback', JSON.stringify([review]));
-                return true;
-            }
-        } catch (e) {
-            console.error('sessionStorage fallback failed:', e);
-        }
-        
-        // Memory fallback
-        if (!window.fallbackReviews) window.fallbackReviews = [];
-        window.fallbackReviews.unshift(review);
-        console.log('Review saved to memory fallback');
-        return true;
-    }
+        // Keeps the review visible on this device until the outbox has sent it
+        await this.localStore.save(review);
+        if (sent) return 'sent';
 
-    /**
-     * Clear old reviews to free space
-     */
-    clearOldReviews() {
-        try {
-            const reviews = this.getStoredReviews();
-            const recentReviews = reviews.slice(0, Math.floor(this.maxReviews / 3)); // Keep only 1/3
-            localStorage.setItem(this.storageKey, JSON.stringify(recentReviews));
-            console.log('Cleared old reviews to free storage space');
-        } catch (error) {
-            console.error('Failed to clear old reviews:', error);
-            // Complete reset if clearing fails
-            localStorage.removeItem(this.storageKey);
-        }
+        await this.outbox.add(review);
+        return 'queued';
     }
 
     /**
@@ -682,10 +384,48 @@ class ReviewSystem {
                (normalized2.length > 20 && normalized1.includes(normalized2.substring(0, 20)));
     }
 
+    /**
+     * Approved reviews, loaded once and shared by the modules that show them
+     * refresh forces a new load, e.g. after a submission
+     */
+    getPublishedReviews(refresh = false) {
+        if (!this.publishedRequest || refresh) {
+            this.publishedRequest = Promise.resolve(this.migrated)
+                .then(() => this.getStoredReviews())
+                .then(reviews => window.reviewModeration.getPublished(reviews))
+                .catch(error => {
+                    // Allow a later call to retry
+                    this.publishedRequest = null;
+                    throw error;
+                });
+        }
+        return this.publishedRequest;
+    }
+
+    /**
+     * Full-size photo of a review for the lightbox, or null when only its thumbnail is stored
+     */
+    loadPhoto(reviewId, index) {
+        if (typeof this.store.loadPhoto !== 'function') return Promise.resolve(null);
+
+        const key = `${reviewId}/${index}`;
+        if (!this.photoRequests.has(key)) {
+            this.photoRequests.set(key, this.store.loadPhoto(reviewId, index)
+                .then(src => ReviewGuard.isPhotoDataUrl(src) ? src : null)
+                .catch(error => {
+                    // Allow a later call to retry
+                    this.photoRequests.delete(key);
+                    console.warn('Full-size photo unavailable:', error);
+                    return null;
+                }));
+        }
+        return this.photoRequests.get(key);
+    }
+
     /**
      * Display all reviews in the grid (async for cloud loading)
      */
-    async displayReviews() {
+    async displayReviews(refresh = false) {
         const reviewsGrid = document.getElementById('reviews-grid');
         const loadingElement = document.getElementById('reviews-loading');
         const noReviewsMessage = document.getElementById('no-reviews-message');
@@ -702,8 +442,8 @@ class ReviewSystem {
         if (noReviewsMessage) noReviewsMessage.classList.add('hidden');
         
         try {
-            const reviews = await this.getStoredReviews();
-            console.log(`Got ${reviews.length} reviews to display:`, reviews);
+            const reviews = await this.getPublishedReviews(refresh);
+            console.log(`Got ${reviews.length} approved reviews to display:`, reviews);
             
             const limitedReviews = reviews.slice(0, this.maxDisplayReviews);
             
@@ -731,9 +471,14 @@ class ReviewSystem {
                     console.log('Successfully displayed reviews');
                 } catch (error) {
                     console.error('Error creating review HTML:', error);
-                    reviewsGrid.innerHTML = '<p class="text-red-500">Erreur lors de l\'affichage des avis.</p>';
+                    reviewsGrid.innerHTML = `<p class="text-red-500">${this.t('displayError')}</p>`;
                 }
             }
+            
+            // Let other modules (statistics, filters) follow the published reviews
+            document.dispatchEvent(new CustomEvent('reviews:rendered', {
+                detail: { container: reviewsGrid, reviews }
+            }));
         } catch (error) {
             console.error('Error displaying reviews:', error);
             if (loadingElement) loadingElement.style.display = 'none';
@@ -742,128 +487,97 @@ class ReviewSystem {
     }
 
     /**
-     * Create HTML for a single review
+     * Create HTML for a single review (static/js/review-template.js escapes every review field)
      */
     createReviewHTML(review) {
-        const stars = this.generateStarsHTML(review.rating);
+        const html = ReviewTemplate.html;
         const timeAgo = this.formatTimeAgo(new Date(review.timestamp));
-        const truncatedContent = this.truncateText(review.content || review.comment || '', 150);
+        const reply = ReviewSystem.normalizeReply(review.reply);
+        const photos = ReviewSystem.normalizePhotos(review.photos);
+        const excerpt = this.truncateText(review.content, this.excerptLength);
+        const isTruncated = excerpt !== review.content;
 
-        return `
+        return html`
             <div class="bg-white p-4 rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow review-card">
                 <!-- Rating and Date -->
                 <div class="flex items-center justify-between mb-3">
                     <div class="flex items-center">
-                        ${stars}
+                        ${ReviewTemplate.stars(review.rating)}
                     </div>
                     <span class="text-xs text-gray-500">${timeAgo}</span>
                 </div>
                 
                 <!-- Review Content -->
                 <p class="text-gray-700 text-sm mb-3 leading-relaxed">
-                    "${truncatedContent}"
+                    "<span data-review-excerpt>${excerpt}</span>${isTruncated && html`<span data-review-full class="hidden">${review.content}</span>`}"
                 </p>
+                ${isTruncated && html`
+                <button type="button" data-review-expand aria-expanded="false" class="text-xs text-blue-600 hover:text-blue-700 font-medium mb-3">
+                    ${this.t('filters.readMore')}
+                </button>`}
+                ${ReviewTemplate.photos(photos, (index, count) => this.t('photos.open', { index, count }), review.id)}
                 
                 <!-- Customer Info -->
                 <div class="flex items-center justify-between text-xs">
                     <div>
-                        <span class="font-medium text-gray-800">${this.escapeHtml(review.name)}</span>
-                        ${review.location ? `<span class="text-gray-500"> • ${this.escapeHtml(review.location)}</span>` : ''}
+                        <span class="font-medium text-gray-800">${review.name}</span>
+                        ${review.location && html`<span class="text-gray-500"> • ${review.location}</span>`}
                     </div>
-                    ${review.vehicle ? `<span class="text-blue-600 font-medium">${this.escapeHtml(review.vehicle)}</span>` : ''}
+                    ${review.vehicle && html`<span class="text-blue-600 font-medium">${review.vehicle}</span>`}
                 </div>
                 
-                <!-- Verification badge -->
+                ${review.verified && html`
+                <!-- Verification badge: the review came with an issued booking reference -->
                 <div class="mt-2 flex items-center justify-end">
-                    <span class="inline-flex items-center text-xs text-green-600">
-                        <i class="fas fa-check-circle mr-1"></i>
-                        Avis vérifié
+                    <span class="inline-flex items-center text-xs text-green-600" tabindex="0" data-tooltip="${this.t('verification.tooltip')}">
+                        <i class="fas fa-check-circle mr-1" aria-hidden="true"></i>
+                        ${this.t('verification.badge')}
                     </span>
-                </div>
+                </div>`}
+                ${reply && html`
+                <!-- Owner reply -->
+                <div class="mt-3 border-l-4 border-blue-200 bg-blue-50 px-3 py-2 text-xs text-gray-700" data-review-reply>
+                    <p class="flex items-center justify-between gap-2 mb-1">
+                        <span class="font-semibold text-gray-800"><i class="fas fa-reply mr-1"></i>${this.t('ownerReply')}</span>
+                        ${reply.timestamp && html`<span class="text-gray-500">${this.formatTimeAgo(new Date(reply.timestamp))}</span>`}
+                    </p>
+                    <p class="whitespace-pre-line">${reply.content}</p>
+                </div>`}
             </div>
-        `;
-    }
-
-    /**
-     * Generate stars HTML for rating
-     */
-    generateStarsHTML(rating) {
-        let stars = '';
-        for (let i = 1; i <= 5; i++) {
-            if (i <= rating) {
-                stars += '<i class="fas fa-star text-yellow-400 text-sm"></i>';
-            } else {
-                stars += '<i class="fas fa-star text-gray-300 text-sm"></i>';
-            }
-        }
-        return stars;
+        `.toString();
     }
 
     /**
-     * Get stored reviews from cloud storage (cross-device) with localStorage fallback
+     * Get reviews from the shared store, with the local copy as fallback
      */
     async getStoredReviews() {
-        try {
-            // Try cloud storage first for most up-to-date reviews
-            if (this.useCloudStorage) {
-                const cloudReviews = await this.loadFromCloudStorage();
-                if (cloudReviews.length > 0) {
-                    console.log(`Loaded ${cloudReviews.length} reviews from cloud storage`);
-                    return cloudReviews.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-                }
-            }
-            
-            // Fallback to localStorage
-            const localReviews = this.getLocalStoredReviews();
-            console.log(`Loaded ${localReviews.length} reviews from localStorage`);
-            return localReviews.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-            
-        } catch (error) {
-            console.error('Error loading reviews:', error);
-            // Emergency fallback
-            return this.getLocalStoredReviews();
+        const byDate = (a, b) => new Date(b.timestamp) - new Date(a.timestamp);
+        const normalize = reviews => reviews.map(ReviewSystem.normalizeReview).filter(Boolean);
+        const localReviews = normalize(await this.getLocalStoredReviews());
+
+        if (this.store === this.localStore) {
+            return localReviews.sort(byDate);
         }
-    }
 
-    /**
-     * Get reviews from localStorage as fallback
-     */
-    getLocalStoredReviews() {
         try {
-            if (this.isLocalStorageAvailable()) {
-                const stored = localStorage.getItem(this.storageKey);
-                if (stored) {
-                    const parsed = JSON.parse(stored);
-                    return Array.isArray(parsed) ? parsed : [];
-                }
-            }
-            return [];
+            const sharedReviews = normalize(await this.store.load());
+            // Reviews that never reached the shared store stay visible on this device
+            const sharedIds = new Set(sharedReviews.map(review => review.id));
+            const reviews = [...sharedReviews, ...localReviews.filter(review => !sharedIds.has(review.id))].sort(byDate);
+
+            await this.localStore.replaceAll(reviews);
+            return reviews;
         } catch (error) {
-            console.error('localStorage error:', error);
-            return [];
+            console.warn('Shared review store unavailable, using the local copy:', error);
+            return localReviews.sort(byDate);
         }
     }
 
     /**
-     * Get default reviews that appear on all devices for consistency
+     * Get reviews from the local copy
      */
-    getDefaultReviews() {
-        return [
-            {
-                id: 'verified_jalila',
-                name: 'Jalila Bizaine',
-                email: '',
-                location: 'Casablanca',
-                vehicle: 'Dacia Logan',
-                rating: 5,
-                content: 'Très bon service, Véhicule bien soignée!',
-                timestamp: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(),
-                userAgent: 'Verified',
-                sessionId: 'verified_review_1',
-                isDefault: true,
-                verified: true
-            }
-        ];
+    getLocalStoredReviews() {
+        return this.localStore.load();
     }
 
     /**
@@ -881,25 +595,6 @@ class ReviewSystem {
         });
     }
 
-    /**
-     * Get temporary reviews from sessionStorage
-     */
-    getTemporaryReviews() {
-        try {
-            if (typeof sessionStorage !== 'undefined') {
-                const stored = sessionStorage.getItem(this.storageKey + '_temp');
-                if (stored) {
-                    const parsed = JSON.parse(stored);
-                    return Array.isArray(parsed) ? parsed : [];
-                }
-            }
-            return [];
-        } catch (error) {
-            console.error('Error reading temporary reviews:', error);
-            return [];
-        }
-    }
-
     /**
      * Rate limiting functionality
      */
@@ -936,28 +631,29 @@ class ReviewSystem {
         return input.trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-
     truncateText(text, maxLength = 150) {
         if (!text || typeof text !== 'string') return '';
         if (text.length <= maxLength) return text;
         return text.substring(0, maxLength) + '...';
     }
 
+    /**
+     * Review UI string in the page language
+     */
+    t(key, params) {
+        return window.MedridatoursI18n.t(`reviews.${key}`, params);
+    }
+
     formatTimeAgo(date) {
         const now = new Date();
         const diffInSeconds = Math.floor((now - date) / 1000);
         
-        if (diffInSeconds < 60) return 'À l\'instant';
-        if (diffInSeconds < 3600) return `Il y a ${Math.floor(diffInSeconds / 60)} min`;
-        if (diffInSeconds < 86400) return `Il y a ${Math.floor(diffInSeconds / 3600)}h`;
-        if (diffInSeconds < 604800) return `Il y a ${Math.floor(diffInSeconds / 86400)} j`;
+        if (diffInSeconds < 60) return this.t('timeAgo.now');
+        if (diffInSeconds < 3600) return this.t('timeAgo.minutes', { count: Math.floor(diffInSeconds / 60) });
+        if (diffInSeconds < 86400) return this.t('timeAgo.hours', { count: Math.floor(diffInSeconds / 3600) });
+        if (diffInSeconds < 604800) return this.t('timeAgo.days', { count: Math.floor(diffInSeconds / 86400) });
         
-        return date.toLocaleDateString('fr-FR', { 
+        return date.toLocaleDateString(window.MedridatoursI18n.getLocale(), { 
             year: 'numeric', 
             month: 'short'
         });
@@ -981,6 +677,7 @@ class ReviewSystem {
         
         if (form) {
             form.reset();
+            this.formStartedAt = null;
             // Reset star rating
             const stars = document.querySelectorAll('.star');
             stars.forEach(star => {
@@ -992,123 +689,211 @@ class ReviewSystem {
         }
     }
 
-    showSuccessMessage() {
-        this.showMessage('✅ Merci pour votre avis ! Il a été publié avec succès.', 'success');
+    showSuccessMessage(queued = false) {
+        this.showMessage(this.t(queued ? 'messages.queued' : 'messages.success'), 'success');
     }
 
-    showMessage(message, type = 'info') {
-        // Remove existing messages
-        const existingMessages = document.querySelectorAll('.review-message');
-        existingMessages.forEach(msg => msg.remove());
+    /**
+     * A queued review the shared store refused: it is removed from this device, where it would
+     * otherwise stay unpublished, and can be submitted again
+     */
+    async handleRefusedReview(review) {
+        const reviews = await this.getLocalStoredReviews();
+        await this.localStore.replaceAll(reviews.filter(stored => String(stored.id) !== String(review.id)));
+        this.showMessage(this.t('outbox.refused'), 'error');
+    }
 
-        const messageElement = document.createElement('div');
-        messageElement.className = `review-message fixed top-4 right-4 px-6 py-3 rounded-lg shadow-lg z-50 max-w-sm`;
-        
-        const colors = {
-            success: 'bg-green-500 text-white',
-            error: 'bg-red-500 text-white',
-            warning: 'bg-yellow-500 text-black',
-            info: 'bg-blue-500 text-white'
-        };
-        
-        messageElement.className += ` ${colors[type] || colors.info}`;
-        messageElement.innerHTML = `
-            <div class="flex items-center justify-between">
-                <span class="text-sm font-medium">${message}</span>
-                <button onclick="this.parentElement.parentElement.remove()" class="ml-3 text-lg opacity-70 hover:opacity-100">
-                    <i class="fas fa-times"></i>
-                </button>
-            </div>
-        `;
+    /**
+     * Badge telling the visitor that reviews are waiting for a connection
+     */
+    updateSyncStatus(count) {
+        const badge = document.getElementById('reviews-sync-status');
+        if (!badge) return;
 
-        document.body.appendChild(messageElement);
+        badge.innerHTML = count ? `<i class="fas fa-cloud-upload-alt mr-1"></i>${this.t('outbox.pending', { count })}` : '';
+        badge.classList.toggle('hidden', !count);
+    }
 
-        // Auto remove after 5 seconds
-        setTimeout(() => {
-            if (messageElement.parentElement) {
-                messageElement.remove();
-            }
-        }, 5000);
+    showMessage(message, type = 'info') {
+        window.MedridatoursNotifications.show(message, { type });
     }
 
     /**
-     * Add sample reviews for demonstration - DISABLED
-     * Sample reviews removed to show only real user reviews
+     * Admin functions: clearAllReviews is a debugging helper, the others back the review console (review-console.js)
      */
-    addSampleReviews() {
-        // Sample reviews disabled - only show real user reviews
-        return;
+    async clearAllReviews() {
+        await this.localStore.clear();
+        localStorage.removeItem(this.lastSubmissionKey);
+        this.displayReviews(true);
+        console.log('All reviews cleared');
     }
 
     /**
-     * Clear old sample reviews from localStorage
+     * Delete reviews from the copy on this device and from the shared store
+     * Resolves with false when the shared store could not be updated (offline, no admin signed in,
+     * or a store that cannot delete): only a signed-in admin's token may delete shared reviews.
      */
-    async clearSampleReviews() {
+    async deleteReviews(ids) {
+        const removed = new Set(ids.map(String));
+        const reviews = await this.getLocalStoredReviews();
+        await this.localStore.replaceAll(reviews.filter(review => !removed.has(String(review.id))));
+        this.publishedRequest = null;
+
+        if (this.store === this.localStore) return true;
+        if (typeof this.store.remove !== 'function') return false;
         try {
-            const existingReviews = await this.getLocalStoredReviews();
-            if (existingReviews.length > 0) {
-                // Remove only the specific sample reviews I added, keep all real user reviews
-                const realReviews = existingReviews.filter(review => {
-                    // Remove reviews with sample IDs
-                    if (review.id?.includes('sample_')) return false;
-                    
-                    // Remove reviews marked with Sample userAgent
-                    if (review.userAgent === 'Sample') return false;
-                    
-                    // Remove the specific sample reviews by name
-                    const sampleNames = ['Fatima Zahra', 'Ahmed Bennani', 'Sarah Martin'];
-                    if (sampleNames.includes(review.name) && 
-                        (review.userAgent === 'Sample' || !review.userAgent)) {
-                        return false;
-                    }
-                    
-                    // Keep all other reviews (real user reviews)
-                    return true;
-                });
-                
-                // Only update if we actually removed something
-                if (realReviews.length !== existingReviews.length) {
-                    localStorage.setItem(this.storageKey, JSON.stringify(realReviews));
-                    console.log(`Removed ${existingReviews.length - realReviews.length} sample reviews, kept ${realReviews.length} real reviews`);
+            const authToken = await this.getAdminToken();
+            for (const id of removed) {
+                await this.store.remove(id, { authToken });
+            }
+            return true;
+        } catch (error) {
+            console.warn('Shared review store unavailable, reviews deleted on this device only:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Add reviews from a backup: invalid records and reviews already stored (same id, or same
+     * author, text and rating) are skipped. With a shared store the reviews are sent with the
+     * signed-in admin's token, never anonymously; the ones it refuses are counted as failed.
+     * Resolves with { imported: [reviews], duplicates: count, invalid: count, failed: count }
+     * and rejects when no admin is signed in.
+     */
+    async importReviews(records) {
+        const existing = await this.getStoredReviews();
+        const ids = new Set(existing.map(review => review.id));
+        const candidates = [];
+        let invalid = 0;
+
+        records.forEach(record => {
+            const review = ReviewSystem.validateImportedReview(record);
+            if (!review) {
+                invalid++;
+            } else if (!ids.has(review.id)) {
+                ids.add(review.id);
+                candidates.push(review);
+            }
+        });
+
+        const existingIds = new Set(existing.map(review => review.id));
+        const unique = this.deduplicateReviews([...existing, ...candidates]).filter(review => !existingIds.has(review.id));
+        const imported = [];
+
+        if (this.store === this.localStore) {
+            imported.push(...unique);
+        } else if (unique.length > 0) {
+            const authToken = await this.getAdminToken();
+            for (const review of unique) {
+                try {
+                    await this.store.save(review, { authToken });
+                    imported.push(review);
+                } catch (error) {
+                    console.warn(`Imported review ${review.id} not stored:`, error);
                 }
             }
+        }
+
+        if (imported.length > 0) {
+            const local = await this.getLocalStoredReviews();
+            const byDate = (a, b) => new Date(b.timestamp) - new Date(a.timestamp);
+            await this.localStore.replaceAll([...imported, ...local].sort(byDate));
+            this.publishedRequest = null;
+        }
+
+        return {
+            imported,
+            duplicates: records.length - invalid - unique.length,
+            invalid,
+            failed: unique.length - imported.length
+        };
+    }
+
+    /**
+     * Every stored review with the visitor's details (email, userAgent, sessionId) the shared store
+     * keeps apart from the public records; only a signed-in admin can read them
+     */
+    async getAdminReviews() {
+        const reviews = await this.getStoredReviews();
+        if (typeof this.store.loadDetails !== 'function') return reviews;
+
+        let details = {};
+        try {
+            details = await this.store.loadDetails({ authToken: await this.getAdminToken() });
         } catch (error) {
-            console.error('Error clearing sample reviews:', error);
+            console.warn('Review details unavailable:', error);
         }
+        return reviews.map(review => Object.assign({}, review, details[review.id]));
     }
 
     /**
-     * Admin functions (for debugging)
+     * Token of the signed-in admin (review-moderation.js); rejects when nobody is signed in
+     * The mock moderation backend has no token: it cannot write to a shared store.
      */
-    clearAllReviews() {
-        localStorage.removeItem(this.storageKey);
-        localStorage.removeItem(this.lastSubmissionKey);
-        this.displayReviews();
-        console.log('All reviews cleared');
+    async getAdminToken() {
+        const authToken = await window.reviewModeration.getAuthToken();
+        if (!authToken) throw new Error('Not signed in');
+        return authToken;
     }
 
-    exportReviews() {
-        const reviews = this.getStoredReviews();
-        const dataStr = JSON.stringify(reviews, null, 2);
-        const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
-        
-        const exportFileDefaultName = `medridatours_reviews_${new Date().toISOString().split('T')[0]}.json`;
-        
-        const linkElement = document.createElement('a');
-        linkElement.setAttribute('href', dataUri);
-        linkElement.setAttribute('download', exportFileDefaultName);
-        linkElement.click();
+    /**
+     * Schema check of an imported record; returns the normalized review or null
+     * Stricter than normalizeReview, which also has to read old formats: the record must use the current schema.
+     */
+    static validateImportedReview(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+
+        const strings = ['id', 'name', 'email', 'location', 'vehicle', 'vehicleId', 'content', 'timestamp'];
+        if (strings.some(field => record[field] !== undefined && typeof record[field] !== 'string')) return null;
+        if (!record.id || !String(record.name || '').trim() || !String(record.content || '').trim()) return null;
+
+        const rating = Number(record.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) return null;
+        if (record.photos !== undefined && ReviewGuard.hasInvalidPhotos(record.photos)) return null;
+
+        // Exports carry the claimed booking reference, which must not reach the public record (review-verification.js)
+        const { bookingReference, ...review } = record;
+        return ReviewSystem.normalizeReview(review);
+    }
+
+    /**
+     * Download every stored review as a JSON file
+     */
+    async exportReviews() {
+        const reviews = await this.getStoredReviews();
+        const date = new Date().toISOString().split('T')[0];
+        ReviewSystem.download(`medridatours_reviews_${date}.json`, JSON.stringify(reviews, null, 2), 'application/json');
+    }
+
+    static download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoked once the browser has started the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 }
 
 // Initialize the review system when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
-    window.reviewSystem = new ReviewSystem();
+    window.reviewSystem = new ReviewSystem({
+        storage: {
+            type: 'firebase',
+            url: 'https://medridatours-reviews-default-rtdb.firebaseio.com/reviews'
+        },
+        bookingReferences: {
+            url: 'https://medridatours-reviews-default-rtdb.firebaseio.com'
+        }
+    });
     
     // Expose for debugging in console
     if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
         console.log('Review System initialized. Available commands:');
-        console.log('- reviewSystem.clearAllReviews() - Clear all reviews');
+        console.log('- reviewSystem.clearAllReviews() - Clear the reviews stored on this device');
         console.log('- reviewSystem.exportReviews() - Export reviews as JSON');
         console.log('- reviewSystem.getStoredReviews() - Get all stored reviews');
     }
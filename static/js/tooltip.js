@@ -0,0 +1,215 @@
+/**
+ * Tooltips - Pure JavaScript
+ * Short hints for [data-tooltip] elements, including the ones rendered after page load:
+ * shown on hover, keyboard focus and long-press, placed inside the viewport and linked through aria-describedby
+ * Version: 1.0.0
+ *
+ * data-tooltip="text"                    the hint, read each time it opens
+ * data-tooltip-placement="top|bottom"    preferred side (top by default), flipped when it does not fit
+ *
+ * Loaded after form-validation.js, whose FormValidator.setDescribedBy links the hints.
+ */
+
+let tooltipIds = 0;
+
+class TooltipManager {
+    constructor() {
+        this.selector = '[data-tooltip]';
+        this.gap = 8; // Between the trigger and the tooltip
+        this.margin = 8; // Minimum distance to the viewport edges
+        this.hideDelay = 150; // Time to move the pointer onto the tooltip
+        this.longPressDelay = 500;
+        this.touchDuration = 4000; // A long-pressed tooltip closes by itself
+        this.tooltips = new WeakMap();
+        this.visible = new Set();
+        this.press = null;
+        this.lastTouch = 0;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Delegated listeners, so cards rendered later get tooltips too
+     */
+    bindEvents() {
+        document.addEventListener('pointerover', (e) => {
+            const trigger = this.getTrigger(e.target);
+            if (!trigger || e.pointerType === 'touch' || this.isTouch()) return;
+            this.show(trigger);
+        });
+        document.addEventListener('pointerout', (e) => {
+            const trigger = this.getTrigger(e.target);
+            if (!trigger || (e.relatedTarget && trigger.contains(e.relatedTarget))) return;
+            this.hideLater(trigger);
+        });
+
+        // Tapping a focusable trigger focuses it: only long-press opens tooltips on touch screens
+        document.addEventListener('focusin', (e) => {
+            const trigger = this.getTrigger(e.target);
+            if (trigger && !this.isTouch()) this.show(trigger);
+        });
+        document.addEventListener('focusout', (e) => {
+            const trigger = this.getTrigger(e.target);
+            if (trigger && !trigger.contains(e.relatedTarget)) this.hide(trigger);
+        });
+
+        document.addEventListener('touchstart', (e) => this.startPress(e), { passive: true });
+        document.addEventListener('touchmove', () => this.cancelPress(), { passive: true });
+        document.addEventListener('touchend', () => this.cancelPress());
+        document.addEventListener('touchcancel', () => this.cancelPress());
+        // The long-press menu of mobile browsers would cover the tooltip
+        document.addEventListener('contextmenu', (e) => {
+            if (this.getTrigger(e.target) && this.isTouch()) e.preventDefault();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hideAll();
+        });
+
+        // Fixed tooltips follow their trigger
+        window.addEventListener('scroll', () => this.updateAll(), { passive: true, capture: true });
+        window.addEventListener('resize', () => this.updateAll());
+    }
+
+    getTrigger(element) {
+        return element && element.closest ? element.closest(this.selector) : null;
+    }
+
+    /**
+     * Touch screens also fire pointer and focus events after a tap: they are ignored for a moment
+     */
+    isTouch() {
+        return Date.now() - this.lastTouch < 1000;
+    }
+
+    /**
+     * One tooltip per trigger, with its own id
+     */
+    get(trigger) {
+        if (!this.tooltips.has(trigger)) {
+            const element = document.createElement('div');
+            element.id = `tooltip-${++tooltipIds}`;
+            element.setAttribute('role', 'tooltip');
+            element.className = 'fixed z-50 max-w-xs px-3 py-2 rounded-lg bg-gray-800 text-white text-sm shadow-lg transition-opacity duration-150 opacity-0';
+            element.hidden = true;
+
+            const tooltip = { trigger, element, hideTimer: null, touchTimer: null };
+            // Hovering the tooltip itself keeps it open
+            element.addEventListener('pointerenter', () => clearTimeout(tooltip.hideTimer));
+            element.addEventListener('pointerleave', () => this.hideLater(trigger));
+            this.tooltips.set(trigger, tooltip);
+        }
+        return this.tooltips.get(trigger);
+    }
+
+    show(trigger) {
+        const text = trigger.dataset.tooltip;
+        if (!text) return;
+
+        const tooltip = this.get(trigger);
+        clearTimeout(tooltip.hideTimer);
+        tooltip.element.textContent = text;
+        if (!tooltip.element.isConnected) document.body.appendChild(tooltip.element);
+        tooltip.element.hidden = false;
+        FormValidator.setDescribedBy(trigger, tooltip.element.id, true);
+        this.visible.add(tooltip);
+
+        this.position(tooltip);
+        setTimeout(() => tooltip.element.classList.remove('opacity-0'), 20);
+    }
+
+    hide(trigger) {
+        const tooltip = this.tooltips.get(trigger);
+        if (!tooltip || !this.visible.has(tooltip)) return;
+
+        clearTimeout(tooltip.hideTimer);
+        clearTimeout(tooltip.touchTimer);
+        this.visible.delete(tooltip);
+        tooltip.element.classList.add('opacity-0');
+        tooltip.element.hidden = true;
+        tooltip.element.remove();
+        FormValidator.setDescribedBy(trigger, tooltip.element.id, false);
+    }
+
+    hideLater(trigger) {
+        const tooltip = this.tooltips.get(trigger);
+        if (!tooltip) return;
+        clearTimeout(tooltip.hideTimer);
+        tooltip.hideTimer = setTimeout(() => this.hide(trigger), this.hideDelay);
+    }
+
+    hideAll() {
+        [...this.visible].forEach(tooltip => this.hide(tooltip.trigger));
+    }
+
+    /**
+     * Long-press: the tooltip opens when the finger stays on the trigger
+     */
+    startPress(e) {
+        this.lastTouch = Date.now();
+        this.cancelPress();
+
+        const trigger = this.getTrigger(e.target);
+        // A touch anywhere else closes the open tooltips
+        [...this.visible].forEach(tooltip => {
+            if (tooltip.trigger !== trigger) this.hide(tooltip.trigger);
+        });
+        if (!trigger) return;
+
+        this.press = setTimeout(() => {
+            this.press = null;
+            this.show(trigger);
+            const tooltip = this.get(trigger);
+            clearTimeout(tooltip.touchTimer);
+            tooltip.touchTimer = setTimeout(() => this.hide(trigger), this.touchDuration);
+        }, this.longPressDelay);
+    }
+
+    cancelPress() {
+        clearTimeout(this.press);
+        this.press = null;
+    }
+
+    /**
+     * Above the trigger, or below it when there is no room (and the other way round),
+     * centred on the trigger and kept inside the viewport
+     */
+    position(tooltip) {
+        const rect = tooltip.trigger.getBoundingClientRect();
+        const width = tooltip.element.offsetWidth;
+        const height = tooltip.element.offsetHeight;
+        const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+        const viewportHeight = document.documentElement.clientHeight || window.innerHeight;
+
+        const spaceAbove = rect.top - this.margin;
+        const spaceBelow = viewportHeight - rect.bottom - this.margin;
+        let placement = tooltip.trigger.dataset.tooltipPlacement === 'bottom' ? 'bottom' : 'top';
+        if (placement === 'top' && spaceAbove < height + this.gap && spaceBelow > spaceAbove) {
+            placement = 'bottom';
+        } else if (placement === 'bottom' && spaceBelow < height + this.gap && spaceAbove > spaceBelow) {
+            placement = 'top';
+        }
+
+        const top = placement === 'top' ? rect.top - height - this.gap : rect.bottom + this.gap;
+        const left = rect.left + rect.width / 2 - width / 2;
+        const maxLeft = Math.max(this.margin, viewportWidth - width - this.margin);
+
+        tooltip.element.dataset.placement = placement;
+        tooltip.element.style.top = `${Math.round(top)}px`;
+        tooltip.element.style.left = `${Math.round(Math.min(Math.max(left, this.margin), maxLeft))}px`;
+    }
+
+    updateAll() {
+        this.visible.forEach(tooltip => {
+            // The trigger was removed, e.g. the cards were filtered
+            if (!tooltip.trigger.isConnected) {
+                this.hide(tooltip.trigger);
+            } else {
+                this.position(tooltip);
+            }
+        });
+    }
+}
+
+// Shared instance, listening before the DOM is ready
+window.MedridatoursTooltips = new TooltipManager();
@@ -0,0 +1,163 @@
+/**
+ * Vehicle Reviews - Pure JavaScript
+ * Links the published reviews to the catalog vehicles: rating on each fleet card,
+ * reviews in the vehicle detail view and the vehicle picker of the review form
+ * Version: 1.0.0
+ */
+
+class VehicleReviews {
+    constructor() {
+        this.catalog = window.fleetCatalog;
+        this.reviewSystem = window.reviewSystem;
+        this.i18n = window.MedridatoursI18n;
+        this.maxDetailReviews = 6; // Most recent reviews listed in the detail view
+
+        this.init();
+    }
+
+    init() {
+        this.populatePicker(document.querySelector('[data-vehicle-picker]'));
+
+        document.addEventListener('fleet:rendered', (e) => this.renderRatings(e.detail.container));
+        document.addEventListener('fleet:detail-opened', (e) => this.renderDetailSection(e.detail.container, e.detail.vehicle));
+        // A submission or another tab may have changed the published reviews
+        document.addEventListener('reviews:rendered', () => this.renderRatings(document));
+
+        // Cards rendered before this module was ready
+        this.renderRatings(document);
+    }
+
+    /**
+     * Fill the review form's vehicle picker from the fleet catalog
+     */
+    async populatePicker(select) {
+        if (!select) return;
+
+        try {
+            const vehicles = await this.catalog.load();
+            vehicles.forEach(vehicle => {
+                const option = document.createElement('option');
+                option.value = vehicle.id;
+                option.textContent = vehicle.name;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            // The picker stays optional with only its empty choice
+            console.error('Vehicle picker load error:', error);
+        }
+    }
+
+    /**
+     * Published reviews grouped by catalog vehicle id
+     */
+    async getReviewsByVehicle() {
+        await this.catalog.load();
+        const reviews = await this.reviewSystem.getPublishedReviews();
+
+        const byVehicle = new Map();
+        reviews.forEach(review => {
+            const vehicleId = this.getVehicleId(review);
+            if (!vehicleId) return;
+            if (!byVehicle.has(vehicleId)) byVehicle.set(vehicleId, []);
+            byVehicle.get(vehicleId).push(review);
+        });
+        return byVehicle;
+    }
+
+    /**
+     * Catalog id of the reviewed vehicle; older reviews are matched by vehicle name
+     */
+    getVehicleId(review) {
+        if (review.vehicleId && this.catalog.getVehicle(review.vehicleId)) {
+            return review.vehicleId;
+        }
+        const vehicle = this.catalog.findVehicleByName(review.vehicle);
+        return vehicle ? vehicle.id : null;
+    }
+
+    /**
+     * Average rating and review count on each card inside root
+     */
+    async renderRatings(root) {
+        const placeholders = root.querySelectorAll('[data-vehicle-rating]');
+        if (placeholders.length === 0) return;
+
+        let byVehicle;
+        try {
+            byVehicle = await this.getReviewsByVehicle();
+        } catch (error) {
+            console.error('Vehicle ratings load error:', error);
+            return;
+        }
+
+        placeholders.forEach(placeholder => {
+            const card = placeholder.closest('[data-vehicle-id]');
+            const reviews = (card && byVehicle.get(card.dataset.vehicleId)) || [];
+            placeholder.innerHTML = this.createRatingHTML(ReviewStats.compute(reviews));
+        });
+    }
+
+    createRatingHTML(stats) {
+        const t = (key, params) => this.i18n.t(`vehicleReviews.${key}`, params);
+        if (stats.count === 0) {
+            return `<span class="text-gray-400">${t('none')}</span>`;
+        }
+
+        const average = this.formatAverage(stats.average);
+        return `
+            <span aria-hidden="true">${ReviewStats.createStarsHTML(stats.average)}</span>
+            <span class="font-semibold text-gray-700" aria-hidden="true">${average}</span>
+            <span class="sr-only">${t('rating', { average })}</span>
+            <span class="text-gray-500">(${t('count', { count: stats.count })})</span>
+        `;
+    }
+
+    /**
+     * Reviews section of the vehicle detail view
+     */
+    async renderDetailSection(container, vehicle) {
+        const t = (key, params) => this.i18n.t(`vehicleReviews.${key}`, params);
+        const section = document.createElement('div');
+        section.innerHTML = `
+            <h3 class="text-lg font-semibold text-gray-800 mb-3">${t('title')}</h3>
+            <div data-vehicle-reviews>
+                <p class="text-sm text-gray-500"><i class="fas fa-spinner fa-spin mr-2"></i>${t('loading')}</p>
+            </div>
+        `;
+        container.appendChild(section);
+
+        const list = section.querySelector('[data-vehicle-reviews]');
+        try {
+            const reviews = (await this.getReviewsByVehicle()).get(vehicle.id) || [];
+            list.innerHTML = this.createDetailHTML(reviews);
+        } catch (error) {
+            console.error('Vehicle reviews load error:', error);
+            list.innerHTML = `<p class="text-sm text-gray-500">${t('error')}</p>`;
+        }
+    }
+
+    createDetailHTML(reviews) {
+        if (reviews.length === 0) {
+            return `<p class="text-sm text-gray-500">${this.i18n.t('vehicleReviews.empty')}</p>`;
+        }
+
+        return `
+            <div class="flex items-center gap-1 text-sm mb-3">${this.createRatingHTML(ReviewStats.compute(reviews))}</div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                ${reviews.slice(0, this.maxDetailReviews).map(review => this.reviewSystem.createReviewHTML(review)).join('')}
+            </div>
+        `;
+    }
+
+    formatAverage(average) {
+        return average.toLocaleString(this.i18n.getLocale(), {
+            minimumFractionDigits: 1,
+            maximumFractionDigits: 1
+        });
+    }
+}
+
+// Initialize the vehicle reviews when DOM is ready (after the fleet catalog and the review system)
+document.addEventListener('DOMContentLoaded', function() {
+    window.vehicleReviews = new VehicleReviews();
+});
@@ -0,0 +1,168 @@
+/**
+ * Service Worker - Pure JavaScript
+ * Precaches the site for visitors with a patchy connection and serves the offline page
+ * Version: 1.0.0
+ *
+ * Pages, scripts, styles and data are network-first, so a page never runs with scripts older than
+ * itself while online; the cache only answers offline. Reviews (Firebase) are not cached here:
+ * reviews-system.js keeps its own copy, and a cached copy would bring back deleted reviews.
+ * Bump CACHE_VERSION when a precached file is renamed or removed.
+ */
+
+const CACHE_VERSION = 'v2';
+const PRECACHE = `medridatours-precache-${CACHE_VERSION}`;
+const RUNTIME = `medridatours-runtime-${CACHE_VERSION}`;
+const OFFLINE_URL = '/offline/';
+
+const PRECACHE_URLS = [
+    // Pages
+    '/',
+    '/fleet/',
+    '/transport-touristique/',
+    '/about/',
+    '/contact/',
+    OFFLINE_URL,
+
+    // Styles, scripts and data
+    '/static/css/style.css',
+    '/static/js/notifications.js',
+    '/static/js/form-validation.js',
+    '/static/js/tooltip.js',
+    '/static/js/main.js',
+    '/static/js/i18n.js',
+    '/static/js/booking-message.js',
+    '/static/js/booking-form.js',
+    '/static/js/fleet-catalog.js',
+    '/static/js/fleet-filters.js',
+    '/static/js/availability.js',
+    '/static/js/quote-calculator.js',
+    '/static/js/review-moderation.js',
+    '/static/js/review-storage.js',
+    '/static/js/review-migrations.js',
+    '/static/js/review-guard.js',
+    '/static/js/review-outbox.js',
+    '/static/js/review-template.js',
+    '/static/js/review-photos.js',
+    '/static/js/review-verification.js',
+    '/static/js/reviews-system.js',
+    '/static/js/review-stats.js',
+    '/static/js/vehicle-reviews.js',
+    '/static/js/review-filters.js',
+    '/static/js/pwa.js',
+    '/static/data/fleet.json',
+    '/static/data/pricing.json',
+
+    // Logo and vehicle images
+    '/static/images/favicon.ico',
+    '/static/images/icon.svg',
+    '/static/images/LOGO%20NOIR%20.jpg',
+    '/static/images/dacia_logan.png',
+    '/static/images/dacia-duster.png',
+    '/static/images/hyundai_tukson.png',
+    '/static/images/dacia_lodgy.png',
+    '/static/images/Fiat%20500.png',
+    '/static/images/renault_clio%205.jpg',
+    '/static/images/peugot_208.png',
+    '/static/images/dacia_dokker.jpg',
+    '/static/images/Hyundai-i10.jpg',
+    '/static/images/Kia-Sportage.jpeg',
+    '/static/images/Jeep-Renegade.png'
+];
+
+// Styles and icons from CDNs, needed to render the cached pages
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdnjs.cloudflare.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Drop the caches of previous versions
+ */
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('medridatours-') && key !== PRECACHE && key !== RUNTIME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Pages: the latest version when online, the cached one or the offline page otherwise
+    if (request.mode === 'navigate') {
+        // ?lang=en pages are the same HTML, translated by i18n.js
+        event.respondWith(networkFirst(request, { ignoreSearch: true }).catch(() => caches.match(OFFLINE_URL)));
+        return;
+    }
+
+    // Bookings change all the time, an old calendar would mislead
+    if (url.pathname === '/static/data/availability.json') {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    // Images and CDN assets: answer from the cache and refresh it
+    if (request.destination === 'image' || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event));
+        return;
+    }
+
+    // Scripts, styles and data: the same version as the page when online
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Network first, cache as fallback
+ */
+async function networkFirst(request, matchOptions = {}) {
+    const cache = await caches.open(RUNTIME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, matchOptions);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Cached response right away, updated in the background for the next visit
+ */
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cache = await caches.open(RUNTIME);
+    // A refreshed copy in the runtime cache wins over the precached one
+    const cached = await cache.match(request) || await caches.match(request);
+
+    const update = fetch(request)
+        .then(response => {
+            // CDN scripts and styles load without CORS: their responses are opaque
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
@@ -0,0 +1,54 @@
+/**
+ * Vehicle availability against the local fixture (static/data/availability.json), without network
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createFetchSpy, serveRepositoryFiles, plain } = require('./load-scripts');
+
+const FIXTURE = '/static/data/availability.json';
+
+function setup(handler = serveRepositoryFiles) {
+    const fetch = createFetchSpy(handler);
+    const { get } = loadScripts(['static/js/availability.js'], { fetch });
+    const VehicleAvailability = get('VehicleAvailability');
+    return { fetch, availability: new VehicleAvailability({ type: 'static', url: FIXTURE }) };
+}
+
+test('booked ranges come from the static fixture', async () => {
+    const { availability, fetch } = setup();
+
+    assert.deepStrictEqual(plain(await availability.getBookedRanges('kia-sportage')), [
+        { start: '2026-10-24', end: '2026-10-26' },
+        { start: '2026-11-07', end: '2026-11-09' }
+    ]);
+    assert.deepStrictEqual(plain(await availability.getBookedRanges('fiat-500')), []);
+    // The file is read once for every vehicle
+    assert.equal(fetch.calls.length, 1);
+});
+
+test('a rental overlapping a booked range is refused, both ends included', async () => {
+    const { availability } = setup();
+
+    assert.equal(await availability.isRangeAvailable('kia-sportage', '2026-10-20', '2026-10-24'), false);
+    assert.equal(await availability.isRangeAvailable('kia-sportage', '2026-10-26', '2026-10-30'), false);
+    assert.equal(await availability.isRangeAvailable('kia-sportage', '2026-10-27', '2026-11-06'), true);
+});
+
+test('unknown availability never blocks a request', async () => {
+    const { availability } = setup(() => null);
+
+    assert.equal(await availability.getBookedRanges('kia-sportage'), null);
+    assert.equal(await availability.isRangeAvailable('kia-sportage', '2026-10-24', '2026-10-25'), true);
+});
+
+test('availability loads again after a failed request', async () => {
+    let online = false;
+    const { availability, fetch } = setup(url => online ? serveRepositoryFiles(url) : null);
+
+    assert.equal(await availability.getBookedRanges('dacia-duster'), null);
+
+    online = true;
+    assert.equal((await availability.getBookedRanges('dacia-duster')).length, 2);
+    assert.equal(fetch.calls.length, 2);
+});
@@ -0,0 +1,34 @@
+/**
+ * WhatsApp booking messages and wa.me links
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+function setup() {
+    const { window } = loadScripts(['static/js/booking-message.js']);
+    return window.MedridatoursBooking;
+}
+
+test('a note cut right before an emoji still gives a valid link', () => {
+    const booking = setup();
+    const notes = 'a'.repeat(118) + '🚗 merci';
+
+    const link = booking.buildLink({ topic: 'rental', notes, language: 'fr' });
+    const text = decodeURIComponent(link.split('?text=')[1]);
+
+    assert.ok(text.includes(`- Message : ${'a'.repeat(118)}🚗…`));
+});
+
+test('a message cut over its maximum length keeps whole emojis', () => {
+    const booking = setup();
+    booking.maxLength = 100;
+    booking.maxFieldLength = 500;
+    const notes = '🚗'.repeat(100);
+
+    const text = decodeURIComponent(booking.buildLink({ notes, language: 'fr' }).split('?text=')[1]);
+
+    assert.equal(Array.from(text).length, 100);
+    assert.ok(text.endsWith('🚗…'));
+});
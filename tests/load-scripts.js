@@ -0,0 +1,136 @@
+/**
+ * Test helper - loads the site's browser scripts into a sandbox
+ * Run the tests from the repository root with `node --test` (Node 18 or later): nothing to install.
+ *
+ * The scripts run in one vm context, as they would as <script> tags in one page, with the
+ * browser globals they need at load time replaced by small in-memory versions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * localStorage stand-in
+ */
+class MemoryStorage {
+    constructor(items = {}) {
+        this.items = new Map(Object.entries(items));
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * document without any element: events work, lookups find nothing
+ */
+function createDocument(elements = {}) {
+    const document = new EventTarget();
+    document.documentElement = { dir: 'ltr', lang: 'fr' };
+    document.getElementById = id => elements[id] || null;
+    document.querySelector = () => null;
+    document.querySelectorAll = () => [];
+    return document;
+}
+
+/**
+ * fetch that records every call and answers from handler(url, options) => { status, body }
+ * Without a handler, or when it returns nothing, the request fails like a network error.
+ */
+function createFetchSpy(handler = () => null) {
+    const calls = [];
+    const fetch = async (url, options = {}) => {
+        const call = { method: (options.method || 'GET').toUpperCase(), url: String(url), headers: options.headers || {}, body: options.body };
+        calls.push(call);
+
+        const answer = await handler(call.url, options);
+        if (!answer) throw new TypeError(`Network request failed: ${call.url}`);
+
+        const status = answer.status || 200;
+        const body = answer.body === undefined ? null : answer.body;
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            json: async () => JSON.parse(JSON.stringify(body)),
+            text: async () => typeof body === 'string' ? body : JSON.stringify(body)
+        };
+    };
+    fetch.calls = calls;
+    return fetch;
+}
+
+/**
+ * Answers with the file of the repository the URL points to (e.g. /static/data/availability.json)
+ */
+function serveRepositoryFiles(url) {
+    const file = path.join(ROOT, decodeURIComponent(new URL(url, 'http://localhost').pathname));
+    if (!file.startsWith(ROOT) || !fs.existsSync(file)) return { status: 404 };
+    return { status: 200, body: JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+/**
+ * Run files (paths from the repository root) in a fresh sandbox
+ * Returns { window, get(name) }: get reads top-level class and const declarations.
+ */
+function loadScripts(files, globals = {}) {
+    const windowEvents = new EventTarget();
+    const context = Object.assign({
+        console: { log() {}, warn() {}, error() {} },
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        EventTarget,
+        Event,
+        CustomEvent,
+        crypto: webcrypto,
+        location: new URL('https://medridatours.com/'),
+        navigator: { onLine: true, userAgent: 'node' },
+        localStorage: new MemoryStorage(),
+        document: createDocument(),
+        fetch: createFetchSpy(),
+        addEventListener: windowEvents.addEventListener.bind(windowEvents),
+        removeEventListener: windowEvents.removeEventListener.bind(windowEvents),
+        dispatchEvent: windowEvents.dispatchEvent.bind(windowEvents)
+    }, globals);
+    context.window = context;
+    vm.createContext(context);
+
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    return {
+        window: context,
+        get: name => vm.runInContext(name, context)
+    };
+}
+
+/**
+ * Copy made of this realm's objects, for assert.deepStrictEqual on values from the sandbox
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { MemoryStorage, createDocument, createFetchSpy, serveRepositoryFiles, loadScripts, plain };
@@ -0,0 +1,101 @@
+/**
+ * Review guard: each check on its own, then the reason codes of ReviewGuard.check
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const { get } = loadScripts(['static/js/review-guard.js']);
+const ReviewGuard = get('ReviewGuard');
+const JPEG = 'data:image/jpeg;base64,' + 'A'.repeat(400);
+
+test('honeypot: any value in the hidden field', () => {
+    assert.equal(ReviewGuard.isHoneypotFilled('https://spam.example'), true);
+    assert.equal(ReviewGuard.isHoneypotFilled('  '), false);
+    assert.equal(ReviewGuard.isHoneypotFilled(null), false);
+});
+
+test('fill time: too fast only when it was measured', () => {
+    assert.equal(ReviewGuard.isTooFast(1200, 5000), true);
+    assert.equal(ReviewGuard.isTooFast(8000, 5000), false);
+    // Autofill: the form was never focused
+    assert.equal(ReviewGuard.isTooFast(null, 5000), false);
+    assert.equal(ReviewGuard.isTooFast(undefined, 5000), false);
+    assert.equal(ReviewGuard.isTooFast(0, 5000), false);
+    assert.equal(ReviewGuard.isTooFast(10, 0), false);
+});
+
+test('links: schemes, www. and lowercase domains with a path', () => {
+    ['Voir https://promo.example', 'http://x.ma', 'WWW.PROMO.COM', 'visitez www.location-pas-chere.ma', 'bit.ly/abc', 'exemple.com/promo']
+        .forEach(text => assert.equal(ReviewGuard.containsLink(text), true, text));
+
+    ['Super voiture.Top service', 'Merci pour le service.Info claire', 'Agence propre.Je recommande', 'Très bien. Merci', '120 km/h sur l\'autoroute', 'medridatours.com']
+        .forEach(text => assert.equal(ReviewGuard.containsLink(text), false, text));
+});
+
+test('profanity in French, English, Arabic and Darija, whatever the accents and prefixes', () => {
+    ['Service de merde', 'ENCULÉ', 'what a fucking joke', 'وال قحبة', 'والقحبة', '9ahba']
+        .forEach(text => assert.equal(ReviewGuard.containsProfanity(text), true, text));
+
+    ['Merci beaucoup', 'Class act', 'شكرا جزيلا', 'Une conduite sans accroc']
+        .forEach(text => assert.equal(ReviewGuard.containsProfanity(text), false, text));
+});
+
+test('repeated letters, except Arabic laughter', () => {
+    assert.equal(ReviewGuard.hasRepeatedLetters('suuuuuuper', 5), true);
+    assert.equal(ReviewGuard.hasRepeatedLetters('suuuper', 5), false);
+    assert.equal(ReviewGuard.hasRepeatedLetters('خدمة ممتازة هههههههه', 5), false);
+    assert.equal(ReviewGuard.hasRepeatedLetters('2000000 dirhams', 5), false);
+});
+
+test('all caps only for texts long enough to tell', () => {
+    assert.equal(ReviewGuard.isMostlyCaps('SERVICE EXCELLENT JE RECOMMANDE', 0.7, 20), true);
+    assert.equal(ReviewGuard.isMostlyCaps('TOP', 0.7, 20), false);
+    assert.equal(ReviewGuard.isMostlyCaps('Service excellent, je recommande vivement', 0.7, 20), false);
+    assert.equal(ReviewGuard.isMostlyCaps('خدمة ممتازة جدا وسيارة نظيفة ومريحة', 0.7, 20), false);
+});
+
+test('photos: resized JPEG data URLs only, within the limits', () => {
+    assert.equal(ReviewGuard.hasInvalidPhotos(undefined), false);
+    assert.equal(ReviewGuard.hasInvalidPhotos([{ src: JPEG }]), false);
+    assert.equal(ReviewGuard.hasInvalidPhotos('photo'), true);
+    assert.equal(ReviewGuard.hasInvalidPhotos([{ src: JPEG }, { src: JPEG }, { src: JPEG }, { src: JPEG }]), true);
+    assert.equal(ReviewGuard.hasInvalidPhotos([{ src: 'javascript:alert(1)' }]), true);
+    assert.equal(ReviewGuard.hasInvalidPhotos([{ src: 'data:text/html;base64,PHNjcmlwdD4=' }]), true);
+    assert.equal(ReviewGuard.hasInvalidPhotos([{ src: 'data:image/svg+xml;base64,PHN2Zz4=' }]), true);
+});
+
+test('photos: the record only holds thumbnails, the full-size photo has its own limit', () => {
+    const sized = length => 'data:image/jpeg;base64,' + 'A'.repeat(length - 23);
+
+    assert.equal(ReviewGuard.hasInvalidPhotos([{ src: JPEG, full: sized(200 * 1024) }]), false);
+    assert.equal(ReviewGuard.hasInvalidPhotos([{ src: sized(200 * 1024) }]), true);
+    assert.equal(ReviewGuard.hasInvalidPhotos([{ src: JPEG, full: sized(300 * 1024) }]), true);
+    assert.equal(ReviewGuard.hasInvalidPhotos([{ src: JPEG, full: 'javascript:alert(1)' }]), true);
+});
+
+test('check resolves with the reason code of the first failed check', async () => {
+    const guard = new ReviewGuard();
+    const review = { name: 'Karim', content: 'Très bonne expérience, voiture propre.' };
+
+    assert.deepStrictEqual({ ...await guard.check(review, { fillTime: 9000 }) }, { ok: true, reason: null });
+    assert.equal((await guard.check(review, { honeypot: 'x', fillTime: 9000 })).reason, 'honeypot');
+    assert.equal((await guard.check(review, { fillTime: 800 })).reason, 'tooFast');
+    assert.equal((await guard.check(review, { fillTime: null })).ok, true);
+    assert.equal((await guard.check({ name: 'K', content: 'Promo sur www.example.com' }, {})).reason, 'link');
+    assert.equal((await guard.check({ name: 'K', content: 'Trop coooooool' }, {})).reason, 'repeatedCharacters');
+});
+
+test('check asks the CAPTCHA hook last and refuses when it fails', async () => {
+    const calls = [];
+    const captcha = answer => ({ verify: async review => { calls.push(review.name); return answer; } });
+    const review = { name: 'Karim', content: 'Très bonne expérience.' };
+
+    assert.equal((await new ReviewGuard({ captcha: captcha(true) }).check(review, {})).ok, true);
+    assert.equal((await new ReviewGuard({ captcha: captcha(false) }).check(review, {})).reason, 'captcha');
+    assert.equal((await new ReviewGuard({ captcha: { verify: async () => { throw new Error('down'); } } }).check(review, {})).reason, 'captcha');
+    // A review refused earlier never reaches the CAPTCHA
+    await new ReviewGuard({ captcha: captcha(true) }).check({ name: 'Spam', content: 'https://spam.example' }, {});
+    assert.deepStrictEqual(calls, ['Karim', 'Karim']);
+});
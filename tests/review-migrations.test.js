@@ -0,0 +1,108 @@
+/**
+ * Review migrations: a first-time visitor never writes to, or deletes from, the shared review store
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createDocument, createFetchSpy, MemoryStorage, plain } = require('./load-scripts');
+
+const REVIEW_SCRIPTS = [
+    'static/js/i18n.js',
+    'static/js/review-moderation.js',
+    'static/js/review-storage.js',
+    'static/js/review-migrations.js',
+    'static/js/review-guard.js',
+    'static/js/review-outbox.js',
+    'static/js/review-template.js',
+    'static/js/review-verification.js',
+    'static/js/reviews-system.js'
+];
+const FIREBASE = 'https://medridatours-reviews-default-rtdb.firebaseio.com';
+const REMOTE_REVIEWS = [
+    { id: 'r1', name: 'Amine', content: 'Voiture propre et agence très sérieuse', rating: 5, timestamp: '2026-09-01T10:00:00.000Z' },
+    { id: 'r2', name: 'Sara', content: 'Accueil parfait à l\'aéroport', rating: 4, timestamp: '2026-08-15T10:00:00.000Z' }
+];
+
+/**
+ * A first visit: empty localStorage, the reviews grid on the page, requests recorded by the fetch spy
+ */
+function visit(handler) {
+    const fetch = createFetchSpy(handler);
+    const localStorage = new MemoryStorage();
+    const document = createDocument({ 'reviews-grid': { innerHTML: '' } });
+    const sandbox = loadScripts(REVIEW_SCRIPTS, { fetch, localStorage, document });
+    return { fetch, localStorage, sandbox };
+}
+
+/**
+ * Wait for ReviewSystem.init(), started by the constructor, to display the reviews
+ */
+function initialized(sandbox) {
+    return new Promise(resolve => sandbox.window.document.addEventListener('reviews:rendered', resolve, { once: true }));
+}
+
+const isDestructive = call => call.method !== 'GET';
+
+test('init on a first visit leaves the shared memory store untouched', async () => {
+    const { fetch, localStorage, sandbox } = visit(() => ({ body: {} }));
+    const ReviewSystem = sandbox.get('ReviewSystem');
+    assert.equal(localStorage.getItem('firebase_migration_complete'), null);
+
+    const system = new ReviewSystem({ storage: { type: 'memory', reviews: REMOTE_REVIEWS } });
+    await initialized(sandbox);
+
+    assert.ok(system.store instanceof sandbox.get('MemoryReviewStore'));
+    assert.deepStrictEqual(plain(await system.store.load()), REMOTE_REVIEWS);
+    assert.deepStrictEqual(fetch.calls.filter(isDestructive), []);
+    // Only the copy on this device was migrated
+    assert.equal(localStorage.getItem('medridatours_reviews_schema_version'), '2');
+});
+
+test('init on a first visit only reads from Firebase', async () => {
+    const { fetch, localStorage, sandbox } = visit(url => {
+        if (url === `${FIREBASE}/reviews.json`) return { body: { r1: REMOTE_REVIEWS[0], r2: REMOTE_REVIEWS[1] } };
+        if (url === `${FIREBASE}/moderation.json`) return { body: { r1: { status: 'approved', changes: {} } } };
+        return null;
+    });
+    const ReviewSystem = sandbox.get('ReviewSystem');
+
+    new ReviewSystem({ storage: { type: 'firebase', url: `${FIREBASE}/reviews` } });
+    const event = await initialized(sandbox);
+
+    assert.deepStrictEqual(fetch.calls.filter(isDestructive), []);
+    assert.ok(fetch.calls.some(call => call.url === `${FIREBASE}/reviews.json`));
+    assert.deepStrictEqual(plain(event.detail.reviews.map(review => review.id)), ['r1']);
+    // The local copy holds the remote reviews, it never replaces them
+    assert.deepStrictEqual(JSON.parse(localStorage.getItem('medridatours_reviews')).map(review => review.id), ['r1', 'r2']);
+});
+
+test('migrations refuse a store they cannot rewrite locally', async () => {
+    const { sandbox } = visit(() => null);
+    const ReviewMigrations = sandbox.get('ReviewMigrations');
+    const FirebaseReviewStore = sandbox.get('FirebaseReviewStore');
+
+    await assert.rejects(new ReviewMigrations(new FirebaseReviewStore(`${FIREBASE}/reviews`)).run(), /only run on local data/);
+    assert.deepStrictEqual(sandbox.window.fetch.calls, []);
+});
+
+test('migrations drop demo reviews and normalize old records once', async () => {
+    const { sandbox, localStorage } = visit(() => null);
+    const MemoryReviewStore = sandbox.get('MemoryReviewStore');
+    const ReviewMigrations = sandbox.get('ReviewMigrations');
+    const store = new MemoryReviewStore([
+        { id: 'sample_1', name: 'Fatima Zahra', content: 'Demo', rating: 5, timestamp: '2026-01-01T00:00:00.000Z' },
+        { id: 'old', name: 'Karim', message: 'Ancien format', vehicle_rented: 'Dacia Logan', date: '2025-05-01' }
+    ]);
+
+    assert.equal(await new ReviewMigrations(store).run(), 2);
+    const [review, ...others] = await store.load();
+    assert.equal(others.length, 0);
+    assert.equal(review.content, 'Ancien format');
+    assert.equal(review.vehicle, 'Dacia Logan');
+
+    // Already at the latest version: nothing runs again
+    localStorage.setItem('medridatours_reviews_schema_version', '2');
+    await store.save({ id: 'sample_2', name: 'X', content: 'Kept', rating: 5, timestamp: '2026-01-02T00:00:00.000Z' });
+    await new ReviewMigrations(store).run();
+    assert.equal((await store.load()).length, 2);
+});
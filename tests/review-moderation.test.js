@@ -0,0 +1,116 @@
+/**
+ * Moderation decisions: read by every visitor, written only by a signed-in admin
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createFetchSpy } = require('./load-scripts');
+
+const DECISIONS_URL = 'https://medridatours-reviews-default-rtdb.firebaseio.com/moderation.json';
+const REVIEWS = [
+    { id: 'a', name: 'Amine', content: 'Très bonne voiture' },
+    { id: 'b', name: 'Sara', content: 'Bon service' },
+    { id: 'c', name: 'Spam', content: 'Achetez ici' }
+];
+
+function setup(handler, globals = {}) {
+    const fetch = createFetchSpy(handler);
+    const sandbox = loadScripts(['static/js/review-moderation.js'], Object.assign({ fetch }, globals));
+    return { fetch, sandbox, moderation: sandbox.window.reviewModeration };
+}
+
+test('the live site reads the decisions from Firebase, not from the admin\'s browser', async () => {
+    const { moderation, fetch } = setup(url => url === DECISIONS_URL ? {
+        body: { a: { status: 'approved', changes: {}, reply: null }, c: { status: 'rejected', changes: {} } }
+    } : null);
+
+    const published = await moderation.getPublished(REVIEWS);
+    assert.deepStrictEqual(published.map(review => review.id), ['a']);
+    // A first-time visitor sends no credentials
+    assert.deepStrictEqual(fetch.calls.map(call => `${call.method} ${call.url}`), [`GET ${DECISIONS_URL}`]);
+});
+
+test('the status written on the review itself is ignored', async () => {
+    const { moderation } = setup(() => ({ body: null }));
+
+    const published = await moderation.getPublished([{ id: 'x', name: 'X', content: 'Forged', status: 'approved' }]);
+    assert.equal(published.length, 0);
+});
+
+test('the last decisions read are used when Firebase cannot be reached', async () => {
+    let online = true;
+    const { moderation } = setup(() => online ? { body: { a: { status: 'approved', changes: {} } } } : null);
+
+    await moderation.getPublished(REVIEWS);
+    online = false;
+    assert.deepStrictEqual((await moderation.getPublished(REVIEWS)).map(review => review.id), ['a']);
+});
+
+test('decisions cannot be written before signing in', async () => {
+    const { moderation, fetch } = setup(() => ({ body: {} }));
+
+    await assert.rejects(moderation.approve('b'), /Not signed in/);
+    assert.ok(fetch.calls.every(call => call.method === 'GET'));
+});
+
+test('the admin password is checked by Firebase Authentication', async () => {
+    const { moderation, fetch } = setup((url, options) => {
+        if (url.startsWith('https://identitytoolkit.googleapis.com/')) {
+            const { password } = JSON.parse(options.body);
+            return password === 'correct' ?
+                { body: { idToken: 'token-1', refreshToken: 'refresh-1', expiresIn: '3600' } } :
+                { status: 400, body: { error: { message: 'INVALID_PASSWORD' } } };
+        }
+        return { body: {} };
+    });
+    moderation.backend.apiKey = 'web-api-key';
+
+    assert.equal(await moderation.authenticate('admin@example.com', 'wrong'), false);
+    assert.equal(await moderation.authenticate('admin@example.com', 'correct'), true);
+
+    await moderation.approve('b');
+    const write = fetch.calls.find(call => call.method === 'PUT');
+    assert.equal(write.url, 'https://medridatours-reviews-default-rtdb.firebaseio.com/moderation/b.json?auth=token-1');
+    assert.equal(JSON.parse(write.body).status, 'approved');
+});
+
+test('without a Web API key nobody can sign in', async () => {
+    const { moderation, fetch } = setup(() => ({ body: {} }));
+
+    assert.equal(await moderation.authenticate('admin@example.com', 'anything'), false);
+    assert.equal(fetch.calls.length, 0);
+    assert.match(moderation.getConfigurationError(), /Web API key missing/);
+
+    moderation.backend.apiKey = 'web-api-key';
+    assert.equal(moderation.getConfigurationError(), null);
+});
+
+test('the admin page shows the configuration error instead of a sign-in form that cannot work', () => {
+    const { get } = loadScripts(['static/js/review-moderation.js', 'static/js/review-admin.js']);
+    const section = { innerHTML: '<form id="admin-login"></form>' };
+    const root = { querySelector: selector => selector === '#admin-login-section' ? section : null };
+
+    new (get('ReviewAdmin'))(root);
+    assert.match(section.innerHTML, /role="alert"/);
+    assert.match(section.innerHTML, /clé d'API Web Firebase est manquante/);
+    assert.ok(!section.innerHTML.includes('<form'));
+});
+
+test('the localStorage mock only runs on a development server', () => {
+    const live = setup(() => null).sandbox;
+    const local = setup(() => null, { location: new URL('http://localhost:8000/admin/') }).sandbox;
+
+    assert.ok(live.window.reviewModeration.backend instanceof live.get('FirebaseModerationBackend'));
+    assert.ok(local.window.reviewModeration.backend instanceof local.get('MockModerationBackend'));
+});
+
+test('edits only keep the editable fields', async () => {
+    const { sandbox } = setup(() => null, { location: new URL('http://localhost/') });
+    const moderation = sandbox.window.reviewModeration;
+
+    await moderation.edit('a', { content: ' Corrigé ', status: 'approved', rating: 1 });
+    const [review] = await moderation.apply(REVIEWS);
+    assert.equal(review.content, 'Corrigé');
+    assert.equal(review.status, 'pending');
+    assert.equal(review.rating, undefined);
+});
@@ -0,0 +1,59 @@
+/**
+ * Review outbox: temporary failures are retried, reviews the store refuses are dropped and reported
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createFetchSpy, plain } = require('./load-scripts');
+
+const FIREBASE = 'https://medridatours-reviews-default-rtdb.firebaseio.com';
+const REVIEW = { id: 'r1', name: 'Amine', content: 'Voiture propre', rating: 5, timestamp: '2026-10-01T10:00:00.000Z' };
+
+/**
+ * Outbox sending to the Firebase store, which answers every save with the given status
+ */
+function setup(status) {
+    const fetch = createFetchSpy(() => ({ status, body: null }));
+    const { window, get } = loadScripts(['static/js/review-storage.js', 'static/js/review-outbox.js'], { fetch });
+    const store = new (get('FirebaseReviewStore'))(`${FIREBASE}/reviews`);
+    const refused = [];
+    window.document.addEventListener('reviews:outbox-refused', event => refused.push(event.detail));
+    return { fetch, refused, outbox: new (get('ReviewOutbox'))(store) };
+}
+
+test('store errors carry the HTTP status', async () => {
+    const { outbox } = setup(403);
+    await assert.rejects(outbox.store.save(REVIEW), error => error.status === 403);
+});
+
+test('a review the database refuses is dropped and reported', async () => {
+    const { outbox, refused, fetch } = setup(403);
+    await outbox.add(REVIEW);
+    clearTimeout(outbox.timer);
+
+    await outbox.flush({ force: true });
+
+    assert.equal(fetch.calls.length, 1);
+    assert.equal(await outbox.count(), 0);
+    assert.deepStrictEqual(plain(refused), [{ review: REVIEW, status: 403 }]);
+    clearTimeout(outbox.timer);
+});
+
+test('server errors, timeouts and rate limits are retried later', async () => {
+    for (const status of [500, 408, 429]) {
+        const { outbox, refused } = setup(status);
+        await outbox.add(REVIEW);
+        await outbox.flush({ force: true });
+        clearTimeout(outbox.timer);
+
+        const [entry] = await outbox.getAll();
+        assert.equal(entry.attempts, 1, String(status));
+        assert.ok(entry.nextAttemptAt > Date.now(), String(status));
+        assert.deepStrictEqual(refused, [], String(status));
+    }
+});
+
+test('a network failure is retried later', async () => {
+    const { get } = loadScripts(['static/js/review-outbox.js']);
+    assert.equal(get('ReviewOutbox').isRefusal(new TypeError('Failed to fetch')), false);
+});
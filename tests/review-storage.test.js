@@ -0,0 +1,275 @@
+/**
+ * Review stores: records hold thumbnails only, full-size photos are stored apart and loaded on demand
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createDocument, createFetchSpy, MemoryStorage, plain } = require('./load-scripts');
+
+const REVIEW_SCRIPTS = [
+    'static/js/i18n.js',
+    'static/js/review-moderation.js',
+    'static/js/review-storage.js',
+    'static/js/review-migrations.js',
+    'static/js/review-guard.js',
+    'static/js/review-outbox.js',
+    'static/js/review-template.js',
+    'static/js/review-verification.js',
+    'static/js/reviews-system.js',
+    'static/js/review-console.js'
+];
+const FIREBASE = 'https://medridatours-reviews-default-rtdb.firebaseio.com';
+const THUMBNAIL = 'data:image/jpeg;base64,' + 'T'.repeat(1000);
+const FULL = 'data:image/jpeg;base64,' + 'F'.repeat(100000);
+const REVIEW = {
+    id: 'r1', name: 'Amine', content: 'Voiture propre', rating: 5, timestamp: '2026-10-01T10:00:00.000Z',
+    photos: [{ src: THUMBNAIL, full: FULL, width: 1024, height: 768 }]
+};
+
+function load(globals = {}) {
+    return loadScripts(REVIEW_SCRIPTS, Object.assign({ document: createDocument({ 'reviews-grid': { innerHTML: '' } }) }, globals));
+}
+
+test('Firebase stores the full-size photos apart, in the same write as the record', async () => {
+    const fetch = createFetchSpy(() => ({ body: null }));
+    const { get } = load({ fetch });
+    const store = new (get('FirebaseReviewStore'))(`${FIREBASE}/reviews`);
+
+    await store.save(REVIEW);
+
+    assert.deepStrictEqual(fetch.calls.map(call => `${call.method} ${call.url}`), [`PATCH ${FIREBASE}/.json`]);
+    const update = JSON.parse(fetch.calls[0].body);
+    assert.deepStrictEqual(Object.keys(update), ['reviews/r1', 'review-photos/r1']);
+    assert.deepStrictEqual(update['review-photos/r1'], [FULL]);
+    assert.deepStrictEqual(update['reviews/r1'].photos, [{ src: THUMBNAIL, width: 1024, height: 768 }]);
+    assert.ok(JSON.stringify(update['reviews/r1']).length < 2000);
+});
+
+test('a failed save with photos is retried as the same single write', async () => {
+    let failures = 1;
+    const fetch = createFetchSpy(() => failures-- > 0 ? { status: 500 } : { body: null });
+    const { get } = load({ fetch });
+    const store = new (get('FirebaseReviewStore'))(`${FIREBASE}/db/reviews`, `${FIREBASE}/db/photos`);
+
+    await assert.rejects(store.save(REVIEW), /500/);
+    await store.save(REVIEW, { authToken: 'admin-token' });
+
+    assert.deepStrictEqual(fetch.calls.map(call => `${call.method} ${call.url}`), [
+        `PATCH ${FIREBASE}/db/.json`,
+        `PATCH ${FIREBASE}/db/.json?auth=admin-token`
+    ]);
+    assert.deepStrictEqual(Object.keys(JSON.parse(fetch.calls[1].body)), ['reviews/r1', 'photos/r1']);
+});
+
+test('the visitor\'s details are kept out of the public record', async () => {
+    const fetch = createFetchSpy(() => ({ body: null }));
+    const { get } = load({ fetch });
+    const store = new (get('FirebaseReviewStore'))(`${FIREBASE}/reviews`);
+
+    await store.save(Object.assign({}, REVIEW, { photos: [], email: 'amine@example.com', userAgent: 'Firefox', sessionId: 's1' }));
+
+    assert.deepStrictEqual(fetch.calls.map(call => `${call.method} ${call.url}`), [`PATCH ${FIREBASE}/.json`]);
+    const update = JSON.parse(fetch.calls[0].body);
+    assert.deepStrictEqual(Object.keys(update), ['reviews/r1', 'review-private/r1']);
+    assert.deepStrictEqual(update['review-private/r1'], { email: 'amine@example.com', userAgent: 'Firefox', sessionId: 's1' });
+    ['email', 'userAgent', 'sessionId'].forEach(field => assert.ok(!(field in update['reviews/r1']), field));
+});
+
+test('Firebase loads one full-size photo on demand', async () => {
+    const fetch = createFetchSpy(url => url === `${FIREBASE}/review-photos/r1/0.json` ? { body: FULL } : { status: 404 });
+    const { get } = load({ fetch });
+    const store = new (get('FirebaseReviewStore'))(`${FIREBASE}/reviews`);
+
+    assert.equal(await store.loadPhoto('r1', 0), FULL);
+    await assert.rejects(store.loadPhoto('r1', 1), /404/);
+});
+
+test('a review without photos is stored as one write', async () => {
+    const fetch = createFetchSpy(() => ({ body: null }));
+    const { get } = load({ fetch });
+    const store = new (get('FirebaseReviewStore'))(`${FIREBASE}/reviews`, `${FIREBASE}/photos`);
+
+    await store.save(Object.assign({}, REVIEW, { photos: [] }));
+    assert.deepStrictEqual(fetch.calls.map(call => call.url), [`${FIREBASE}/reviews/r1.json`]);
+});
+
+test('the copy on this device keeps the thumbnails only', async () => {
+    const localStorage = new MemoryStorage();
+    const { get } = load({ localStorage });
+    const store = new (get('LocalStorageReviewStore'))('reviews');
+
+    await store.save(REVIEW);
+
+    assert.ok(!localStorage.getItem('reviews').includes('FFFF'));
+    assert.deepStrictEqual(plain(await store.load())[0].photos, [{ src: THUMBNAIL, width: 1024, height: 768 }]);
+    assert.equal(store.loadPhoto, undefined);
+});
+
+test('the lightbox gets the full-size photo once, and nothing but a JPEG data URL', async () => {
+    const sandbox = load({ fetch: createFetchSpy(() => ({ body: {} })) });
+    const rendered = new Promise(resolve => sandbox.window.document.addEventListener('reviews:rendered', resolve, { once: true }));
+    const system = new (sandbox.get('ReviewSystem'))({ storage: { type: 'memory' } });
+    await rendered;
+
+    await system.store.save(REVIEW);
+    await system.store.save(Object.assign({}, REVIEW, { id: 'r2', photos: [{ src: THUMBNAIL, full: 'javascript:alert(1)' }] }));
+    let loads = 0;
+    const loadPhoto = system.store.loadPhoto.bind(system.store);
+    system.store.loadPhoto = (...args) => { loads++; return loadPhoto(...args); };
+
+    assert.equal(await system.loadPhoto('r1', 0), FULL);
+    assert.equal(await system.loadPhoto('r1', 0), FULL);
+    assert.equal(loads, 1);
+    assert.equal(await system.loadPhoto('r1', 2), null);
+    assert.equal(await system.loadPhoto('r2', 0), null);
+    assert.deepStrictEqual(plain(await system.store.load())[0].photos, [{ src: THUMBNAIL }]);
+});
+
+test('review cards carry the thumbnails and the review id for the lightbox', async () => {
+    const sandbox = load({ fetch: createFetchSpy(() => ({ body: {} })) });
+    const rendered = new Promise(resolve => sandbox.window.document.addEventListener('reviews:rendered', resolve, { once: true }));
+    const system = new (sandbox.get('ReviewSystem'))({ storage: { type: 'memory' } });
+    await rendered;
+
+    const markup = system.createReviewHTML(sandbox.get('ReviewSystem').normalizeReview(REVIEW));
+    assert.ok(markup.includes('data-review-photos="r1"'));
+    assert.ok(markup.includes(`src="${THUMBNAIL}"`));
+    assert.ok(!markup.includes('FFFF'));
+});
+
+/**
+ * Review system on the Firebase store of the live site; the handler answers the Firebase requests
+ */
+async function liveSystem(handler) {
+    const fetch = createFetchSpy((url, options) => {
+        if (url.startsWith('https://identitytoolkit.googleapis.com/')) {
+            return { body: { idToken: 'admin-token', refreshToken: 'refresh', expiresIn: '3600' } };
+        }
+        return handler(url, options);
+    });
+    const sandbox = load({ fetch });
+    sandbox.window.reviewModeration.backend.apiKey = 'web-api-key';
+    const rendered = new Promise(resolve => sandbox.window.document.addEventListener('reviews:rendered', resolve, { once: true }));
+    const system = new (sandbox.get('ReviewSystem'))({ storage: { type: 'firebase', url: `${FIREBASE}/reviews` } });
+    await rendered;
+    fetch.calls.length = 0;
+    return { fetch, sandbox, system };
+}
+
+const isWrite = call => call.method !== 'GET';
+
+test('deletes are never sent anonymously', async () => {
+    const { fetch, system } = await liveSystem(() => ({ body: null }));
+    await system.localStore.save(REVIEW);
+
+    assert.equal(await system.deleteReviews(['r1']), false);
+    assert.deepStrictEqual(fetch.calls.filter(isWrite), []);
+    // The copy on this device is still cleaned up
+    assert.deepStrictEqual(plain(await system.localStore.load()), []);
+});
+
+test('a signed-in admin deletes the review, its photos and details with the admin token', async () => {
+    const { fetch, sandbox, system } = await liveSystem(() => ({ body: null }));
+    await sandbox.window.reviewModeration.authenticate('admin@example.com', 'password');
+
+    assert.equal(await system.deleteReviews(['r1']), true);
+    assert.deepStrictEqual(fetch.calls.filter(call => call.method === 'DELETE').map(call => call.url), [
+        `${FIREBASE}/reviews/r1.json?auth=admin-token`,
+        `${FIREBASE}/review-photos/r1.json?auth=admin-token`,
+        `${FIREBASE}/review-private/r1.json?auth=admin-token`
+    ]);
+});
+
+test('imports need a signed-in admin and carry the admin token', async () => {
+    const records = [
+        { id: 'i1', name: 'Nadia', content: 'Très bien', rating: 5, timestamp: '2026-09-01T10:00:00.000Z' },
+        { id: 'i2', name: 'Omar', content: 'Parfait', rating: 4, timestamp: '2026-09-02T10:00:00.000Z' }
+    ];
+    // The database refuses i2, e.g. an id already taken
+    const { fetch, sandbox, system } = await liveSystem(url => url.includes('/reviews/i2.json') ? { status: 401 } : { body: null });
+
+    await assert.rejects(system.importReviews(records), /Not signed in/);
+    assert.deepStrictEqual(fetch.calls.filter(isWrite), []);
+
+    await sandbox.window.reviewModeration.authenticate('admin@example.com', 'password');
+    const result = await system.importReviews(records);
+
+    assert.deepStrictEqual(plain(result.imported.map(review => review.id)), ['i1']);
+    assert.equal(result.failed, 1);
+    const writes = fetch.calls.filter(call => isWrite(call) && call.url.startsWith(FIREBASE));
+    assert.deepStrictEqual(writes.map(call => call.url), [
+        `${FIREBASE}/reviews/i1.json?auth=admin-token`,
+        `${FIREBASE}/reviews/i2.json?auth=admin-token`
+    ]);
+    assert.deepStrictEqual(plain(await system.localStore.load()).map(review => review.id), ['i1']);
+});
+
+test('a JSON export imported again keeps the verified badge, but not the booking reference', async () => {
+    const decisions = { r1: { status: 'approved', changes: {}, reply: null, verified: true } };
+    const { fetch, sandbox, system } = await liveSystem((url, options) => {
+        const decision = url.match(/\/moderation\/([^/.]+)\.json/);
+        if (decision && options.method === 'PUT') decisions[decision[1]] = JSON.parse(options.body);
+        return { body: url === `${FIREBASE}/moderation.json` ? decisions : null };
+    });
+    await sandbox.window.reviewModeration.authenticate('admin@example.com', 'password');
+    const ReviewConsole = sandbox.get('ReviewConsole');
+
+    // Export what the admin view shows
+    let backup = '';
+    sandbox.get('ReviewSystem').download = (filename, content) => { backup = content; };
+    const shown = await sandbox.window.reviewModeration.apply([Object.assign({}, REVIEW, { photos: [], bookingReference: 'MDT-7K4QP-2XM9D' })]);
+    ReviewConsole.prototype.export.call({ getVisible: () => shown }, 'json');
+
+    // Restore it into an empty database
+    delete decisions.r1;
+    fetch.calls.length = 0;
+    sandbox.window.MedridatoursNotifications = { success() {}, warning() {}, error() {} };
+    sandbox.window.reviewSystem = system;
+    const reviewConsole = Object.assign(Object.create(ReviewConsole.prototype), {
+        moderation: sandbox.window.reviewModeration,
+        maxImportSize: 1024 * 1024,
+        admin: { load: async () => {} }
+    });
+    await reviewConsole.import({ size: backup.length, text: async () => backup });
+
+    assert.equal(decisions.r1.status, 'approved');
+    assert.equal(decisions.r1.verified, true);
+    const record = fetch.calls.find(call => call.url.startsWith(`${FIREBASE}/reviews/r1.json`));
+    assert.ok(record);
+    assert.ok(!record.body.includes('MDT-7K4QP-2XM9D'));
+    assert.deepStrictEqual(plain(await system.localStore.load()).map(review => review.id), ['r1']);
+});
+
+test('the REST store sends the admin token as a bearer token', async () => {
+    const fetch = createFetchSpy(() => ({ body: null }));
+    const { get } = load({ fetch });
+    const store = new (get('RestReviewStore'))('https://api.example/reviews/');
+
+    await store.remove('r1', { authToken: 'admin-token' });
+    await store.save(REVIEW, { authToken: 'admin-token' });
+    await store.save(REVIEW);
+
+    assert.deepStrictEqual(fetch.calls.map(call => `${call.method} ${call.url} ${call.headers.Authorization || '-'}`), [
+        'DELETE https://api.example/reviews/r1 Bearer admin-token',
+        'PUT https://api.example/reviews/r1/photos Bearer admin-token',
+        'POST https://api.example/reviews/ Bearer admin-token',
+        'PUT https://api.example/reviews/r1/photos -',
+        'POST https://api.example/reviews/ -'
+    ]);
+});
+
+test('admins see the visitor\'s details, read with the admin token', async () => {
+    const { fetch, sandbox, system } = await liveSystem(url => {
+        if (url === `${FIREBASE}/reviews.json`) return { body: { r1: { id: 'r1', name: 'Amine', content: 'Voiture propre', rating: 5, timestamp: '2026-10-01T10:00:00.000Z' } } };
+        if (url === `${FIREBASE}/review-private.json?auth=admin-token`) return { body: { r1: { email: 'amine@example.com', userAgent: 'Firefox' } } };
+        return { body: null };
+    });
+
+    assert.equal((await system.getAdminReviews())[0].email, '');
+    assert.ok(!fetch.calls.some(call => call.url.includes('/review-private')));
+
+    await sandbox.window.reviewModeration.authenticate('admin@example.com', 'password');
+    const [review] = await system.getAdminReviews();
+    assert.equal(review.email, 'amine@example.com');
+    assert.equal(review.userAgent, 'Firefox');
+});
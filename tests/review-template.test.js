@@ -0,0 +1,161 @@
+/**
+ * Review templates: whatever a visitor writes in a review is rendered as text, never as markup
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createDocument, createFetchSpy } = require('./load-scripts');
+
+const JPEG = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAEBAQ==';
+const PAYLOADS = [
+    '<script>alert(1)</script>',
+    '<img src=x onerror=alert(1)>',
+    '"><svg onload=alert(1)>',
+    '\' onmouseover=\'alert(1)',
+    '`${alert(1)}`'
+];
+const UNSAFE_SOURCES = [
+    'javascript:alert(1)',
+    'JaVaScRiPt:alert(1)',
+    'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+    'data:text/html,<script>alert(1)</script>',
+    'data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+',
+    `${JPEG}" onerror="alert(1)`,
+    'https://tracker.example/pixel.jpg'
+];
+
+const { window, get } = loadScripts([
+    'static/js/i18n.js',
+    'static/js/review-moderation.js',
+    'static/js/review-storage.js',
+    'static/js/review-migrations.js',
+    'static/js/review-guard.js',
+    'static/js/review-outbox.js',
+    'static/js/review-template.js',
+    'static/js/review-verification.js',
+    'static/js/reviews-system.js'
+], {
+    fetch: createFetchSpy(() => ({ body: {} })),
+    document: createDocument({ 'reviews-grid': { innerHTML: '' } })
+});
+const ReviewTemplate = get('ReviewTemplate');
+const html = ReviewTemplate.html;
+
+/**
+ * Names of the elements in the markup: escaped payloads add none
+ */
+function tags(markup) {
+    return [...String(markup).matchAll(/<([a-z]+)\b/gi)].map(match => match[1].toLowerCase());
+}
+
+function photoSources(markup) {
+    return [...String(markup).matchAll(/<img src="([^"]*)"/g)].map(match => match[1]);
+}
+
+async function createSystem() {
+    const rendered = new Promise(resolve => window.document.addEventListener('reviews:rendered', resolve, { once: true }));
+    const system = new (get('ReviewSystem'))({ storage: { type: 'memory', reviews: [] } });
+    await rendered;
+    return system;
+}
+
+test('escape turns every markup character into an entity', () => {
+    assert.equal(ReviewTemplate.escape('<a href="x" title=\'y\'>`&`</a>'),
+        '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&#96;&amp;&#96;&lt;/a&gt;');
+    assert.equal(ReviewTemplate.escape(null), '');
+    assert.equal(ReviewTemplate.escape(undefined), '');
+    assert.equal(ReviewTemplate.escape(0), '0');
+});
+
+test('html escapes every value, in text and in quoted attributes', () => {
+    PAYLOADS.forEach(payload => {
+        const markup = html`<p title="${payload}" data-x='${payload}'>${payload}</p>`.toString();
+        assert.deepStrictEqual(tags(markup), ['p'], payload);
+        assert.ok(markup.includes(ReviewTemplate.escape(payload)), payload);
+        assert.equal(markup.match(/"/g).length, 2, payload);
+    });
+});
+
+test('html keeps nested templates and raw() but escapes arrays of strings', () => {
+    const items = ['<b>bold</b>', html`<i>${'<u>'}</i>`];
+    const markup = html`<ul>${items}</ul>${ReviewTemplate.raw('<hr>')}`.toString();
+
+    assert.equal(markup, '<ul>&lt;b&gt;bold&lt;/b&gt;<i>&lt;u&gt;</i></ul><hr>');
+    assert.equal(html`${false}${null}${undefined}`.toString(), '');
+    // An object pretending to be safe markup is still escaped
+    assert.equal(html`${{ markup: '<script>', toString: () => '<script>' }}`.toString(), '&lt;script&gt;');
+});
+
+test('rating is a whole number of stars from 0 to 5', () => {
+    assert.equal(ReviewTemplate.rating(4), 4);
+    assert.equal(ReviewTemplate.rating('4.6'), 5);
+    assert.equal(ReviewTemplate.rating('5"><script>alert(1)</script>'), 0);
+    assert.equal(ReviewTemplate.rating(99), 0);
+    assert.equal(ReviewTemplate.rating(-3), 0);
+    assert.equal(ReviewTemplate.rating({ valueOf: () => 3 }), 3);
+
+    const stars = ReviewTemplate.stars('<img src=x onerror=alert(1)>').toString();
+    assert.equal((stars.match(/text-gray-300/g) || []).length, 5);
+    assert.deepStrictEqual(tags(stars), ['i', 'i', 'i', 'i', 'i']);
+});
+
+test('photos only keep JPEG data URLs and escape the label', () => {
+    const label = () => '"><script>alert(1)</script>';
+
+    UNSAFE_SOURCES.forEach(src => {
+        assert.equal(ReviewTemplate.photos([{ src }], label), '', src);
+    });
+
+    const markup = ReviewTemplate.photos([{ src: 'javascript:alert(1)' }, { src: JPEG }, null, 'photo'], label).toString();
+    assert.deepStrictEqual(photoSources(markup), [JPEG]);
+    assert.deepStrictEqual(tags(markup), ['ul', 'li', 'button', 'img']);
+    assert.equal(ReviewTemplate.photos('<img src=x>', label), '');
+});
+
+test('review cards render name, content, place and vehicle as text', async () => {
+    const system = await createSystem();
+
+    PAYLOADS.forEach(payload => {
+        const markup = system.createReviewHTML({
+            id: 'r1', rating: 5, timestamp: '2026-10-01T10:00:00.000Z',
+            name: payload, content: payload, location: payload, vehicle: payload
+        });
+        assert.ok(!/<(script|svg|img)\b/i.test(markup), payload);
+        assert.ok(markup.includes(ReviewTemplate.escape(payload)), payload);
+    });
+});
+
+test('long malicious content stays escaped in the excerpt and the full text', async () => {
+    const system = await createSystem();
+    const content = '<img src=x onerror=alert(1)>'.repeat(10);
+    const markup = system.createReviewHTML({ id: 'r1', rating: 5, name: 'A', content, timestamp: '2026-10-01T10:00:00.000Z' });
+
+    assert.ok(markup.includes('data-review-full'));
+    assert.ok(!/<img\b/i.test(markup));
+});
+
+test('owner replies render as text and an invalid date is dropped', async () => {
+    const system = await createSystem();
+
+    PAYLOADS.forEach(payload => {
+        const markup = system.createReviewHTML({
+            id: 'r1', rating: 5, name: 'A', content: 'Bien', timestamp: '2026-10-01T10:00:00.000Z',
+            reply: { content: payload, timestamp: payload }
+        });
+        assert.ok(markup.includes('data-review-reply'), payload);
+        assert.ok(!/<(script|svg|img)\b/i.test(markup), payload);
+        assert.ok(markup.includes(ReviewTemplate.escape(payload)), payload);
+    });
+});
+
+test('review cards never render an unsafe photo source', async () => {
+    const system = await createSystem();
+
+    const markup = system.createReviewHTML({
+        id: 'r1', rating: 5, name: 'A', content: 'Bien', timestamp: '2026-10-01T10:00:00.000Z',
+        photos: UNSAFE_SOURCES.map(src => ({ src })).concat({ src: JPEG, width: '"><script>', height: 200 })
+    });
+
+    assert.deepStrictEqual(photoSources(markup), [JPEG]);
+    assert.ok(!/javascript:|data:text\/html|svg\+xml|tracker\.example|<script/i.test(markup));
+});
@@ -0,0 +1,162 @@
+/**
+ * Booking references: checked by the database, never published nor stored on the review
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createDocument, createFetchSpy, MemoryStorage, plain } = require('./load-scripts');
+
+const DATABASE = 'https://medridatours-reviews-default-rtdb.firebaseio.com';
+
+function setup(handler = () => ({ body: null })) {
+    const fetch = createFetchSpy(handler);
+    const { get, window } = loadScripts(['static/js/review-moderation.js', 'static/js/review-verification.js'], { fetch });
+    const ReviewVerification = get('ReviewVerification');
+    return { fetch, window, get, ReviewVerification, verification: new ReviewVerification({ url: DATABASE }) };
+}
+
+test('references are normalized to MDT-XXXXX-XXXXX', () => {
+    const { ReviewVerification } = setup();
+
+    assert.equal(ReviewVerification.normalize(' mdt-7k4qp-2xm9d '), 'MDT-7K4QP-2XM9D');
+    assert.equal(ReviewVerification.normalize('MDT 7K4QP 2XM9D'), 'MDT-7K4QP-2XM9D');
+    assert.equal(ReviewVerification.normalize('MDT7K4QP2XM9D'), 'MDT-7K4QP-2XM9D');
+    // Too short, the old six-character form, and letters left out of the alphabet
+    ['MDT-7K4Q2P', 'MDT-7K4QP-2XM9', 'MDT-7K4QP-2XMOI', 'ABC-7K4QP-2XM9D', '', null].forEach(reference => {
+        assert.equal(ReviewVerification.normalize(reference), null, String(reference));
+    });
+});
+
+test('new references are random and in the normalized form', () => {
+    const { ReviewVerification } = setup();
+    const references = new Set(Array.from({ length: 200 }, () => ReviewVerification.generate()));
+
+    assert.equal(references.size, 200);
+    references.forEach(reference => assert.equal(ReviewVerification.normalize(reference), reference));
+});
+
+test('a claim sends the reference, the review id and the session id, nothing else', async () => {
+    const { verification, fetch } = setup();
+
+    assert.deepStrictEqual(plain(await verification.claim('mdt 7k4qp 2xm9d', 'review_1', 'session_1')), { ok: true, reference: 'MDT-7K4QP-2XM9D' });
+    assert.equal(fetch.calls.length, 1);
+    assert.equal(fetch.calls[0].method, 'PUT');
+    assert.equal(fetch.calls[0].url, `${DATABASE}/booking-claims/MDT-7K4QP-2XM9D.json`);
+    assert.deepStrictEqual(Object.keys(JSON.parse(fetch.calls[0].body)), ['reviewId', 'claimedAt', 'sessionId']);
+});
+
+test('the database refusing a claim means unknown or already used', async () => {
+    const { verification } = setup(() => ({ status: 401, body: { error: 'Permission denied' } }));
+    assert.deepStrictEqual(plain(await verification.claim('MDT-7K4QP-2XM9D', 'r1')), { ok: false, reason: 'unknown' });
+});
+
+test('a malformed reference is refused without any request', async () => {
+    const { verification, fetch } = setup();
+    assert.deepStrictEqual(plain(await verification.claim('MDT-123', 'r1')), { ok: false, reason: 'format' });
+    assert.equal(fetch.calls.length, 0);
+});
+
+test('a claim that cannot be sent is reported, never accepted', async () => {
+    const { verification } = setup(() => null);
+    assert.deepStrictEqual(plain(await verification.claim('MDT-7K4QP-2XM9D', 'r1')), { ok: false, reason: 'unavailable' });
+
+    const { ReviewVerification } = setup();
+    assert.deepStrictEqual(plain(await new ReviewVerification().claim('MDT-7K4QP-2XM9D', 'r1')), { ok: false, reason: 'unavailable' });
+});
+
+test('admins issue references and read the claims with their token', async () => {
+    const { verification, fetch } = setup(url => url.startsWith(`${DATABASE}/booking-claims.json`) ? {
+        body: { 'MDT-7K4QP-2XM9D': { reviewId: 'r1', claimedAt: '2026-10-19T10:00:00.000Z' }, 'MDT-AAAAA-BBBBB': null }
+    } : { body: null });
+
+    const reference = await verification.issue('admin-token');
+    assert.match(fetch.calls[0].url, new RegExp(`^${DATABASE}/booking-references/${reference}\\.json\\?auth=admin-token$`));
+
+    const claims = await verification.getClaims('admin-token');
+    assert.deepStrictEqual(plain([...claims]), [['r1', 'MDT-7K4QP-2XM9D']]);
+    assert.equal(fetch.calls[1].url, `${DATABASE}/booking-claims.json?auth=admin-token`);
+});
+
+test('the badge comes from the moderation decision, never from the review record', () => {
+    const ReviewModeration = setup().get('ReviewModeration');
+    const forged = { id: 'x', name: 'X', content: 'Forged', verified: true };
+
+    assert.equal(ReviewModeration.applyDecision(forged, null).verified, false);
+    assert.equal(ReviewModeration.applyDecision(forged, { status: 'approved', changes: {} }).verified, false);
+    assert.equal(ReviewModeration.applyDecision(forged, { status: 'approved', changes: { verified: true } }).verified, false);
+    assert.equal(ReviewModeration.applyDecision({ id: 'y' }, { status: 'approved', changes: {}, verified: true }).verified, true);
+});
+
+test('approving with a claimed reference records the review as verified', async () => {
+    const saved = [];
+    const { window } = setup();
+    const moderation = window.reviewModeration;
+    moderation.backend = {
+        getDecisions: async () => ({ a: { status: 'approved', changes: {}, reply: null, verified: true } }),
+        saveDecision: async (id, decision) => saved.push([id, decision])
+    };
+
+    await moderation.approve('b', { verified: true });
+    await moderation.approve('c');
+    await moderation.reply('a', 'Merci !');
+
+    assert.deepStrictEqual(saved.map(([id, decision]) => [id, decision.verified]), [['b', true], ['c', false], ['a', true]]);
+});
+
+/**
+ * A review submitted from the form, with the booking reference; the form fields are read by the FormData stub
+ */
+async function submit(system, values) {
+    const form = { values, elements: { bookingReference: {} } };
+    system.validator = { validate: () => [], showError() {}, focus() {} };
+    await system.handleSubmission({ preventDefault() {}, target: form });
+}
+
+async function reviewSystem() {
+    const fetch = createFetchSpy(() => ({ body: null }));
+    const messages = [];
+    const sandbox = loadScripts([
+        'static/js/i18n.js',
+        'static/js/review-moderation.js',
+        'static/js/review-storage.js',
+        'static/js/review-migrations.js',
+        'static/js/review-guard.js',
+        'static/js/review-outbox.js',
+        'static/js/review-template.js',
+        'static/js/review-verification.js',
+        'static/js/reviews-system.js'
+    ], {
+        fetch,
+        sessionStorage: new MemoryStorage(),
+        document: createDocument({ 'reviews-grid': { innerHTML: '' } }),
+        FormData: class { constructor(form) { this.values = form.values; } get(name) { return this.values[name] || null; } },
+        MedridatoursNotifications: { show: (message, options) => messages.push([options.type, message]) }
+    });
+    const rendered = new Promise(resolve => sandbox.window.document.addEventListener('reviews:rendered', resolve, { once: true }));
+    const system = new (sandbox.get('ReviewSystem'))({
+        storage: { type: 'firebase', url: `${DATABASE}/reviews` },
+        bookingReferences: { url: DATABASE }
+    });
+    await rendered;
+    fetch.calls.length = 0;
+    return { fetch, messages, system };
+}
+
+const claims = fetch => fetch.calls.filter(call => call.url.startsWith(`${DATABASE}/booking-claims/`));
+
+test('a duplicate review never uses up its booking reference', async () => {
+    const { fetch, messages, system } = await reviewSystem();
+    const values = { name: 'Amine', content: 'Voiture propre et agence très sérieuse', rating: '5', bookingReference: 'MDT-7K4QP-2XM9D' };
+
+    await submit(system, values);
+    assert.equal(claims(fetch).length, 1);
+    assert.equal(fetch.calls.filter(call => call.method === 'PATCH' && call.url === `${DATABASE}/.json`).length, 1);
+
+    // The same review again, past the rate limit
+    system.checkRateLimit = () => true;
+    fetch.calls.length = 0;
+    await submit(system, values);
+
+    assert.deepStrictEqual(fetch.calls.filter(call => call.method !== 'GET'), []);
+    assert.equal(messages[messages.length - 1][0], 'warning');
+});